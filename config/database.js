@@ -39,9 +39,35 @@ const closeDB = async () => {
     }
 };
 
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * The callback receives the session to pass to every operation; transient
+ * errors (e.g. write conflicts) are retried by the driver
+ */
+const withTransaction = async (work) => {
+    const session = client.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(
+            async () => {
+                result = await work(session);
+            },
+            {
+                readConcern: { level: "snapshot" },
+                writeConcern: { w: "majority" },
+            }
+        );
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
 module.exports = {
     connectDB,
     getDB,
     closeDB,
+    withTransaction,
     client,
 };
@@ -4,8 +4,116 @@
  */
 
 const { ObjectId } = require("mongodb");
+const { withTransaction } = require("../config/database");
 const pricingService = require("../services/pricingService");
-const { isCouponValid } = require("../models/coupons");
+const { COUPON_ERRORS, isCouponValid } = require("../models/coupons");
+const {
+    buildBlockingFilter,
+    calculateHoldExpiry,
+    findConflictingBookings,
+    parseBookingDates,
+    toConflictingDates,
+} = require("../services/availabilityService");
+const { expireIfLapsed } = require("../services/bookingExpiryService");
+const {
+    BookingConflictError,
+    reserveBooking,
+} = require("../services/reservationService");
+const {
+    InvalidTransitionError,
+    TransitionForbiddenError,
+    buildHistoryEntry,
+    getActorRoles,
+    resolveActorRole,
+    transitionBooking,
+} = require("../services/bookingLifecycleService");
+const {
+    CouponUnavailableError,
+    getCouponContext,
+    releaseCouponRedemption,
+} = require("../services/couponService");
+const { resolvePriceRules } = require("../services/priceRulesService");
+const { resolveTaxRules } = require("../services/taxService");
+const {
+    ExtrasUnavailableError,
+    findUnavailableExtras,
+    resolveExtraSelections,
+} = require("../services/extrasService");
+const {
+    ExchangeRateError,
+    convertAmount,
+    getExchangeRates,
+} = require("../services/exchangeRateService");
+const { DEFAULT_CURRENCY, roundMoney } = require("../models/currencies");
+const {
+    calculateRefund,
+    describeCancellationPolicy,
+} = require("../services/cancellationService");
+const { BOOKING_STATUS, canTransition } = require("../models/bookingStatus");
+const {
+    DepositError,
+    buildBookingDeposit,
+    cancelDepositHold,
+    holdDeposit,
+    settleDeposit,
+    validateDepositCapture,
+} = require("../services/depositService");
+const { PaymentProviderError } = require("../services/payments");
+const {
+    CheckoutError,
+    refundBookingPayment,
+    startCheckout,
+} = require("../services/paymentService");
+const { getCancellationPolicyKey } = require("../models/cancellationPolicies");
+
+/**
+ * Look up a coupon code and check that it can be used
+ * Also loads the requesting user's history for the per-user restrictions,
+ * which generateQuote evaluates through the returned couponContext
+ */
+const resolveCoupon = async (
+    code,
+    { couponsCollection, bookingsCollection, redemptionsCollection },
+    userEmail,
+    car
+) => {
+    if (!code) {
+        return { couponData: null, couponContext: null, couponError: null };
+    }
+
+    const couponData = await couponsCollection.findOne({
+        code: code.toUpperCase(),
+    });
+
+    if (!couponData) {
+        return {
+            couponData: null,
+            couponContext: null,
+            couponError: "Invalid coupon code",
+            couponErrorCode: COUPON_ERRORS.NOT_FOUND,
+        };
+    }
+
+    const validation = isCouponValid(couponData);
+    if (!validation.valid) {
+        return {
+            couponData: null,
+            couponContext: null,
+            couponError: validation.reason,
+            couponErrorCode: validation.code,
+        };
+    }
+
+    const couponContext = await getCouponContext(
+        bookingsCollection,
+        redemptionsCollection,
+        couponData,
+        userEmail,
+        car
+    );
+
+    return { couponData, couponContext, couponError: null };
+};
 
 /**
  * Get bookings by user email
@@ -44,25 +152,169 @@ const getBookingCountByCarId = async (req, res, bookingsCollection) => {
 
 /**
  * Create a new booking
+ * Recomputes the price server-side (the client's totalPrice is never
+ * trusted) and reserves the dates atomically
  */
-const createBooking = async (req, res, bookingsCollection, carsCollection) => {
+const createBooking = async (
+    req,
+    res,
+    bookingsCollection,
+    carsCollection,
+    couponsCollection,
+    redemptionsCollection,
+    priceRulesCollection,
+    exchangeRatesCollection,
+    extrasCollection
+) => {
     try {
-        const booking = req.body;
-        const carId = booking.carId;
+        const { carId, startDate, endDate, coupon, extras, ...details } =
+            req.body;
+
+        // The renter is always the authenticated user
+        details.userEmail = req.user.email;
+
+        const dates = parseBookingDates(startDate, endDate);
+        if (dates.error) {
+            return res.status(400).send({ error: dates.error });
+        }
+
+        const car = await carsCollection.findOne({ _id: new ObjectId(carId) });
+
+        if (!car) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
+        const { couponData, couponContext, couponError, couponErrorCode } =
+            await resolveCoupon(
+                coupon,
+                {
+                    couponsCollection,
+                    bookingsCollection,
+                    redemptionsCollection,
+                },
+                req.user.email,
+                car
+            );
+
+        if (couponError) {
+            return res
+                .status(400)
+                .send({ error: couponError, couponErrorCode });
+        }
+
+        const extrasSelection = await resolveExtraSelections(
+            extrasCollection,
+            car,
+            extras
+        );
+        if (extrasSelection.error) {
+            return res.status(400).send({ error: extrasSelection.error });
+        }
 
-        // Insert booking
-        const result = await bookingsCollection.insertOne(booking);
+        // Bookings are priced and paid in the car's currency
+        const exchangeRates = await getExchangeRates(exchangeRatesCollection);
+        const quote = pricingService.generateQuote(
+            car,
+            dates.startDate,
+            dates.endDate,
+            couponData,
+            await resolvePriceRules(priceRulesCollection, car),
+            {
+                couponContext,
+                taxRules: await resolveTaxRules(car),
+                exchangeRates,
+                extras: extrasSelection.selected,
+            }
+        );
 
-        if (!result.acknowledged) {
-            return res.status(500).send({ error: "Failed to create booking" });
+        if (quote.appliedRules.coupon?.error) {
+            return res.status(400).send({
+                error: quote.appliedRules.coupon.error,
+                couponErrorCode: quote.appliedRules.coupon.errorCode,
+            });
         }
 
-        // Update car booking count
-        const id = { _id: new ObjectId(carId) };
-        await carsCollection.updateOne(id, { $inc: { bookingCount: 1 } });
+        const booking = {
+            ...details,
+            carId,
+            startDate: dates.startDate,
+            endDate: dates.endDate,
+            totalPrice: quote.total,
+            currency: quote.currency,
+            extras: quote.extras,
+            deposit: buildBookingDeposit(quote),
+            quote: { ...quote, generatedAt: new Date().toISOString() },
+            cancellationPolicy: getCancellationPolicyKey(car),
+            status: BOOKING_STATUS.PENDING,
+            holdExpiresAt: calculateHoldExpiry(),
+            statusHistory: [
+                buildHistoryEntry(
+                    null,
+                    BOOKING_STATUS.PENDING,
+                    { email: req.user.email, role: "renter" },
+                    "Booking created"
+                ),
+            ],
+            bookingDate: new Date().toISOString(),
+        };
+
+        // Overlap check, insert, bookingCount update and coupon redemption
+        // commit together
+        const result = await reserveBooking(
+            bookingsCollection,
+            carsCollection,
+            booking,
+            couponData
+                ? {
+                      coupon: couponData,
+                      discount: quote.couponDiscount,
+                      currency: quote.currency,
+                      baseDiscount: roundMoney(
+                          convertAmount(
+                              quote.couponDiscount,
+                              quote.currency,
+                              DEFAULT_CURRENCY,
+                              exchangeRates
+                          )
+                      ),
+                      couponsCollection,
+                      redemptionsCollection,
+                  }
+                : null,
+            extrasSelection.selected.length > 0
+                ? { extrasCollection, selected: extrasSelection.selected }
+                : null
+        );
 
-        res.status(201).send(result);
+        res.status(201).send({
+            ...result,
+            totalPrice: quote.total,
+            holdExpiresAt: booking.holdExpiresAt,
+            quote,
+        });
     } catch (error) {
+        if (error instanceof BookingConflictError) {
+            return res.status(409).send({
+                error: error.message,
+                conflictingDates: toConflictingDates(error.conflictingBookings),
+            });
+        }
+
+        if (error instanceof CouponUnavailableError) {
+            return res.status(409).send({ error: error.message });
+        }
+
+        if (error instanceof ExtrasUnavailableError) {
+            return res.status(409).send({
+                error: error.message,
+                unavailableExtras: error.unavailable,
+            });
+        }
+
+        if (error instanceof ExchangeRateError) {
+            return res.status(400).send({ error: error.message });
+        }
+
         console.error("Error creating booking:", error);
         res.status(500).send({ error: "Failed to create booking" });
     }
@@ -70,6 +322,8 @@ const createBooking = async (req, res, bookingsCollection, carsCollection) => {
 
 /**
  * Update a booking
+ * Only fields allowed by bookingUpdateSchema reach this handler; status
+ * changes go through the lifecycle endpoints
  */
 const updateBooking = async (req, res, bookingsCollection) => {
     try {
@@ -88,49 +342,203 @@ const updateBooking = async (req, res, bookingsCollection) => {
     }
 };
 
+// Payment provider operation run by each action, for error messages
+const PAYMENT_OPERATIONS = {
+    pickup: "Deposit hold",
+    return: "Deposit settlement",
+    cancel: "Refund",
+};
+
 /**
- * Get booking quote with dynamic pricing
+ * Move a booking through its lifecycle (confirm, cancel, pickup, ...)
  */
-const getBookingQuote = async (
+const changeBookingStatus = async (
     req,
     res,
-    carsCollection,
     bookingsCollection,
-    couponsCollection
+    couponsCollection,
+    redemptionsCollection,
+    action
 ) => {
     try {
-        const { carId, startDate, endDate, coupon } = req.body;
+        // Loaded by requireBookingAccess; a lapsed hold is expired first
+        const { car } = req;
+        const booking = await expireIfLapsed(
+            { bookingsCollection, couponsCollection, redemptionsCollection },
+            req.booking
+        );
+        const actor = {
+            email: req.user.email,
+            roles: getActorRoles(req.user, booking, car),
+        };
+        const set = {};
+        const depositCapture =
+            action === "return" ? req.body?.depositCapture : null;
+
+        // Hold the deposit when the car is picked up
+        if (
+            action === "pickup" &&
+            booking.deposit &&
+            canTransition(action, booking.status) &&
+            resolveActorRole(action, actor)
+        ) {
+            set.deposit = await holdDeposit(booking);
+        }
 
-        // Validate required fields
-        if (!carId || !startDate || !endDate) {
-            return res.status(400).send({
-                error: "carId, startDate, and endDate are required",
+        if (action === "return") {
+            validateDepositCapture(booking.deposit, depositCapture);
+        }
+
+        // Decide the refund from the cancellation policy
+        if (action === "cancel") {
+            set.refund = calculateRefund({
+                policyKey:
+                    booking.cancellationPolicy || getCancellationPolicyKey(car),
+                startDate: booking.startDate,
+                amountPaid: booking.quote?.total ?? booking.totalPrice,
+                currency: booking.currency,
+                cancelledBy: resolveActorRole(action, actor),
             });
         }
 
-        // Validate dates
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        const now = new Date();
+        let updated;
+        try {
+            updated = await withTransaction(async (session) => {
+                const result = await transitionBooking(
+                    bookingsCollection,
+                    booking,
+                    action,
+                    actor,
+                    { reason: req.body?.reason, set, session }
+                );
+
+                // A cancelled booking gives its coupon use back
+                if (action === "cancel") {
+                    await releaseCouponRedemption(
+                        couponsCollection,
+                        redemptionsCollection,
+                        booking._id,
+                        session
+                    );
+                }
 
-        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-            return res.status(400).send({
-                error: "Invalid date format",
+                return result;
             });
+        } catch (error) {
+            // The hold was placed for a pickup that did not happen
+            await cancelDepositHold(set.deposit);
+            throw error;
         }
 
-        if (start < now) {
-            return res.status(400).send({
-                error: "Start date cannot be in the past",
+        // A returned car releases its deposit, less any damage capture; a
+        // settlement the provider fails stays settling and is retried
+        if (action === "return") {
+            try {
+                updated = await settleDeposit(
+                    bookingsCollection,
+                    updated,
+                    depositCapture
+                );
+            } catch (error) {
+                console.error("Error settling deposit:", error);
+            }
+        }
+
+        // Paid bookings get their refund back through the payment provider
+        if (action === "cancel" && updated.refund?.refundAmount > 0) {
+            updated = await refundBookingPayment(
+                bookingsCollection,
+                updated,
+                updated.refund.refundAmount
+            );
+        }
+
+        res.send(updated);
+    } catch (error) {
+        if (error instanceof TransitionForbiddenError) {
+            return res.status(403).send({ error: error.message });
+        }
+
+        if (error instanceof InvalidTransitionError) {
+            return res.status(409).send({
+                error: error.message,
+                currentStatus: error.currentStatus,
             });
         }
 
-        if (end <= start) {
-            return res.status(400).send({
-                error: "End date must be after start date",
+        if (error instanceof DepositError) {
+            return res.status(400).send({ error: error.message });
+        }
+
+        if (error instanceof PaymentProviderError) {
+            return res.status(402).send({
+                error: `${PAYMENT_OPERATIONS[action] || "Payment"} failed: ${error.message}`,
+            });
+        }
+
+        console.error(`Error on booking ${action}:`, error);
+        res.status(500).send({ error: `Failed to ${action} booking` });
+    }
+};
+
+/**
+ * Start or resume the payment of a pending or unpaid confirmed booking
+ * (renter only); a pending booking is confirmed when the provider's payment
+ * webhook arrives
+ */
+const checkoutBooking = async (req, res, bookingsCollection) => {
+    try {
+        // Loaded by requireBookingAccess
+        const { booking } = req;
+
+        if (booking.userEmail !== req.user.email) {
+            return res.status(403).send({
+                error: "Forbidden - Only the renter can pay for a booking",
+            });
+        }
+
+        const checkout = await startCheckout(bookingsCollection, booking);
+        res.send({ bookingId: booking._id, ...checkout });
+    } catch (error) {
+        if (error instanceof CheckoutError) {
+            return res.status(409).send({ error: error.message });
+        }
+
+        if (error instanceof PaymentProviderError) {
+            return res.status(502).send({
+                error: `Payment provider error: ${error.message}`,
             });
         }
 
+        console.error("Error checking out booking:", error);
+        res.status(500).send({ error: "Failed to check out booking" });
+    }
+};
+
+/**
+ * Get booking quote with dynamic pricing
+ */
+const getBookingQuote = async (
+    req,
+    res,
+    carsCollection,
+    bookingsCollection,
+    couponsCollection,
+    redemptionsCollection,
+    priceRulesCollection,
+    exchangeRatesCollection,
+    extrasCollection
+) => {
+    try {
+        const { carId, startDate, endDate, coupon, extras, displayCurrency } =
+            req.body;
+
+        // Validate dates
+        const dates = parseBookingDates(startDate, endDate);
+        if (dates.error) {
+            return res.status(400).send({ error: dates.error });
+        }
+
         // Get car details
         const car = await carsCollection.findOne({ _id: new ObjectId(carId) });
 
@@ -139,66 +547,85 @@ const getBookingQuote = async (
         }
 
         // Check availability
-        const conflictingBookings = await bookingsCollection
-            .find({
-                carId: carId,
-                status: { $in: ["confirmed", "pending"] },
-                $or: [
-                    {
-                        startDate: { $lte: endDate },
-                        endDate: { $gte: startDate },
-                    },
-                ],
-            })
-            .toArray();
+        const conflictingBookings = await findConflictingBookings(
+            bookingsCollection,
+            carId,
+            dates.startDate,
+            dates.endDate
+        );
 
         const unavailable = conflictingBookings.length > 0;
 
-        // Get coupon if provided
-        let couponData = null;
-        let couponError = null;
-
-        if (coupon) {
-            couponData = await couponsCollection.findOne({
-                code: coupon.toUpperCase(),
-            });
-
-            if (!couponData) {
-                couponError = "Invalid coupon code";
-            } else {
-                const validation = isCouponValid(couponData);
-                if (!validation.valid) {
-                    couponError = validation.reason;
-                    couponData = null;
-                }
-            }
+        // Get coupon if provided (restrictions use the signed-in user, if any)
+        const { couponData, couponContext, couponError, couponErrorCode } =
+            await resolveCoupon(
+                coupon,
+                {
+                    couponsCollection,
+                    bookingsCollection,
+                    redemptionsCollection,
+                },
+                req.decoded?.email,
+                car
+            );
+
+        // Match the selected extras against the car's catalog and stock
+        const extrasSelection = await resolveExtraSelections(
+            extrasCollection,
+            car,
+            extras
+        );
+        if (extrasSelection.error) {
+            return res.status(400).send({ error: extrasSelection.error });
         }
 
-        // Get price rules for this car (if any custom rules exist)
-        const carPriceRules = car.priceRules || undefined;
+        const unavailableExtras = await findUnavailableExtras(
+            bookingsCollection,
+            extrasSelection.selected,
+            dates.startDate,
+            dates.endDate
+        );
+
+        // Get fleet, owner and car price rules for this car
+        const carPriceRules = await resolvePriceRules(
+            priceRulesCollection,
+            car
+        );
 
-        // Generate quote
+        // Generate quote, in the requested currency if any
         const quote = pricingService.generateQuote(
             car,
-            startDate,
-            endDate,
+            dates.startDate,
+            dates.endDate,
             couponData,
-            carPriceRules
+            carPriceRules,
+            {
+                couponContext,
+                taxRules: await resolveTaxRules(car),
+                currency: displayCurrency,
+                exchangeRates: await getExchangeRates(exchangeRatesCollection),
+                extras: extrasSelection.selected,
+            }
         );
 
         // Return quote with availability info
         res.send({
             ...quote,
+            cancellationPolicy: describeCancellationPolicy(
+                getCancellationPolicyKey(car)
+            ),
             unavailable,
-            conflictingDates: unavailable
-                ? conflictingBookings.map((b) => ({
-                      startDate: b.startDate,
-                      endDate: b.endDate,
-                  }))
-                : [],
+            conflictingDates: toConflictingDates(conflictingBookings),
+            unavailableExtras,
             couponError: couponError || quote.appliedRules.coupon?.error,
+            couponErrorCode:
+                couponErrorCode || quote.appliedRules.coupon?.errorCode,
         });
     } catch (error) {
+        if (error instanceof ExchangeRateError) {
+            return res.status(400).send({ error: error.message });
+        }
+
         console.error("Error generating quote:", error);
         res.status(500).send({
             error: "Failed to generate quote",
@@ -220,10 +647,7 @@ const getBookedDates = async (req, res, bookingsCollection) => {
 
         // Get all confirmed/pending bookings for this car
         const bookings = await bookingsCollection
-            .find({
-                carId: carId,
-                status: { $in: ["confirmed", "pending"] },
-            })
+            .find(buildBlockingFilter(carId))
             .toArray();
 
         // Extract date ranges
@@ -249,6 +673,8 @@ module.exports = {
     getBookingCountByCarId,
     createBooking,
     updateBooking,
+    changeBookingStatus,
+    checkoutBooking,
     getBookingQuote,
     getBookedDates,
 };
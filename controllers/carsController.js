@@ -4,14 +4,122 @@
  */
 
 const { ObjectId } = require("mongodb");
+const { ROLES } = require("../models/roles");
+const { isValidCurrency } = require("../models/currencies");
+const { parseBookingDates } = require("../services/availabilityService");
+const {
+    ExchangeRateError,
+    getExchangeRates,
+} = require("../services/exchangeRateService");
+const {
+    QUOTE_SORT_MAX_CARS,
+    attachQuotes,
+    buildAvailableCarsFilter,
+    escapeRegex,
+    findCars,
+    sortByQuote,
+} = require("../services/carSearchService");
+const {
+    parsePoint,
+    parsePolygon,
+    parseRadiusKm,
+    toGeoPoint,
+} = require("../services/geoService");
+const {
+    applyCursor,
+    buildPage,
+    buildProjection,
+    findPage,
+    parseFields,
+    parsePageQuery,
+    pickFields,
+    withTiebreaker,
+} = require("../services/paginationService");
+const { carSchema } = require("../models/schemas");
+
+/**
+ * Car fields that can be requested with ?fields=
+ */
+const CAR_FIELDS = [
+    "_id",
+    ...Object.keys(carSchema),
+    "bookingCount",
+    "rating",
+    "reviewCount",
+    "categoryRatings",
+    "price",
+    "fuel",
+    "geo",
+];
+
+/**
+ * Search results also carry the computed distance and quote
+ */
+const SEARCH_FIELDS = [...CAR_FIELDS, "distanceKm", "quote"];
+
+/**
+ * Query parameters that control paging rather than filter cars
+ */
+const PAGE_PARAMS = ["limit", "after", "before", "fields"];
+
+/**
+ * Send one page of cars for a list endpoint
+ *
+ * Reads ?limit, ?after, ?before and ?fields. The body stays an array of
+ * cars; the cursors of the neighbouring pages are sent in the
+ * X-Next-Cursor and X-Prev-Cursor headers.
+ */
+const sendCarPage = async (
+    req,
+    res,
+    carsCollection,
+    filter,
+    sort,
+    sortName
+) => {
+    const sortKey = withTiebreaker(sort);
+
+    const page = parsePageQuery(req.query, sortKey, sortName);
+    if (page.error) {
+        return res.status(400).send({ error: page.error });
+    }
+
+    const { fields, error } = parseFields(req.query.fields, CAR_FIELDS);
+    if (error) {
+        return res.status(400).send({ error });
+    }
+
+    const { items, nextCursor, prevCursor } = await findPage(
+        carsCollection,
+        filter,
+        {
+            sort: sortKey,
+            sortName,
+            cursor: page.cursor,
+            limit: page.limit,
+            projection: buildProjection(fields, sortKey),
+        }
+    );
+
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    if (prevCursor) res.set("X-Prev-Cursor", prevCursor);
+
+    res.send(items.map((car) => pickFields(car, fields)));
+};
 
 /**
  * Get all cars
  */
 const getAllCars = async (req, res, carsCollection) => {
     try {
-        const result = await carsCollection.find({}).toArray();
-        res.send(result);
+        await sendCarPage(
+            req,
+            res,
+            carsCollection,
+            {},
+            { dateAdded: -1 },
+            "dateAdded_desc"
+        );
     } catch (error) {
         console.error("Error fetching all cars:", error);
         res.status(500).send({ error: "Failed to fetch cars" });
@@ -31,12 +139,18 @@ const getCarsByUserEmail = async (req, res, carsCollection) => {
                 .send({ error: "Email query parameter is required" });
         }
 
-        const result = await carsCollection
-            .find(query)
-            .sort({ dateAdded: -1 })
-            .toArray();
-
-        res.send(result);
+        const filter = Object.fromEntries(
+            Object.entries(query).filter(([key]) => !PAGE_PARAMS.includes(key))
+        );
+
+        await sendCarPage(
+            req,
+            res,
+            carsCollection,
+            filter,
+            { dateAdded: -1 },
+            "dateAdded_desc"
+        );
     } catch (error) {
         console.error("Error fetching cars by user email:", error);
         res.status(500).send({ error: "Failed to fetch cars" });
@@ -48,8 +162,13 @@ const getCarsByUserEmail = async (req, res, carsCollection) => {
  */
 const getRecentCars = async (req, res, carsCollection) => {
     try {
+        const { fields, error } = parseFields(req.query.fields, CAR_FIELDS);
+        if (error) {
+            return res.status(400).send({ error });
+        }
+
         const result = await carsCollection
-            .find({})
+            .find({}, fields ? { projection: buildProjection(fields, {}) } : {})
             .sort({ dateAdded: -1 })
             .limit(6)
             .toArray();
@@ -66,11 +185,14 @@ const getRecentCars = async (req, res, carsCollection) => {
  */
 const getAvailableCars = async (req, res, carsCollection) => {
     try {
-        const result = await carsCollection
-            .find({ availability: "Available" })
-            .toArray();
-
-        res.send(result);
+        await sendCarPage(
+            req,
+            res,
+            carsCollection,
+            { availability: "Available" },
+            { dateAdded: -1 },
+            "dateAdded_desc"
+        );
     } catch (error) {
         console.error("Error fetching available cars:", error);
         res.status(500).send({ error: "Failed to fetch available cars" });
@@ -80,10 +202,20 @@ const getAvailableCars = async (req, res, carsCollection) => {
 /**
  * Advanced car search with filters, sorting, and pagination
  */
-const searchCars = async (req, res, carsCollection) => {
+const searchCars = async (
+    req,
+    res,
+    carsCollection,
+    bookingsCollection,
+    priceRulesCollection,
+    exchangeRatesCollection
+) => {
     try {
         const {
             query = "",
+            startDate,
+            endDate,
+            displayCurrency,
             minPrice,
             maxPrice,
             transmission,
@@ -93,23 +225,37 @@ const searchCars = async (req, res, carsCollection) => {
             lat,
             lng,
             radius,
-            sort = "dateAdded_desc",
+            polygon,
+            sort = query ? "relevance" : "dateAdded_desc",
             page = 1,
-            limit = 12,
         } = req.query;
 
+        // Rental period: only cars free for it, quoted for it
+        let period = null;
+        if (startDate || endDate) {
+            period = parseBookingDates(startDate, endDate);
+            if (period.error) {
+                return res.status(400).send({ error: period.error });
+            }
+        }
+
+        const quoteCurrency = displayCurrency?.toUpperCase();
+        if (quoteCurrency && !isValidCurrency(quoteCurrency)) {
+            return res.status(400).send({ error: "Unsupported currency" });
+        }
+
+        const quoteSort = sort === "quote_asc" || sort === "quote_desc";
+        if (quoteSort && !period) {
+            return res.status(400).send({
+                error: "startDate and endDate are required to sort by quote",
+            });
+        }
+
         // Build filter query
         const filter = {};
 
-        // Text search (car model, brand, type)
-        if (query) {
-            filter.$or = [
-                { carModel: { $regex: query, $options: "i" } },
-                { model: { $regex: query, $options: "i" } },
-                { brand: { $regex: query, $options: "i" } },
-                { type: { $regex: query, $options: "i" } },
-            ];
-        }
+        // The text query is matched by findCars (text index or Atlas Search)
+        const textQuery = String(query).trim().slice(0, 100);
 
         // Price range filter
         if (minPrice || maxPrice) {
@@ -127,16 +273,21 @@ const searchCars = async (req, res, carsCollection) => {
 
         // Transmission filter
         if (transmission) {
-            filter.transmission = { $regex: transmission, $options: "i" };
+            filter.transmission = {
+                $regex: escapeRegex(transmission),
+                $options: "i",
+            };
         }
 
         // Fuel type filter
         if (fuel) {
-            filter.$or = filter.$or || [];
-            filter.$or.push(
-                { fuelType: { $regex: fuel, $options: "i" } },
-                { fuel: { $regex: fuel, $options: "i" } }
-            );
+            filter.$and = filter.$and || [];
+            filter.$and.push({
+                $or: [
+                    { fuelType: { $regex: escapeRegex(fuel), $options: "i" } },
+                    { fuel: { $regex: escapeRegex(fuel), $options: "i" } },
+                ],
+            });
         }
 
         // Seats filter
@@ -149,25 +300,38 @@ const searchCars = async (req, res, carsCollection) => {
             filter.rating = { $gte: parseFloat(rating) };
         }
 
-        // Geolocation filter
-        if (lat && lng && radius) {
-            const radiusInKm = parseFloat(radius.replace("km", ""));
-            const radiusInRadians = radiusInKm / 6371;
+        // Geolocation: distance from lat/lng, optionally within radius
+        let near = null;
+        let radiusKm = null;
+        if (lat || lng) {
+            const parsed = parsePoint(lat, lng);
+            if (parsed.error) {
+                return res.status(400).send({ error: parsed.error });
+            }
+            near = parsed.point;
+        }
 
-            filter["location.lat"] = {
-                $gte: parseFloat(lat) - radiusInRadians * (180 / Math.PI),
-                $lte: parseFloat(lat) + radiusInRadians * (180 / Math.PI),
-            };
-            filter["location.lng"] = {
-                $gte:
-                    parseFloat(lng) -
-                    (radiusInRadians * (180 / Math.PI)) /
-                        Math.cos((parseFloat(lat) * Math.PI) / 180),
-                $lte:
-                    parseFloat(lng) +
-                    (radiusInRadians * (180 / Math.PI)) /
-                        Math.cos((parseFloat(lat) * Math.PI) / 180),
-            };
+        if (radius) {
+            if (!near) {
+                return res
+                    .status(400)
+                    .send({ error: "radius requires lat and lng" });
+            }
+
+            const parsed = parseRadiusKm(radius);
+            if (parsed.error) {
+                return res.status(400).send({ error: parsed.error });
+            }
+            radiusKm = parsed.radiusKm;
+        }
+
+        // Service area: only cars inside the polygon
+        if (polygon) {
+            const parsed = parsePolygon(polygon);
+            if (parsed.error) {
+                return res.status(400).send({ error: parsed.error });
+            }
+            filter.geo = { $geoWithin: { $geometry: parsed.polygon } };
         }
 
         // Sorting
@@ -179,31 +343,139 @@ const searchCars = async (req, res, carsCollection) => {
             rating_desc: { rating: -1 },
             model_asc: { carModel: 1, model: 1 },
             model_desc: { carModel: -1, model: -1 },
+            distance_asc: { distanceKm: 1 },
+            relevance: { score: -1, dateAdded: -1 },
         };
-        const sortQuery = sortOptions[sort] || { dateAdded: -1 };
-
-        // Pagination
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Execute query
-        const totalCars = await carsCollection.countDocuments(filter);
-        const cars = await carsCollection
-            .find(filter)
-            .sort(sortQuery)
-            .skip(skip)
-            .limit(limitNum)
-            .toArray();
+        const sortName = sortOptions[sort] ? sort : "dateAdded_desc";
+        const sortKey = withTiebreaker(sortOptions[sortName]);
+
+        if (sort === "distance_asc" && !near) {
+            return res.status(400).send({
+                error: "lat and lng are required to sort by distance",
+            });
+        }
+
+        // Pagination: page numbers, or cursors from a previous response
+        if (quoteSort && (req.query.after || req.query.before)) {
+            return res.status(400).send({
+                error: "Cursors are not available for quote sorts; use page",
+            });
+        }
+
+        const pageQuery = parsePageQuery(req.query, sortKey, sortName, {
+            defaultLimit: 12,
+        });
+        if (pageQuery.error) {
+            return res.status(400).send({ error: pageQuery.error });
+        }
+
+        const { fields, error: fieldsError } = parseFields(
+            req.query.fields,
+            SEARCH_FIELDS
+        );
+        if (fieldsError) {
+            return res.status(400).send({ error: fieldsError });
+        }
+
+        const { cursor, limit: limitNum } = pageQuery;
+        const pageNum = cursor ? null : Math.max(1, parseInt(page) || 1);
+        const skip = cursor ? 0 : (pageNum - 1) * limitNum;
+        const scan = applyCursor(sortKey, cursor);
+
+        if (period) {
+            filter.$and = filter.$and || [];
+            filter.$and.push(
+                await buildAvailableCarsFilter(
+                    bookingsCollection,
+                    period.startDate,
+                    period.endDate
+                )
+            );
+        }
+
+        // Execute query; quote sorts quote up to QUOTE_SORT_MAX_CARS matches,
+        // taken in daily price order, and sort them here
+        const quoteDirection = sort === "quote_desc" ? -1 : 1;
+        const {
+            cars: found,
+            total: totalCars,
+            facets,
+        } = await findCars(carsCollection, filter, {
+            query: textQuery,
+            near,
+            maxDistanceKm: radiusKm,
+            sort: quoteSort
+                ? { dailyRentalPrice: quoteDirection, _id: 1 }
+                : scan.sort,
+            cursorFilter: scan.filter,
+            skip: quoteSort ? 0 : skip,
+            limit: quoteSort ? QUOTE_SORT_MAX_CARS : limitNum + 1,
+        });
+        let cars = found;
+        let cursors = { nextCursor: null, prevCursor: null };
+
+        if (!quoteSort) {
+            const { items, ...pageCursors } = buildPage(found, {
+                sort: sortKey,
+                sortName,
+                cursor,
+                limit: limitNum,
+                skip,
+            });
+            cars = items;
+            cursors = pageCursors;
+        }
+
+        if (period) {
+            const exchangeRates = await getExchangeRates(
+                exchangeRatesCollection
+            );
+            const quoteOptions = {
+                priceRulesCollection,
+                exchangeRates,
+                currency: quoteCurrency,
+            };
+
+            cars = await attachQuotes(
+                cars,
+                period.startDate,
+                period.endDate,
+                quoteOptions
+            );
+
+            // Quotes are computed, so the quoted cars are sorted before
+            // the page is cut
+            if (quoteSort) {
+                cars = sortByQuote(
+                    cars,
+                    quoteDirection === -1 ? "desc" : "asc",
+                    exchangeRates
+                ).slice(skip, skip + limitNum);
+            }
+        }
 
         res.send({
-            cars,
+            cars: cars.map((car) => pickFields(car, fields)),
             total: totalCars,
             totalPages: Math.ceil(totalCars / limitNum),
             currentPage: pageNum,
             limit: limitNum,
+            nextCursor: cursors.nextCursor,
+            prevCursor: cursors.prevCursor,
+            ...(quoteSort && {
+                quoteSortCapped: totalCars > QUOTE_SORT_MAX_CARS,
+            }),
+            facets,
+            period: period && {
+                startDate: period.startDate,
+                endDate: period.endDate,
+            },
         });
     } catch (error) {
+        if (error instanceof ExchangeRateError) {
+            return res.status(400).send({ error: error.message });
+        }
+
         console.error("Error in advanced search:", error);
         res.status(500).send({ error: "Internal server error" });
     }
@@ -215,6 +487,10 @@ const searchCars = async (req, res, carsCollection) => {
 const getCarById = async (req, res, carsCollection) => {
     try {
         const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
         const filter = { _id: new ObjectId(id) };
         const car = await carsCollection.findOne(filter);
 
@@ -235,6 +511,19 @@ const getCarById = async (req, res, carsCollection) => {
 const createCar = async (req, res, carsCollection) => {
     try {
         const car = req.body;
+
+        // Non-admins always list cars under their own account
+        if (req.user.role !== ROLES.ADMIN || !car.userEmail) {
+            car.userEmail = req.user.email;
+        }
+
+        // Server-managed counter
+        car.bookingCount = 0;
+
+        // GeoJSON point for geo search
+        const geo = toGeoPoint(car.location);
+        if (geo) car.geo = geo;
+
         const result = await carsCollection.insertOne(car);
         res.status(201).send(result);
     } catch (error) {
@@ -253,6 +542,27 @@ const updateCar = async (req, res, carsCollection) => {
         const filter = { _id: new ObjectId(id) };
         const updateDoc = { $set: carData };
 
+        // Only admins may transfer a car to another owner
+        if (req.user.role !== ROLES.ADMIN) {
+            delete carData.userEmail;
+        }
+
+        if (!Object.keys(carData).length) {
+            return res
+                .status(400)
+                .send({ error: "No updatable fields provided" });
+        }
+
+        // Keep the GeoJSON point in step with the location
+        if (carData.location !== undefined) {
+            const geo = toGeoPoint(carData.location);
+            if (geo) {
+                carData.geo = geo;
+            } else {
+                updateDoc.$unset = { geo: "" };
+            }
+        }
+
         const result = await carsCollection.updateOne(filter, updateDoc);
         res.send(result);
     } catch (error) {
@@ -0,0 +1,187 @@
+/**
+ * Coupons Controller
+ * Handles coupon administration and usage statistics
+ */
+
+const { ObjectId } = require("mongodb");
+const { validateCoupon } = require("../models/coupons");
+const { sendValidationError } = require("../middleware/validate");
+const { getUsageStats, withUsage } = require("../services/couponService");
+
+/**
+ * Get all coupons with usage statistics
+ */
+const getAllCoupons = async (
+    req,
+    res,
+    couponsCollection,
+    redemptionsCollection
+) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) {
+            filter.active = req.query.active === "true";
+        }
+
+        const coupons = await couponsCollection
+            .find(filter)
+            .sort({ code: 1 })
+            .toArray();
+        const stats = await getUsageStats(
+            redemptionsCollection,
+            coupons.map((c) => c._id)
+        );
+
+        res.send(coupons.map((coupon) => withUsage(coupon, stats)));
+    } catch (error) {
+        console.error("Error fetching coupons:", error);
+        res.status(500).send({ error: "Failed to fetch coupons" });
+    }
+};
+
+/**
+ * Get a coupon by ID with usage statistics
+ */
+const getCouponById = async (
+    req,
+    res,
+    couponsCollection,
+    redemptionsCollection
+) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        const coupon = await couponsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+        });
+
+        if (!coupon) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        const stats = await getUsageStats(redemptionsCollection, [coupon._id]);
+        res.send(withUsage(coupon, stats));
+    } catch (error) {
+        console.error("Error fetching coupon:", error);
+        res.status(500).send({ error: "Failed to fetch coupon" });
+    }
+};
+
+/**
+ * Create a new coupon
+ */
+const createCoupon = async (req, res, couponsCollection) => {
+    try {
+        const coupon = {
+            ...req.body,
+            usageCount: 0,
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.email,
+        };
+
+        const existing = await couponsCollection.findOne({ code: coupon.code });
+        if (existing) {
+            return res
+                .status(409)
+                .send({ error: `Coupon code ${coupon.code} already exists` });
+        }
+
+        const result = await couponsCollection.insertOne(coupon);
+        res.status(201).send(result);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .send({ error: `Coupon code ${req.body.code} already exists` });
+        }
+
+        console.error("Error creating coupon:", error);
+        res.status(500).send({ error: "Failed to create coupon" });
+    }
+};
+
+/**
+ * Update a coupon (e.g. { active: false } to deactivate it)
+ */
+const updateCoupon = async (req, res, couponsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const coupon = await couponsCollection.findOne(filter);
+
+        if (!coupon) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        // Validate the coupon as it will be stored
+        const merged = { ...coupon, ...req.body };
+        try {
+            validateCoupon(merged);
+        } catch (error) {
+            return sendValidationError(res, [
+                { field: null, message: error.message },
+            ]);
+        }
+
+        if (req.body.code && req.body.code !== coupon.code) {
+            const existing = await couponsCollection.findOne({
+                code: req.body.code,
+            });
+            if (existing) {
+                return res.status(409).send({
+                    error: `Coupon code ${req.body.code} already exists`,
+                });
+            }
+        }
+
+        const result = await couponsCollection.updateOne(filter, {
+            $set: { ...req.body, updatedAt: new Date().toISOString() },
+        });
+        res.send(result);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .send({ error: `Coupon code ${req.body.code} already exists` });
+        }
+
+        console.error("Error updating coupon:", error);
+        res.status(500).send({ error: "Failed to update coupon" });
+    }
+};
+
+/**
+ * Delete a coupon
+ */
+const deleteCoupon = async (req, res, couponsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const result = await couponsCollection.deleteOne(filter);
+
+        if (result.deletedCount === 0) {
+            return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        res.send(result);
+    } catch (error) {
+        console.error("Error deleting coupon:", error);
+        res.status(500).send({ error: "Failed to delete coupon" });
+    }
+};
+
+module.exports = {
+    getAllCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+};
@@ -0,0 +1,89 @@
+/**
+ * Exchange Rates Controller
+ * Handles the exchange-rate table used for multi-currency quotes
+ */
+
+const {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+} = require("../models/currencies");
+
+/**
+ * Get the supported currencies and the stored exchange rates
+ */
+const getExchangeRates = async (req, res, exchangeRatesCollection) => {
+    try {
+        const rates = await exchangeRatesCollection
+            .find()
+            .sort({ currency: 1 })
+            .toArray();
+
+        res.send({ base: DEFAULT_CURRENCY, currencies: CURRENCIES, rates });
+    } catch (error) {
+        console.error("Error fetching exchange rates:", error);
+        res.status(500).send({ error: "Failed to fetch exchange rates" });
+    }
+};
+
+/**
+ * Create or update the rate of a currency against the base currency
+ */
+const setExchangeRate = async (req, res, exchangeRatesCollection) => {
+    try {
+        const currency = req.params.currency.toUpperCase();
+
+        if (!isValidCurrency(currency)) {
+            return res.status(404).send({ error: "Unsupported currency" });
+        }
+
+        if (currency === DEFAULT_CURRENCY) {
+            return res
+                .status(400)
+                .send({ error: `${DEFAULT_CURRENCY} is the base currency` });
+        }
+
+        const result = await exchangeRatesCollection.findOneAndUpdate(
+            { currency },
+            {
+                $set: {
+                    rate: req.body.rate,
+                    updatedAt: new Date().toISOString(),
+                    updatedBy: req.user.email,
+                },
+            },
+            { upsert: true, returnDocument: "after" }
+        );
+
+        res.send(result);
+    } catch (error) {
+        console.error("Error updating exchange rate:", error);
+        res.status(500).send({ error: "Failed to update exchange rate" });
+    }
+};
+
+/**
+ * Delete the rate of a currency
+ */
+const deleteExchangeRate = async (req, res, exchangeRatesCollection) => {
+    try {
+        const result = await exchangeRatesCollection.deleteOne({
+            currency: req.params.currency.toUpperCase(),
+        });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).send({ error: "Exchange rate not found" });
+        }
+
+        res.send(result);
+    } catch (error) {
+        console.error("Error deleting exchange rate:", error);
+        res.status(500).send({ error: "Failed to delete exchange rate" });
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    setExchangeRate,
+    deleteExchangeRate,
+};
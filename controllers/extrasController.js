@@ -0,0 +1,197 @@
+/**
+ * Extras Controller
+ * Handles the catalog of fleet-wide and per-car extras
+ */
+
+const { ObjectId } = require("mongodb");
+const { validateExtra } = require("../models/extras");
+const { ROLES } = require("../models/roles");
+const { sendValidationError } = require("../middleware/validate");
+const { getCarExtras } = require("../services/extrasService");
+
+/**
+ * Check whether the user may manage an extra with the given scope
+ * Returns an error message, or null when allowed
+ */
+const checkExtraAccess = async (extra, user, carsCollection) => {
+    if (user.role === ROLES.ADMIN) return null;
+
+    if (extra.scope !== "car") {
+        return "Only admins can manage fleet-wide extras";
+    }
+
+    const car = ObjectId.isValid(extra.carId)
+        ? await carsCollection.findOne({ _id: new ObjectId(extra.carId) })
+        : null;
+    if (!car || car.userEmail !== user.email) {
+        return "Only the car's owner can manage its extras";
+    }
+
+    return null;
+};
+
+/**
+ * Get the extras catalog
+ * With ?carId= returns the extras offered for that car, otherwise the
+ * fleet-wide extras
+ */
+const getExtras = async (req, res, extrasCollection, carsCollection) => {
+    try {
+        if (req.query.carId) {
+            if (!ObjectId.isValid(req.query.carId)) {
+                return res
+                    .status(400)
+                    .send({ error: "carId must be a valid id" });
+            }
+
+            const car = await carsCollection.findOne({
+                _id: new ObjectId(req.query.carId),
+            });
+
+            if (!car) {
+                return res.status(404).send({ error: "Car not found" });
+            }
+
+            return res.send(await getCarExtras(extrasCollection, car));
+        }
+
+        const extras = await extrasCollection
+            .find({ scope: "fleet", active: { $ne: false } })
+            .sort({ name: 1 })
+            .toArray();
+
+        res.send(extras);
+    } catch (error) {
+        console.error("Error fetching extras:", error);
+        res.status(500).send({ error: "Failed to fetch extras" });
+    }
+};
+
+/**
+ * Create a new extra
+ */
+const createExtra = async (req, res, extrasCollection, carsCollection) => {
+    try {
+        const extra = { ...req.body };
+
+        const accessError = await checkExtraAccess(
+            extra,
+            req.user,
+            carsCollection
+        );
+        if (accessError) {
+            return res.status(403).send({ error: accessError });
+        }
+
+        const result = await extrasCollection.insertOne({
+            ...extra,
+            createdBy: req.user.email,
+            createdAt: new Date().toISOString(),
+        });
+        res.status(201).send(result);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .send({ error: "An extra with this code already exists" });
+        }
+
+        console.error("Error creating extra:", error);
+        res.status(500).send({ error: "Failed to create extra" });
+    }
+};
+
+/**
+ * Update an extra (e.g. { active: false } to stop offering it)
+ */
+const updateExtra = async (req, res, extrasCollection, carsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Extra not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const extra = await extrasCollection.findOne(filter);
+
+        if (!extra) {
+            return res.status(404).send({ error: "Extra not found" });
+        }
+
+        // Validate the extra as it will be stored
+        const merged = { ...extra, ...req.body };
+        try {
+            validateExtra(merged);
+        } catch (error) {
+            return sendValidationError(res, [
+                { field: null, message: error.message },
+            ]);
+        }
+
+        // The user must be allowed to manage both the old and the new scope
+        for (const target of [extra, merged]) {
+            const accessError = await checkExtraAccess(
+                target,
+                req.user,
+                carsCollection
+            );
+            if (accessError) {
+                return res.status(403).send({ error: accessError });
+            }
+        }
+
+        const result = await extrasCollection.updateOne(filter, {
+            $set: { ...req.body, updatedAt: new Date().toISOString() },
+        });
+        res.send(result);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .send({ error: "An extra with this code already exists" });
+        }
+
+        console.error("Error updating extra:", error);
+        res.status(500).send({ error: "Failed to update extra" });
+    }
+};
+
+/**
+ * Delete an extra
+ * Bookings keep their own copy of the extras they were made with
+ */
+const deleteExtra = async (req, res, extrasCollection, carsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Extra not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const extra = await extrasCollection.findOne(filter);
+
+        if (!extra) {
+            return res.status(404).send({ error: "Extra not found" });
+        }
+
+        const accessError = await checkExtraAccess(
+            extra,
+            req.user,
+            carsCollection
+        );
+        if (accessError) {
+            return res.status(403).send({ error: accessError });
+        }
+
+        const result = await extrasCollection.deleteOne(filter);
+        res.send(result);
+    } catch (error) {
+        console.error("Error deleting extra:", error);
+        res.status(500).send({ error: "Failed to delete extra" });
+    }
+};
+
+module.exports = {
+    getExtras,
+    createExtra,
+    updateExtra,
+    deleteExtra,
+};
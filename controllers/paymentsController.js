@@ -0,0 +1,58 @@
+/**
+ * Payments Controller
+ * Handles payment provider webhooks
+ */
+
+const {
+    PaymentProviderError,
+    getPaymentProvider,
+} = require("../services/payments");
+const { handlePaymentEvent } = require("../services/paymentService");
+
+/**
+ * Receive a signed webhook from the configured payment provider
+ * Replayed events are acknowledged without being applied again; errors
+ * return 500 so the provider retries
+ */
+const handlePaymentWebhook = async (
+    req,
+    res,
+    bookingsCollection,
+    paymentEventsCollection
+) => {
+    try {
+        const provider = getPaymentProvider();
+        let event;
+
+        try {
+            event = provider.verifyWebhook(req.rawBody, req.headers);
+        } catch (error) {
+            if (error instanceof PaymentProviderError) {
+                return res.status(400).send({ error: error.message });
+            }
+            throw error;
+        }
+
+        if (!event.id || !event.type) {
+            return res
+                .status(400)
+                .send({ error: "Webhook event requires an id and type" });
+        }
+
+        const result = await handlePaymentEvent(
+            bookingsCollection,
+            paymentEventsCollection,
+            provider.name,
+            event
+        );
+
+        res.send({ received: true, ...result });
+    } catch (error) {
+        console.error("Error handling payment webhook:", error);
+        res.status(500).send({ error: "Failed to handle payment webhook" });
+    }
+};
+
+module.exports = {
+    handlePaymentWebhook,
+};
@@ -0,0 +1,270 @@
+/**
+ * Price Rules Controller
+ * Handles management of fleet-wide, per-owner and per-car price rules
+ */
+
+const { ObjectId } = require("mongodb");
+const { validatePriceRule } = require("../models/priceRules");
+const { ROLES } = require("../models/roles");
+const { sendValidationError } = require("../middleware/validate");
+const { resolvePriceRules } = require("../services/priceRulesService");
+const { listCalendars } = require("../services/holidayService");
+
+/**
+ * Check whether the user may manage a rule with the given scope
+ * Returns an error message, or null when allowed
+ */
+const checkRuleAccess = async (rule, user, carsCollection) => {
+    if (user.role === ROLES.ADMIN) return null;
+
+    if (rule.scope === "fleet") {
+        return "Only admins can manage fleet-wide rules";
+    }
+
+    if (rule.scope === "owner" && rule.ownerEmail !== user.email) {
+        return "Owners can only manage their own rules";
+    }
+
+    if (rule.scope === "car") {
+        const car = ObjectId.isValid(rule.carId)
+            ? await carsCollection.findOne({ _id: new ObjectId(rule.carId) })
+            : null;
+        if (!car || car.userEmail !== user.email) {
+            return "Only the car's owner can manage its rules";
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Get price rules
+ * Admins see all rules; other users see their owner rules and car rules
+ */
+const getPriceRules = async (
+    req,
+    res,
+    priceRulesCollection,
+    carsCollection
+) => {
+    try {
+        const { scope, carId, ownerEmail } = req.query;
+        const filter = {};
+
+        if (scope) filter.scope = scope;
+        if (carId) filter.carId = carId;
+        if (ownerEmail) filter.ownerEmail = ownerEmail;
+
+        if (req.user.role !== ROLES.ADMIN) {
+            const ownCars = await carsCollection
+                .find({ userEmail: req.user.email }, { projection: { _id: 1 } })
+                .toArray();
+
+            filter.$or = [
+                { scope: "owner", ownerEmail: req.user.email },
+                {
+                    scope: "car",
+                    carId: { $in: ownCars.map((car) => String(car._id)) },
+                },
+            ];
+        }
+
+        const rules = await priceRulesCollection
+            .find(filter)
+            .sort({ scope: 1, type: 1, name: 1 })
+            .toArray();
+
+        res.send(rules);
+    } catch (error) {
+        console.error("Error fetching price rules:", error);
+        res.status(500).send({ error: "Failed to fetch price rules" });
+    }
+};
+
+/**
+ * Get the effective rules for a car after precedence is applied
+ */
+const getEffectivePriceRules = async (
+    req,
+    res,
+    priceRulesCollection,
+    carsCollection
+) => {
+    try {
+        if (!ObjectId.isValid(req.params.carId)) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
+        const car = await carsCollection.findOne({
+            _id: new ObjectId(req.params.carId),
+        });
+
+        if (!car) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
+        const rules = await resolvePriceRules(priceRulesCollection, car);
+        res.send({ carId: req.params.carId, rules });
+    } catch (error) {
+        console.error("Error resolving price rules:", error);
+        res.status(500).send({ error: "Failed to resolve price rules" });
+    }
+};
+
+/**
+ * Get the holiday calendars holiday rules can reference
+ */
+const getHolidayCalendars = (req, res) => {
+    try {
+        res.send(listCalendars());
+    } catch (error) {
+        console.error("Error loading holiday calendars:", error);
+        res.status(500).send({ error: "Failed to load holiday calendars" });
+    }
+};
+
+/**
+ * Create a new price rule
+ */
+const createPriceRule = async (
+    req,
+    res,
+    priceRulesCollection,
+    carsCollection
+) => {
+    try {
+        const rule = { ...req.body };
+
+        // Owners create owner rules for themselves
+        if (rule.scope === "owner" && !rule.ownerEmail) {
+            rule.ownerEmail = req.user.email;
+        }
+
+        try {
+            validatePriceRule(rule);
+        } catch (error) {
+            return sendValidationError(res, [
+                { field: null, message: error.message },
+            ]);
+        }
+
+        const accessError = await checkRuleAccess(
+            rule,
+            req.user,
+            carsCollection
+        );
+        if (accessError) {
+            return res.status(403).send({ error: accessError });
+        }
+
+        const result = await priceRulesCollection.insertOne({
+            ...rule,
+            createdBy: req.user.email,
+            createdAt: new Date().toISOString(),
+        });
+        res.status(201).send(result);
+    } catch (error) {
+        console.error("Error creating price rule:", error);
+        res.status(500).send({ error: "Failed to create price rule" });
+    }
+};
+
+/**
+ * Update a price rule (e.g. { enabled: false } to switch it off)
+ */
+const updatePriceRule = async (
+    req,
+    res,
+    priceRulesCollection,
+    carsCollection
+) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Price rule not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const rule = await priceRulesCollection.findOne(filter);
+
+        if (!rule) {
+            return res.status(404).send({ error: "Price rule not found" });
+        }
+
+        // Validate the rule as it will be stored
+        const merged = { ...rule, ...req.body };
+        try {
+            validatePriceRule(merged);
+        } catch (error) {
+            return sendValidationError(res, [
+                { field: null, message: error.message },
+            ]);
+        }
+
+        // The user must be allowed to manage both the old and the new scope
+        for (const target of [rule, merged]) {
+            const accessError = await checkRuleAccess(
+                target,
+                req.user,
+                carsCollection
+            );
+            if (accessError) {
+                return res.status(403).send({ error: accessError });
+            }
+        }
+
+        const result = await priceRulesCollection.updateOne(filter, {
+            $set: { ...req.body, updatedAt: new Date().toISOString() },
+        });
+        res.send(result);
+    } catch (error) {
+        console.error("Error updating price rule:", error);
+        res.status(500).send({ error: "Failed to update price rule" });
+    }
+};
+
+/**
+ * Delete a price rule
+ */
+const deletePriceRule = async (
+    req,
+    res,
+    priceRulesCollection,
+    carsCollection
+) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(404).send({ error: "Price rule not found" });
+        }
+
+        const filter = { _id: new ObjectId(req.params.id) };
+        const rule = await priceRulesCollection.findOne(filter);
+
+        if (!rule) {
+            return res.status(404).send({ error: "Price rule not found" });
+        }
+
+        const accessError = await checkRuleAccess(
+            rule,
+            req.user,
+            carsCollection
+        );
+        if (accessError) {
+            return res.status(403).send({ error: accessError });
+        }
+
+        const result = await priceRulesCollection.deleteOne(filter);
+        res.send(result);
+    } catch (error) {
+        console.error("Error deleting price rule:", error);
+        res.status(500).send({ error: "Failed to delete price rule" });
+    }
+};
+
+module.exports = {
+    getPriceRules,
+    getEffectivePriceRules,
+    getHolidayCalendars,
+    createPriceRule,
+    updatePriceRule,
+    deletePriceRule,
+};
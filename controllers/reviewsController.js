@@ -0,0 +1,263 @@
+/**
+ * Reviews Controller
+ * Handles car reviews by renters and their moderation by car owners
+ */
+
+const { ObjectId } = require("mongodb");
+const { BOOKING_STATUS } = require("../models/bookingStatus");
+const { REVIEW_STATUS, calculateReviewRating } = require("../models/reviews");
+const { addReview, changeReviewStatus } = require("../services/reviewService");
+const { findPage, parsePageQuery } = require("../services/paginationService");
+
+const REVIEW_SORT = { createdAt: -1, _id: -1 };
+
+/**
+ * Send one page of reviews, newest first
+ * Cursors are sent in the X-Next-Cursor and X-Prev-Cursor headers
+ */
+const sendReviewPage = async (req, res, reviewsCollection, filter) => {
+    const page = parsePageQuery(req.query, REVIEW_SORT, "createdAt_desc", {
+        defaultLimit: 20,
+    });
+    if (page.error) {
+        return res.status(400).send({ error: page.error });
+    }
+
+    const { items, nextCursor, prevCursor } = await findPage(
+        reviewsCollection,
+        filter,
+        {
+            sort: REVIEW_SORT,
+            sortName: "createdAt_desc",
+            cursor: page.cursor,
+            limit: page.limit,
+        }
+    );
+
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    if (prevCursor) res.set("X-Prev-Cursor", prevCursor);
+
+    res.send(items);
+};
+
+/**
+ * Get the published reviews of a car
+ */
+const getCarReviews = async (req, res, reviewsCollection) => {
+    try {
+        await sendReviewPage(req, res, reviewsCollection, {
+            carId: req.params.id,
+            status: REVIEW_STATUS.PUBLISHED,
+        });
+    } catch (error) {
+        console.error("Error fetching reviews:", error);
+        res.status(500).send({ error: "Failed to fetch reviews" });
+    }
+};
+
+/**
+ * Get every review of a car, hidden ones included, for its owner
+ * (?status= narrows to published or hidden reviews)
+ */
+const getReviewsForModeration = async (req, res, reviewsCollection) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !Object.values(REVIEW_STATUS).includes(status)) {
+            return res.status(400).send({ error: "Invalid review status" });
+        }
+
+        await sendReviewPage(req, res, reviewsCollection, {
+            carId: req.params.id,
+            ...(status && { status }),
+        });
+    } catch (error) {
+        console.error("Error fetching reviews for moderation:", error);
+        res.status(500).send({ error: "Failed to fetch reviews" });
+    }
+};
+
+/**
+ * Review a car after a completed booking
+ * Only the renter may review, once per booking
+ */
+const createReview = async (
+    req,
+    res,
+    reviewsCollection,
+    carsCollection,
+    bookingsCollection
+) => {
+    try {
+        const carId = req.params.id;
+        const { bookingId, ratings, text, userName } = req.body;
+
+        if (!ObjectId.isValid(carId)) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
+        const car = await carsCollection.findOne({ _id: new ObjectId(carId) });
+        if (!car) {
+            return res.status(404).send({ error: "Car not found" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+            _id: new ObjectId(bookingId),
+        });
+        if (!booking || String(booking.carId) !== String(car._id)) {
+            return res
+                .status(404)
+                .send({ error: "Booking not found for this car" });
+        }
+
+        if (booking.userEmail !== req.user.email) {
+            return res
+                .status(403)
+                .send({ error: "Only the renter can review this booking" });
+        }
+
+        if (booking.status !== BOOKING_STATUS.COMPLETED) {
+            return res
+                .status(409)
+                .send({ error: "Only completed bookings can be reviewed" });
+        }
+
+        const review = {
+            carId: String(car._id),
+            bookingId: String(booking._id),
+            userEmail: booking.userEmail,
+            userName: userName || booking.userName || null,
+            ratings,
+            rating: calculateReviewRating(ratings),
+            text: text || "",
+            status: REVIEW_STATUS.PUBLISHED,
+            createdAt: new Date().toISOString(),
+        };
+
+        const result = await addReview(
+            { reviewsCollection, carsCollection },
+            review
+        );
+        res.status(201).send({ ...result, review });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .send({ error: "This booking has already been reviewed" });
+        }
+
+        console.error("Error creating review:", error);
+        res.status(500).send({ error: "Failed to create review" });
+    }
+};
+
+/**
+ * Publish or hide a review (car owner or admin)
+ * Hidden reviews are left out of the car's rating
+ */
+const moderateReview = async (req, res, reviewsCollection, carsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.reviewId)) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        const review = await reviewsCollection.findOne({
+            _id: new ObjectId(req.params.reviewId),
+            carId: req.params.id,
+        });
+
+        if (!review) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        const updated = await changeReviewStatus(
+            { reviewsCollection, carsCollection },
+            review,
+            {
+                status: req.body.status,
+                reason: req.body.reason,
+                by: req.user.email,
+            }
+        );
+
+        if (!updated) {
+            return res.status(409).send({
+                error: "Review was moderated at the same time, please retry",
+            });
+        }
+
+        res.send(updated);
+    } catch (error) {
+        console.error("Error moderating review:", error);
+        res.status(500).send({ error: "Failed to moderate review" });
+    }
+};
+
+/**
+ * Reply to a review, replacing any earlier reply (car owner or admin)
+ */
+const replyToReview = async (req, res, reviewsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.reviewId)) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        const updated = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.reviewId), carId: req.params.id },
+            {
+                $set: {
+                    reply: {
+                        text: req.body.text,
+                        by: req.user.email,
+                        at: new Date().toISOString(),
+                    },
+                },
+            },
+            { returnDocument: "after" }
+        );
+
+        if (!updated) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        res.send(updated);
+    } catch (error) {
+        console.error("Error replying to review:", error);
+        res.status(500).send({ error: "Failed to reply to review" });
+    }
+};
+
+/**
+ * Remove the reply of a review (car owner or admin)
+ */
+const deleteReviewReply = async (req, res, reviewsCollection) => {
+    try {
+        if (!ObjectId.isValid(req.params.reviewId)) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        const updated = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.reviewId), carId: req.params.id },
+            { $unset: { reply: "" } },
+            { returnDocument: "after" }
+        );
+
+        if (!updated) {
+            return res.status(404).send({ error: "Review not found" });
+        }
+
+        res.send(updated);
+    } catch (error) {
+        console.error("Error deleting review reply:", error);
+        res.status(500).send({ error: "Failed to delete review reply" });
+    }
+};
+
+module.exports = {
+    getCarReviews,
+    getReviewsForModeration,
+    createReview,
+    moderateReview,
+    replyToReview,
+    deleteReviewReply,
+};
@@ -14,9 +14,34 @@ const cors = require("cors");
 const { initializeFirebase } = require("./config/firebase");
 const { connectDB, getDB, closeDB } = require("./config/database");
 
+// Import services
+const { ensureReservationIndexes } = require("./services/reservationService");
+const { ensureCouponIndexes } = require("./services/couponService");
+const { ensurePriceRuleIndexes } = require("./services/priceRulesService");
+const { ensureExchangeRateIndexes } = require("./services/exchangeRateService");
+const { ensureExtraIndexes } = require("./services/extrasService");
+const { ensurePaymentIndexes } = require("./services/paymentService");
+const { startHoldSweeper } = require("./services/bookingExpiryService");
+const {
+    ensureDepositIndexes,
+    startDepositSettlementRetries,
+} = require("./services/depositService");
+const { ensureCarGeoIndexes } = require("./services/geoService");
+const { ensureCarSearchIndexes } = require("./services/carSearchService");
+const {
+    ensureReviewIndexes,
+    seedLegacyCarRatings,
+} = require("./services/reviewService");
+
 // Import routes
 const carsRoutes = require("./routes/carsRoutes");
 const bookingsRoutes = require("./routes/bookingsRoutes");
+const couponsRoutes = require("./routes/couponsRoutes");
+const priceRulesRoutes = require("./routes/priceRulesRoutes");
+const exchangeRatesRoutes = require("./routes/exchangeRatesRoutes");
+const extrasRoutes = require("./routes/extrasRoutes");
+const paymentsRoutes = require("./routes/paymentsRoutes");
+const reviewsRoutes = require("./routes/reviewsRoutes");
 
 // Initialize Express app
 const app = express();
@@ -26,8 +51,20 @@ const PORT = process.env.PORT || 5000;
 initializeFirebase();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(
+    cors({
+        // Cursors of list endpoints are sent in response headers
+        exposedHeaders: ["X-Next-Cursor", "X-Prev-Cursor"],
+    })
+);
+app.use(
+    express.json({
+        // Payment webhooks are verified against the exact bytes received
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -38,6 +75,12 @@ app.get("/", (req, res) => {
         endpoints: {
             cars: "/api/cars",
             bookings: "/api/bookings",
+            coupons: "/api/coupons",
+            priceRules: "/api/price-rules",
+            exchangeRates: "/api/exchange-rates",
+            extras: "/api/extras",
+            payments: "/api/payments",
+            reviews: "/api/cars/:id/reviews",
             health: "/health",
         },
     });
@@ -63,6 +106,13 @@ const startServer = async () => {
         const carsCollection = db.collection("cars");
         const bookingsCollection = db.collection("bookings");
         const couponsCollection = db.collection("coupons");
+        const usersCollection = db.collection("users");
+        const redemptionsCollection = db.collection("couponRedemptions");
+        const priceRulesCollection = db.collection("priceRules");
+        const exchangeRatesCollection = db.collection("exchangeRates");
+        const extrasCollection = db.collection("extras");
+        const paymentEventsCollection = db.collection("paymentEvents");
+        const reviewsCollection = db.collection("reviews");
 
         // Initialize default coupons if collection is empty
         const couponCount = await couponsCollection.countDocuments();
@@ -72,16 +122,95 @@ const startServer = async () => {
             console.log("✅ Default coupons initialized");
         }
 
+        // Indexes backing the booking overlap check, coupon codes, price
+        // rule lookups, exchange rates, extras, payment webhooks, deposit
+        // settlements, car search and reviews
+        await ensureReservationIndexes(bookingsCollection);
+        await ensureCouponIndexes(couponsCollection, redemptionsCollection);
+        await ensurePriceRuleIndexes(priceRulesCollection);
+        await ensureExchangeRateIndexes(exchangeRatesCollection);
+        await ensureExtraIndexes(extrasCollection);
+        await ensurePaymentIndexes(paymentEventsCollection, bookingsCollection);
+        await ensureDepositIndexes(bookingsCollection);
+        await ensureCarGeoIndexes(carsCollection);
+        await ensureCarSearchIndexes(carsCollection);
+        await ensureReviewIndexes(reviewsCollection);
+        await seedLegacyCarRatings(carsCollection);
+
+        // Expire pending bookings whose hold has run out
+        startHoldSweeper({
+            bookingsCollection,
+            couponsCollection,
+            redemptionsCollection,
+        });
+
+        // Retry deposit settlements the payment provider failed
+        startDepositSettlementRetries(bookingsCollection);
+
         // Initialize routes
-        app.use("/api/cars", carsRoutes(carsCollection));
+        app.use(
+            "/api/cars/:id/reviews",
+            reviewsRoutes(
+                reviewsCollection,
+                carsCollection,
+                bookingsCollection,
+                usersCollection
+            )
+        );
+        app.use(
+            "/api/cars",
+            carsRoutes(
+                carsCollection,
+                usersCollection,
+                bookingsCollection,
+                priceRulesCollection,
+                exchangeRatesCollection
+            )
+        );
         app.use(
             "/api/bookings",
             bookingsRoutes(
                 bookingsCollection,
                 carsCollection,
-                couponsCollection
+                couponsCollection,
+                usersCollection,
+                redemptionsCollection,
+                priceRulesCollection,
+                exchangeRatesCollection,
+                extrasCollection
             )
         );
+        app.use(
+            "/api/coupons",
+            couponsRoutes(
+                couponsCollection,
+                redemptionsCollection,
+                usersCollection
+            )
+        );
+        app.use(
+            "/api/price-rules",
+            priceRulesRoutes(
+                priceRulesCollection,
+                carsCollection,
+                usersCollection
+            )
+        );
+
+        app.use(
+            "/api/exchange-rates",
+            exchangeRatesRoutes(exchangeRatesCollection, usersCollection)
+        );
+
+        app.use(
+            "/api/extras",
+            extrasRoutes(extrasCollection, carsCollection, usersCollection)
+        );
+
+        app.use(
+            "/api/payments",
+            paymentsRoutes(bookingsCollection, paymentEventsCollection)
+        );
 
         // 404 handler
         app.use((req, res) => {
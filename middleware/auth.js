@@ -1,9 +1,12 @@
 /**
  * Authentication Middleware
- * Handles Firebase token verification and email verification
+ * Handles Firebase token verification, email verification, roles and
+ * ownership checks
  */
 
+const { ObjectId } = require("mongodb");
 const { admin } = require("../config/firebase");
+const { ROLES, DEFAULT_ROLE, isValidRole } = require("../models/roles");
 
 /**
  * Verify Firebase ID Token Middleware
@@ -28,6 +31,19 @@ const verifyFirebaseToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Optional Firebase Token Middleware
+ * Verifies the token when one is sent; anonymous requests continue without
+ * req.decoded
+ */
+const optionalFirebaseToken = async (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
+    }
+
+    return verifyFirebaseToken(req, res, next);
+};
+
 /**
  * Verify User Email Middleware
  * Ensures the requesting user's email matches the decoded token email
@@ -48,7 +64,136 @@ const verifyTokenEmail = async (req, res, next) => {
     next();
 };
 
+/**
+ * Load User Role Middleware
+ * Resolves the user's role from the Firebase custom claim, then the users
+ * collection, and exposes it as req.user
+ */
+const loadUserRole = (usersCollection) => async (req, res, next) => {
+    try {
+        const { uid, email } = req.decoded;
+        let role = req.decoded.role;
+
+        if (!isValidRole(role) && usersCollection) {
+            const user = await usersCollection.findOne({ email });
+            role = user?.role;
+        }
+
+        req.user = {
+            uid,
+            email,
+            role: isValidRole(role) ? role : DEFAULT_ROLE,
+        };
+        next();
+    } catch (error) {
+        console.error("Error loading user role:", error);
+        res.status(500).send({ error: "Failed to load user role" });
+    }
+};
+
+/**
+ * Require Role Middleware
+ * Only lets users holding one of the given roles through
+ */
+const requireRole =
+    (...roles) =>
+    (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res
+                .status(403)
+                .send({ error: "Forbidden - Insufficient role" });
+        }
+
+        next();
+    };
+
+/**
+ * Require Car Ownership Middleware
+ * Only the car's owner (userEmail on the car) or an admin may continue;
+ * the car is exposed as req.car
+ */
+const requireCarOwnership =
+    (carsCollection, param = "id") =>
+    async (req, res, next) => {
+        try {
+            // A malformed id cannot match a car
+            const id = req.params[param];
+            const car = ObjectId.isValid(id)
+                ? await carsCollection.findOne({ _id: new ObjectId(id) })
+                : null;
+
+            if (!car) {
+                return res.status(404).send({ error: "Car not found" });
+            }
+
+            if (
+                req.user.role !== ROLES.ADMIN &&
+                car.userEmail !== req.user.email
+            ) {
+                return res
+                    .status(403)
+                    .send({ error: "Forbidden - Not the car owner" });
+            }
+
+            req.car = car;
+            next();
+        } catch (error) {
+            console.error("Error checking car ownership:", error);
+            res.status(500).send({ error: "Failed to verify car ownership" });
+        }
+    };
+
+/**
+ * Require Booking Access Middleware
+ * Only the renter, the booked car's owner or an admin may continue;
+ * the booking and car are exposed as req.booking and req.car
+ */
+const requireBookingAccess =
+    (bookingsCollection, carsCollection) => async (req, res, next) => {
+        try {
+            // A malformed id cannot match a booking or car
+            const booking = ObjectId.isValid(req.params.id)
+                ? await bookingsCollection.findOne({
+                      _id: new ObjectId(req.params.id),
+                  })
+                : null;
+
+            if (!booking) {
+                return res.status(404).send({ error: "Booking not found" });
+            }
+
+            const car = ObjectId.isValid(booking.carId)
+                ? await carsCollection.findOne({
+                      _id: new ObjectId(booking.carId),
+                  })
+                : null;
+
+            const { email, role } = req.user;
+            if (
+                role !== ROLES.ADMIN &&
+                booking.userEmail !== email &&
+                car?.userEmail !== email
+            ) {
+                return res
+                    .status(403)
+                    .send({ error: "Forbidden - No access to this booking" });
+            }
+
+            req.booking = booking;
+            req.car = car;
+            next();
+        } catch (error) {
+            console.error("Error checking booking access:", error);
+            res.status(500).send({ error: "Failed to verify booking access" });
+        }
+    };
+
 module.exports = {
     verifyFirebaseToken,
+    optionalFirebaseToken,
     verifyTokenEmail,
+    loadUserRole,
+    requireRole,
+    requireCarOwnership,
+    requireBookingAccess,
 };
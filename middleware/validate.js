@@ -0,0 +1,288 @@
+/**
+ * Validation Middleware
+ * Declarative request body validation for write routes
+ */
+
+/**
+ * A schema maps field names to rules:
+ * {
+ *   dailyRentalPrice: { type: 'number', required: true, min: 0 },
+ *   features: { type: 'array', items: { type: 'string' } },
+ *   status: { readOnly: 'Use the lifecycle endpoints' }
+ * }
+ *
+ * Supported rule keys: type ('string' | 'number' | 'integer' | 'boolean' |
+ * 'date' | 'email' | 'objectId' | 'array' | 'object' | 'any', or a list of
+ * them), required, default, enum, min, max, minLength, maxLength, trim,
+ * uppercase, lowercase, items, properties, validate (throws to reject) and
+ * readOnly (rejects the field with the given message).
+ *
+ * A schema-level `$validate` function receives the cleaned object and throws
+ * to reject it (used for the model validators such as validateCoupon).
+ *
+ * Fields not declared in the schema are stripped. Values are coerced to the
+ * declared type (numeric strings to numbers, dates to ISO strings).
+ */
+
+const { ObjectId } = require("mongodb");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Coerce a value to a single type; returns { value } or { error }
+ */
+const coerceType = (type, value) => {
+    switch (type) {
+        case "string":
+            if (typeof value === "string") return { value };
+            if (typeof value === "number") return { value: String(value) };
+            return { error: "must be a string" };
+
+        case "number":
+        case "integer": {
+            const num =
+                typeof value === "string" && value.trim() !== ""
+                    ? Number(value)
+                    : value;
+            if (typeof num !== "number" || !Number.isFinite(num)) {
+                return {
+                    error: `must be a${type === "integer" ? "n" : ""} ${type}`,
+                };
+            }
+            if (type === "integer" && !Number.isInteger(num)) {
+                return { error: "must be an integer" };
+            }
+            return { value: num };
+        }
+
+        case "boolean":
+            if (typeof value === "boolean") return { value };
+            if (value === "true") return { value: true };
+            if (value === "false") return { value: false };
+            return { error: "must be a boolean" };
+
+        case "date": {
+            const date =
+                typeof value === "string" || typeof value === "number"
+                    ? new Date(value)
+                    : value;
+            if (!(date instanceof Date) || isNaN(date.getTime())) {
+                return { error: "must be a valid date" };
+            }
+            return { value: date.toISOString() };
+        }
+
+        case "email":
+            if (
+                typeof value !== "string" ||
+                !EMAIL_PATTERN.test(value.trim())
+            ) {
+                return { error: "must be a valid email address" };
+            }
+            return { value: value.trim().toLowerCase() };
+
+        case "objectId":
+            if (!ObjectId.isValid(value)) {
+                return { error: "must be a valid id" };
+            }
+            return { value: String(value) };
+
+        case "array":
+            return Array.isArray(value)
+                ? { value }
+                : { error: "must be an array" };
+
+        case "object":
+            return value && typeof value === "object" && !Array.isArray(value)
+                ? { value }
+                : { error: "must be an object" };
+
+        default:
+            return { value };
+    }
+};
+
+/**
+ * Validate a single value against its rule, collecting errors
+ */
+const validateValue = (rule, value, field, errors) => {
+    const types = [].concat(rule.type || "any");
+
+    let result = { error: `must be of type ${types.join(" or ")}` };
+    for (const type of types) {
+        const attempt = coerceType(type, value);
+        if (!attempt.error) {
+            result = { value: attempt.value, type };
+            break;
+        }
+        if (types.length === 1) result = attempt;
+    }
+
+    if (result.error) {
+        errors.push({ field, message: result.error });
+        return undefined;
+    }
+
+    let cleaned = result.value;
+
+    if (typeof cleaned === "string") {
+        if (rule.trim) cleaned = cleaned.trim();
+        if (rule.uppercase) cleaned = cleaned.toUpperCase();
+        if (rule.lowercase) cleaned = cleaned.toLowerCase();
+
+        if (rule.minLength !== undefined && cleaned.length < rule.minLength) {
+            errors.push({
+                field,
+                message: `must be at least ${rule.minLength} characters`,
+            });
+        }
+        if (rule.maxLength !== undefined && cleaned.length > rule.maxLength) {
+            errors.push({
+                field,
+                message: `must be at most ${rule.maxLength} characters`,
+            });
+        }
+    }
+
+    if (typeof cleaned === "number") {
+        if (rule.min !== undefined && cleaned < rule.min) {
+            errors.push({ field, message: `must be at least ${rule.min}` });
+        }
+        if (rule.max !== undefined && cleaned > rule.max) {
+            errors.push({ field, message: `must be at most ${rule.max}` });
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(cleaned)) {
+        errors.push({
+            field,
+            message: `must be one of: ${rule.enum.join(", ")}`,
+        });
+    }
+
+    if (result.type === "array" && rule.items) {
+        cleaned = cleaned.map((item, index) =>
+            validateValue(rule.items, item, `${field}[${index}]`, errors)
+        );
+    }
+
+    if (result.type === "object" && rule.properties) {
+        cleaned = validateObject(rule.properties, cleaned, errors, {
+            prefix: `${field}.`,
+        });
+    }
+
+    if (rule.validate) {
+        try {
+            rule.validate(cleaned);
+        } catch (error) {
+            errors.push({ field, message: error.message });
+        }
+    }
+
+    return cleaned;
+};
+
+/**
+ * Validate an object against a schema, collecting errors
+ * In partial mode (updates) missing required fields and defaults are
+ * skipped; a required field sent as null or "" is still rejected
+ */
+const validateObject = (
+    schema,
+    data,
+    errors,
+    { partial = false, prefix = "" } = {}
+) => {
+    const cleaned = {};
+    const input = data && typeof data === "object" ? data : {};
+
+    for (const [key, rule] of Object.entries(schema)) {
+        if (key === "$validate") continue;
+
+        const field = `${prefix}${key}`;
+        const value = input[key];
+        const present = value !== undefined && value !== null && value !== "";
+
+        if (rule.readOnly) {
+            if (key in input) {
+                errors.push({ field, message: rule.readOnly });
+            }
+            continue;
+        }
+
+        if (!present) {
+            // Updates may leave required fields out, but not clear them
+            if (rule.required && (!partial || key in input)) {
+                errors.push({ field, message: "is required" });
+            } else if (rule.default !== undefined && !partial) {
+                cleaned[key] =
+                    typeof rule.default === "function"
+                        ? rule.default()
+                        : rule.default;
+            } else if (value === null && partial) {
+                cleaned[key] = null;
+            }
+            continue;
+        }
+
+        cleaned[key] = validateValue(rule, value, field, errors);
+    }
+
+    return cleaned;
+};
+
+/**
+ * Validate data against a schema
+ * Returns { value, errors } where value holds only declared, coerced fields
+ */
+const validateSchema = (schema, data, options = {}) => {
+    const errors = [];
+    const value = validateObject(schema, data, errors, options);
+
+    if (options.partial && errors.length === 0 && !Object.keys(value).length) {
+        errors.push({ field: null, message: "No updatable fields provided" });
+    }
+
+    if (errors.length === 0 && schema.$validate) {
+        try {
+            schema.$validate(value, options);
+        } catch (error) {
+            errors.push({ field: null, message: error.message });
+        }
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Send the standard validation failure response
+ */
+const sendValidationError = (res, errors) =>
+    res.status(422).send({
+        error: "Validation failed",
+        details: errors,
+    });
+
+/**
+ * Validate Body Middleware
+ * Replaces req.body with the cleaned value or responds with 422
+ */
+const validateBody =
+    (schema, options = {}) =>
+    (req, res, next) => {
+        const { value, errors } = validateSchema(schema, req.body, options);
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        req.body = value;
+        next();
+    };
+
+module.exports = {
+    validateSchema,
+    validateBody,
+    sendValidationError,
+};
@@ -0,0 +1,84 @@
+/**
+ * Booking Status Model
+ * Defines the booking lifecycle and which transitions are allowed
+ */
+
+/**
+ * Lifecycle:
+ *
+ *   pending ──confirm──▶ confirmed ──pickup──▶ active ──return──▶ completed
+ *      │                    │
+ *      ├──cancel──▶ cancelled ◀──cancel──┤
+ *      │                    │
+ *      └──expire──▶ expired └──no-show──▶ no_show
+ */
+
+const BOOKING_STATUS = {
+    PENDING: "pending",
+    CONFIRMED: "confirmed",
+    ACTIVE: "active",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+    NO_SHOW: "no_show",
+    EXPIRED: "expired",
+};
+
+/**
+ * Actors that can trigger a transition:
+ * - renter: the user who made the booking (booking.userEmail)
+ * - owner: the owner of the booked car (car.userEmail)
+ * - admin: fleet administrators
+ * - system: internal jobs (hold expiry, payment callbacks)
+ */
+const BOOKING_TRANSITIONS = {
+    confirm: {
+        from: [BOOKING_STATUS.PENDING],
+        to: BOOKING_STATUS.CONFIRMED,
+        actors: ["owner", "admin", "system"],
+    },
+    cancel: {
+        from: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED],
+        to: BOOKING_STATUS.CANCELLED,
+        actors: ["renter", "owner", "admin"],
+    },
+    pickup: {
+        from: [BOOKING_STATUS.CONFIRMED],
+        to: BOOKING_STATUS.ACTIVE,
+        actors: ["owner", "admin"],
+    },
+    return: {
+        from: [BOOKING_STATUS.ACTIVE],
+        to: BOOKING_STATUS.COMPLETED,
+        actors: ["owner", "admin"],
+    },
+    "no-show": {
+        from: [BOOKING_STATUS.CONFIRMED],
+        to: BOOKING_STATUS.NO_SHOW,
+        actors: ["owner", "admin"],
+    },
+    expire: {
+        from: [BOOKING_STATUS.PENDING],
+        to: BOOKING_STATUS.EXPIRED,
+        actors: ["system"],
+    },
+};
+
+/**
+ * Get the transition definition for an action name
+ */
+const getTransition = (action) => BOOKING_TRANSITIONS[action] || null;
+
+/**
+ * Check if a transition may start from the given status
+ */
+const canTransition = (action, currentStatus) => {
+    const transition = getTransition(action);
+    return Boolean(transition && transition.from.includes(currentStatus));
+};
+
+module.exports = {
+    BOOKING_STATUS,
+    BOOKING_TRANSITIONS,
+    getTransition,
+    canTransition,
+};
@@ -0,0 +1,71 @@
+/**
+ * Cancellation Policies Model
+ * Defines the cancellation policies owners can attach to a car
+ */
+
+/**
+ * Each policy is a list of refund tiers. A tier applies when the booking is
+ * cancelled at least `minHoursBefore` hours before its startDate; the first
+ * matching tier (largest minHoursBefore) wins. Cancelling after the start
+ * date refunds nothing.
+ *
+ * Attach a policy to a car with:
+ * {
+ *   cancellationPolicy: 'strict'
+ * }
+ */
+
+const CANCELLATION_POLICIES = {
+    flexible: {
+        name: "Flexible",
+        description:
+            "Full refund up to 24 hours before pickup, 50% refund after that",
+        tiers: [
+            { minHoursBefore: 24, refundPct: 100 },
+            { minHoursBefore: 0, refundPct: 50 },
+        ],
+    },
+    moderate: {
+        name: "Moderate",
+        description:
+            "Full refund up to 5 days before pickup, 50% refund up to 24 hours before pickup",
+        tiers: [
+            { minHoursBefore: 120, refundPct: 100 },
+            { minHoursBefore: 24, refundPct: 50 },
+            { minHoursBefore: 0, refundPct: 0 },
+        ],
+    },
+    strict: {
+        name: "Strict",
+        description:
+            "Full refund up to 14 days before pickup, 50% refund up to 7 days before pickup",
+        tiers: [
+            { minHoursBefore: 336, refundPct: 100 },
+            { minHoursBefore: 168, refundPct: 50 },
+            { minHoursBefore: 0, refundPct: 0 },
+        ],
+    },
+};
+
+const DEFAULT_CANCELLATION_POLICY = "moderate";
+
+/**
+ * Check if a policy key is known
+ */
+const isValidCancellationPolicy = (key) =>
+    Object.prototype.hasOwnProperty.call(CANCELLATION_POLICIES, key);
+
+/**
+ * Resolve the policy key for a car (falls back to the default policy)
+ */
+const getCancellationPolicyKey = (car) =>
+    car && isValidCancellationPolicy(car.cancellationPolicy)
+        ? car.cancellationPolicy
+        : DEFAULT_CANCELLATION_POLICY;
+
+module.exports = {
+    CANCELLATION_POLICIES,
+    DEFAULT_CANCELLATION_POLICY,
+    isValidCancellationPolicy,
+    getCancellationPolicyKey,
+};
@@ -3,6 +3,8 @@
  * Defines coupon structures and validation
  */
 
+const { DEFAULT_CURRENCY, isValidCurrency } = require("./currencies");
+
 /**
  * Sample Coupons:
  *
@@ -16,16 +18,58 @@
  *   usageCount: 0
  * }
  *
- * Flat Discount:
+ * Flat Discount (flat, minSubtotal and maxDiscount are in the coupon's
+ * currency, or DEFAULT_CURRENCY when it declares none):
  * {
  *   code: 'SAVE50',
  *   flat: 50,
+ *   currency: 'USD',
  *   expiresAt: '2025-12-31T23:59:59Z',
  *   active: true,
  *   usageLimit: 50,
  *   usageCount: 0
  * }
+ *
+ * Optional restrictions:
+ * {
+ *   firstBookingOnly: true,          // user must have no earlier bookings
+ *   perUserLimit: 1,                 // redemptions per user
+ *   allowedEmails: ['vip@example.com'],
+ *   allowedDomains: ['company.com'],
+ *   allowedCarIds: ['665f...'],
+ *   allowedCarTypes: ['SUV'],
+ *   minSubtotal: 100,                // subtotal after length discount
+ *   maxDiscount: 75                  // caps percentage discounts
+ * }
+ */
+
+/**
+ * Reason codes returned with couponError
+ */
+const COUPON_ERRORS = {
+    NOT_FOUND: "COUPON_NOT_FOUND",
+    INACTIVE: "COUPON_INACTIVE",
+    EXPIRED: "COUPON_EXPIRED",
+    USAGE_LIMIT_REACHED: "COUPON_USAGE_LIMIT_REACHED",
+    SIGN_IN_REQUIRED: "COUPON_SIGN_IN_REQUIRED",
+    USER_NOT_ALLOWED: "COUPON_USER_NOT_ALLOWED",
+    FIRST_BOOKING_ONLY: "COUPON_FIRST_BOOKING_ONLY",
+    PER_USER_LIMIT_REACHED: "COUPON_PER_USER_LIMIT_REACHED",
+    CAR_NOT_ELIGIBLE: "COUPON_CAR_NOT_ELIGIBLE",
+    MIN_DAYS: "COUPON_MIN_DAYS",
+    MIN_SUBTOTAL: "COUPON_MIN_SUBTOTAL",
+};
+
+/**
+ * Error thrown by applyCouponDiscount, carrying a reason code
  */
+class CouponError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "CouponError";
+        this.code = code;
+    }
+}
 
 const DEFAULT_COUPONS = [
     {
@@ -36,6 +80,8 @@ const DEFAULT_COUPONS = [
         description: "Welcome discount - 10% off your first booking",
         usageLimit: 1000,
         usageCount: 0,
+        firstBookingOnly: true,
+        perUserLimit: 1,
     },
     {
         code: "SUMMER20",
@@ -49,6 +95,7 @@ const DEFAULT_COUPONS = [
     {
         code: "SAVE50",
         flat: 50,
+        currency: DEFAULT_CURRENCY,
         expiresAt: "2025-12-31T23:59:59Z",
         active: true,
         description: "Save $50 on your booking",
@@ -91,32 +138,131 @@ const validateCoupon = (coupon) => {
         throw new Error("Expiration date is required");
     }
 
+    if (coupon.currency !== undefined && !isValidCurrency(coupon.currency)) {
+        throw new Error("Unsupported coupon currency");
+    }
+
     return true;
 };
 
 /**
  * Check if coupon is valid for use
+ *
+ * Without a context only the coupon itself is checked. With a context the
+ * per-user and per-car restrictions are evaluated too:
+ * { userEmail, car, userBookingCount, userRedemptionCount }
  */
-const isCouponValid = (coupon) => {
+const isCouponValid = (coupon, context = null) => {
     if (!coupon.active) {
-        return { valid: false, reason: "Coupon is no longer active" };
+        return {
+            valid: false,
+            reason: "Coupon is no longer active",
+            code: COUPON_ERRORS.INACTIVE,
+        };
     }
 
     const now = new Date();
     const expiresAt = new Date(coupon.expiresAt);
 
     if (now > expiresAt) {
-        return { valid: false, reason: "Coupon has expired" };
+        return {
+            valid: false,
+            reason: "Coupon has expired",
+            code: COUPON_ERRORS.EXPIRED,
+        };
     }
 
     if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
-        return { valid: false, reason: "Coupon usage limit reached" };
+        return {
+            valid: false,
+            reason: "Coupon usage limit reached",
+            code: COUPON_ERRORS.USAGE_LIMIT_REACHED,
+        };
+    }
+
+    if (!context) {
+        return { valid: true };
+    }
+
+    const { userEmail, car } = context;
+    const restrictedToUsers =
+        coupon.allowedEmails?.length || coupon.allowedDomains?.length;
+    const userRestricted =
+        restrictedToUsers || coupon.firstBookingOnly || coupon.perUserLimit;
+
+    if (userRestricted && !userEmail) {
+        return {
+            valid: false,
+            reason: "Sign in to use this coupon",
+            code: COUPON_ERRORS.SIGN_IN_REQUIRED,
+        };
+    }
+
+    if (restrictedToUsers) {
+        const email = userEmail.toLowerCase();
+        const domain = email.split("@")[1];
+        const emailAllowed = (coupon.allowedEmails || []).some(
+            (allowed) => allowed.toLowerCase() === email
+        );
+        const domainAllowed = (coupon.allowedDomains || []).some(
+            (allowed) => allowed.toLowerCase() === domain
+        );
+
+        if (!emailAllowed && !domainAllowed) {
+            return {
+                valid: false,
+                reason: "Coupon is not available for your account",
+                code: COUPON_ERRORS.USER_NOT_ALLOWED,
+            };
+        }
+    }
+
+    if (coupon.firstBookingOnly && context.userBookingCount > 0) {
+        return {
+            valid: false,
+            reason: "Coupon is only valid on your first booking",
+            code: COUPON_ERRORS.FIRST_BOOKING_ONLY,
+        };
+    }
+
+    if (
+        coupon.perUserLimit &&
+        context.userRedemptionCount >= coupon.perUserLimit
+    ) {
+        return {
+            valid: false,
+            reason: `Coupon can only be used ${coupon.perUserLimit} time(s) per customer`,
+            code: COUPON_ERRORS.PER_USER_LIMIT_REACHED,
+        };
+    }
+
+    if (car && coupon.allowedCarIds?.length) {
+        if (!coupon.allowedCarIds.map(String).includes(String(car._id))) {
+            return {
+                valid: false,
+                reason: "Coupon is not valid for this car",
+                code: COUPON_ERRORS.CAR_NOT_ELIGIBLE,
+            };
+        }
+    }
+
+    if (car && coupon.allowedCarTypes?.length) {
+        const types = coupon.allowedCarTypes.map((t) => t.toLowerCase());
+        if (!types.includes((car.type || "").toLowerCase())) {
+            return {
+                valid: false,
+                reason: `Coupon is only valid for ${coupon.allowedCarTypes.join(", ")} cars`,
+                code: COUPON_ERRORS.CAR_NOT_ELIGIBLE,
+            };
+        }
     }
 
     return { valid: true };
 };
 
 module.exports = {
+    COUPON_ERRORS,
+    CouponError,
     DEFAULT_COUPONS,
     validateCoupon,
     isCouponValid,
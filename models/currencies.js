@@ -0,0 +1,53 @@
+/**
+ * Currencies Model
+ * Defines supported currencies and rounding to their minor units
+ */
+
+/**
+ * Supported currencies (ISO 4217) and the number of decimals they use
+ */
+const CURRENCIES = {
+    USD: { name: "US Dollar", symbol: "$", minorUnits: 2 },
+    EUR: { name: "Euro", symbol: "€", minorUnits: 2 },
+    GBP: { name: "British Pound", symbol: "£", minorUnits: 2 },
+    CAD: { name: "Canadian Dollar", symbol: "CA$", minorUnits: 2 },
+    AUD: { name: "Australian Dollar", symbol: "A$", minorUnits: 2 },
+    INR: { name: "Indian Rupee", symbol: "₹", minorUnits: 2 },
+    BDT: { name: "Bangladeshi Taka", symbol: "৳", minorUnits: 2 },
+    JPY: { name: "Japanese Yen", symbol: "¥", minorUnits: 0 },
+    KWD: { name: "Kuwaiti Dinar", symbol: "KD", minorUnits: 3 },
+};
+
+/**
+ * Exchange rates are stored against this currency, and amounts that do not
+ * declare a currency (cars, coupons, rules, fees) are in it
+ */
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Check if a currency code is supported
+ */
+const isValidCurrency = (code) =>
+    Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+/**
+ * Round an amount to a currency's minor units (cents, or whole yen)
+ */
+const roundMoney = (amount, currency = DEFAULT_CURRENCY) => {
+    const factor = 10 ** (CURRENCIES[currency]?.minorUnits ?? 2);
+    return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Get the currency a car is priced in
+ */
+const getCarCurrency = (car) =>
+    car && isValidCurrency(car.currency) ? car.currency : DEFAULT_CURRENCY;
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    roundMoney,
+    getCarCurrency,
+};
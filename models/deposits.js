@@ -0,0 +1,89 @@
+/**
+ * Deposits Model
+ * Defines security deposit amounts per car category and the deposit states
+ */
+
+/**
+ * A booking's deposit is held on the renter's payment method at pickup and
+ * settled at return:
+ *
+ *   pending ──pickup──▶ held ──return──▶ settling ──▶ released
+ *                                                 │
+ *                                                 └──▶ captured
+ *                                                      partially_captured
+ *
+ * A return records the settlement (deposit.settlement) before asking the
+ * provider, so a settlement the provider fails is retried until it goes
+ * through. A partial capture releases the rest of the hold.
+ *
+ * booking.deposit = {
+ *   amount: 300,
+ *   currency: 'USD',
+ *   status: 'held',
+ *   provider: 'fake',
+ *   holdId: 'fake_hold_...',
+ *   capturedAmount: 0,
+ *   captureReason: null,
+ *   settlement: {             // while settling
+ *     capturedAmount: 0,
+ *     reason: null,
+ *     attempts: 1,
+ *     lastError: 'Provider unavailable',
+ *     nextAttemptAt: '2025-06-14T14:35:00.000Z'
+ *   },
+ *   heldAt, settledAt
+ * }
+ */
+
+const DEPOSIT_STATUS = {
+    PENDING: "pending",
+    HELD: "held",
+    SETTLING: "settling",
+    CAPTURED: "captured",
+    PARTIALLY_CAPTURED: "partially_captured",
+    RELEASED: "released",
+};
+
+/**
+ * Deposit per car category (the car's type, case-insensitive) in
+ * DEFAULT_CURRENCY; "default" applies to other categories. Quotes convert
+ * them into the car's currency with the exchange rates. A car's own
+ * deposit, in the car's currency, takes precedence. Amounts are sample
+ * configuration.
+ */
+const CATEGORY_DEPOSITS = {
+    default: 200,
+    economy: 150,
+    compact: 150,
+    sedan: 200,
+    suv: 300,
+    van: 300,
+    truck: 300,
+    luxury: 1000,
+    sports: 1000,
+};
+
+/**
+ * Get a car's deposit as { amount, currency }; currency is null when the
+ * amount comes from CATEGORY_DEPOSITS (DEFAULT_CURRENCY)
+ */
+const getCarDeposit = (car) => {
+    if (typeof car?.deposit === "number") {
+        return { amount: car.deposit, currency: car.currency || null };
+    }
+
+    const category = String(car?.type || "")
+        .trim()
+        .toLowerCase();
+
+    return {
+        amount: CATEGORY_DEPOSITS[category] ?? CATEGORY_DEPOSITS.default,
+        currency: null,
+    };
+};
+
+module.exports = {
+    DEPOSIT_STATUS,
+    CATEGORY_DEPOSITS,
+    getCarDeposit,
+};
@@ -0,0 +1,40 @@
+/**
+ * Duration Pricing Model
+ * Defines how rentals that run past a full day are charged
+ */
+
+/**
+ * A rental is billed per day from its pickup time, in the car's time zone.
+ * Time left over after the last full day is charged as follows:
+ *
+ * car.durationPricing = {
+ *   gracePeriodMinutes: 59,  // overruns up to this long are free
+ *   hourlyRate: 12,          // optional, per started hour
+ *   halfDayRate: 40,         // optional, for overruns up to halfDayMaxHours
+ *   halfDayMaxHours: 6
+ * }
+ *
+ * The cheapest of the hourly, half-day and full-day charge is used; the
+ * full-day charge is the day's price with price rules applied. Without
+ * rates every overrun past the grace period is a full day.
+ */
+
+const DEFAULT_DURATION_PRICING = {
+    gracePeriodMinutes: 0,
+    hourlyRate: null,
+    halfDayRate: null,
+    halfDayMaxHours: 6,
+};
+
+/**
+ * Resolve a car's duration pricing over the defaults
+ */
+const getDurationPricing = (car) => ({
+    ...DEFAULT_DURATION_PRICING,
+    ...(car?.durationPricing || {}),
+});
+
+module.exports = {
+    DEFAULT_DURATION_PRICING,
+    getDurationPricing,
+};
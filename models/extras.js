@@ -0,0 +1,78 @@
+/**
+ * Extras Model
+ * Defines add-ons (child seats, GPS, insurance...) and their validation
+ */
+
+const { isValidCurrency } = require("./currencies");
+
+/**
+ * Extra Structure (extras collection):
+ * {
+ *   code: 'CHILD_SEAT',
+ *   name: 'Child seat',
+ *   description: 'For children from 9 to 18 kg',
+ *   pricing: 'perDay',        // 'perDay' or 'perRental'
+ *   price: 8,
+ *   currency: 'USD',          // optional, defaults to DEFAULT_CURRENCY
+ *   maxDays: 7,               // perDay only: days charged at most
+ *   maxQuantity: 2,           // per booking
+ *   stock: 10,                // optional: units that can be out at once
+ *   taxable: true,            // defaults to LINE_ITEM_TAXABILITY.extras
+ *   scope: 'fleet',           // 'fleet' or 'car'
+ *   carId: '665f...',         // car scope
+ *   active: true
+ * }
+ *
+ * A car is offered the active fleet extras plus its own; a car extra
+ * replaces a fleet extra with the same code. Stock of fleet extras is shared
+ * by all cars.
+ */
+
+const EXTRA_PRICING = ["perDay", "perRental"];
+
+const EXTRA_SCOPES = ["fleet", "car"];
+
+/**
+ * Validate extra structure
+ */
+const validateExtra = (extra) => {
+    if (!extra.code || typeof extra.code !== "string") {
+        throw new Error("Extra code is required");
+    }
+
+    if (!extra.name) {
+        throw new Error("Extra name is required");
+    }
+
+    if (!EXTRA_PRICING.includes(extra.pricing)) {
+        throw new Error("Extra pricing must be perDay or perRental");
+    }
+
+    if (typeof extra.price !== "number" || extra.price < 0) {
+        throw new Error("Extra price must be a non-negative number");
+    }
+
+    if (extra.currency !== undefined && !isValidCurrency(extra.currency)) {
+        throw new Error("Unsupported extra currency");
+    }
+
+    if (extra.maxDays && extra.pricing !== "perDay") {
+        throw new Error("maxDays only applies to perDay extras");
+    }
+
+    if (extra.scope !== undefined && !EXTRA_SCOPES.includes(extra.scope)) {
+        throw new Error("Extra scope must be fleet or car");
+    }
+
+    if (extra.scope === "car" && !extra.carId) {
+        throw new Error("Car extras require carId");
+    }
+
+    return true;
+};
+
+module.exports = {
+    EXTRA_PRICING,
+    EXTRA_SCOPES,
+    validateExtra,
+};
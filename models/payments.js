@@ -0,0 +1,46 @@
+/**
+ * Payments Model
+ * Defines the payment and refund states recorded on bookings
+ */
+
+/**
+ * booking.payment = {
+ *   provider: 'fake',
+ *   intentId: 'fake_pi_...',
+ *   amount: 275,
+ *   currency: 'USD',
+ *   status: 'succeeded',
+ *   createdAt, paidAt,
+ *   refund: { id, amount, status, requestedAt, error },
+ *   mismatch: { eventId, amount, currency, at }
+ * }
+ *
+ * booking.supersededPayments = [
+ *   { provider, intentId, amount, currency, supersededAt, status, paidAt,
+ *     refund: { id, amount, status, requestedAt, error } }
+ * ]
+ *
+ * A payment confirms its pending booking. A payment event whose amount or
+ * currency differs from the intent's is recorded as mismatch and changes
+ * nothing else. A booking is refunded at most once: the refund is claimed
+ * on the booking before the provider is called. A checkout that replaces an
+ * intent moves it to supersededPayments; a payment that still succeeds on
+ * it is refunded in full.
+ */
+
+const PAYMENT_STATUS = {
+    REQUIRES_PAYMENT: "requires_payment",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+};
+
+const REFUND_STATUS = {
+    REQUESTED: "requested",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+};
+
+module.exports = {
+    PAYMENT_STATUS,
+    REFUND_STATUS,
+};
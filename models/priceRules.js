@@ -3,10 +3,15 @@
  * Defines pricing rule structures and validation
  */
 
+const { isValidCurrency } = require("./currencies");
+const { getCalendar } = require("../services/holidayService");
+
 /**
  * Price Rule Types:
  * - season: Seasonal pricing (summer, winter, holidays)
- * - weekend: Weekend surcharges (Friday-Sunday)
+ * - holiday: Surcharges on public holidays or specific dates
+ * - weekend: Weekend surcharges (Friday-Sunday unless days are given)
+ * - dayOfWeek: Adjustments for specific weekdays (e.g. cheaper Tuesdays)
  * - length: Discount based on rental duration
  */
 
@@ -22,13 +27,51 @@
  *   pct: 30  // 30% increase
  * }
  *
+ * Recurring Season Example (every year, may wrap the year boundary):
+ * {
+ *   type: 'season',
+ *   name: 'Holiday Season',
+ *   recurring: true,
+ *   start: '12-20',
+ *   end: '01-05',
+ *   pct: 40
+ * }
+ *
+ * Holiday Rule Example (calendars live in data/holidays/<CODE>.json):
+ * {
+ *   type: 'holiday',
+ *   name: 'US Public Holidays',
+ *   calendar: 'US',
+ *   holidays: ['Independence Day'],  // optional, defaults to all
+ *   dates: ['2026-07-03', '12-31'],  // optional extra dates
+ *   pct: 25
+ * }
+ *
  * Weekend Rule Example:
  * {
  *   type: 'weekend',
  *   name: 'Weekend Surcharge',
+ *   days: ['fri', 'sat'],  // optional, defaults to DEFAULT_WEEKEND_DAYS
  *   pct: 15  // 15% increase on weekends
  * }
  *
+ * Day of Week Rule Examples (one adjustment for a set of days, or one per
+ * day):
+ * {
+ *   type: 'dayOfWeek',
+ *   name: 'Cheap Tuesdays',
+ *   days: ['tue'],
+ *   pct: -20
+ * }
+ * {
+ *   type: 'dayOfWeek',
+ *   name: 'Weekday Rates',
+ *   adjustments: { mon: { pct: -10 }, wed: { pct: -10 }, thu: { flat: 5 } }
+ * }
+ *
+ * Weekdays are evaluated in the car's time zone (car.timeZone or
+ * car.location.timeZone), not the server's.
+ *
  * Length Discount Example:
  * {
  *   type: 'length',
@@ -39,19 +82,95 @@
  * }
  */
 
+/**
+ * Rules stored in the priceRules collection also carry:
+ * {
+ *   scope: 'fleet' | 'owner' | 'car',
+ *   ownerEmail: 'owner@example.com',  // owner scope
+ *   carId: '665f...',                 // car scope
+ *   activeFrom: '2025-06-01T00:00:00Z', // optional window in which the
+ *   activeUntil: '2025-09-01T00:00:00Z', // rule is used for quotes
+ *   enabled: true
+ * }
+ *
+ * Flat amounts and caps are in the rule's currency (currency: 'EUR'), or
+ * DEFAULT_CURRENCY when it declares none.
+ *
+ * Precedence: car rules override owner rules, which override fleet rules.
+ * A rule replaces a less specific rule with the same type and name.
+ */
+
+/**
+ * Stacking of daily rules (season, holiday, weekend) that match the same day:
+ * {
+ *   priority: 200,          // higher runs first; defaults per type below
+ *   stacking: 'compound',   // see PRICE_RULE_STACKING
+ *   minPrice: 80,           // optional floor/ceiling for the nightly price
+ *   maxPrice: 300           // after this rule is applied
+ * }
+ *
+ * - compound: multiplies the running price (pct) or adds to it (flat)
+ * - additive: pct is taken of the base price, so it does not compound
+ * - exclusive: suppresses every rule ranked below it; only the highest
+ *   ranked exclusive rule is applied
+ * - max-only: of the max-only rules of one type, only the one with the
+ *   largest adjustment is applied
+ *
+ * Rules are ranked by priority, then type (season, holiday, dayOfWeek,
+ * weekend), then name, so the outcome never depends on storage order.
+ * Length rules are applied to the whole rental and ignore these fields.
+ */
+
+const PRICE_RULE_TYPES = [
+    "season",
+    "holiday",
+    "weekend",
+    "dayOfWeek",
+    "length",
+];
+
+// Indexed like Date#getDay (0 = Sunday)
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DEFAULT_WEEKEND_DAYS = ["fri", "sat", "sun"];
+
+const PRICE_RULE_SCOPES = ["fleet", "owner", "car"];
+
+const PRICE_RULE_STACKING = ["compound", "additive", "exclusive", "max-only"];
+
+// Defaults keep the historical order: seasons, then holidays, then a single
+// weekend surcharge
+const DEFAULT_RULE_PRIORITY = {
+    season: 300,
+    holiday: 200,
+    dayOfWeek: 150,
+    weekend: 100,
+    length: 0,
+};
+
+const DEFAULT_RULE_STACKING = {
+    season: "compound",
+    holiday: "compound",
+    dayOfWeek: "compound",
+    weekend: "max-only",
+    length: "compound",
+};
+
 const DEFAULT_PRICE_RULES = [
     {
         type: "season",
         name: "Summer Peak Season",
-        start: "2025-06-01",
-        end: "2025-08-31",
+        recurring: true,
+        start: "06-01",
+        end: "08-31",
         pct: 30,
     },
     {
         type: "season",
         name: "Holiday Season",
-        start: "2025-12-20",
-        end: "2026-01-05",
+        recurring: true,
+        start: "12-20",
+        end: "01-05",
         pct: 40,
     },
     {
@@ -73,11 +192,39 @@ const DEFAULT_PRICE_RULES = [
     },
 ];
 
+/**
+ * Check a "MM-DD" string names a real day of the year (02-29 included)
+ */
+const isMonthDay = (value) => {
+    const match = /^(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+
+    // 2000 is a leap year, so February has 29 days
+    return (
+        month >= 1 &&
+        month <= 12 &&
+        day >= 1 &&
+        day <= new Date(Date.UTC(2000, month, 0)).getUTCDate()
+    );
+};
+
+/**
+ * Check a season boundary is a real "MM-DD" or a parseable date
+ */
+const isSeasonBoundary = (value) =>
+    typeof value === "string" &&
+    (/^\d{2}-\d{2}$/.test(value)
+        ? isMonthDay(value)
+        : !Number.isNaN(Date.parse(value)));
+
 /**
  * Validate price rule structure
  */
 const validatePriceRule = (rule) => {
-    if (!rule.type || !["season", "weekend", "length"].includes(rule.type)) {
+    if (!rule.type || !PRICE_RULE_TYPES.includes(rule.type)) {
         throw new Error("Invalid price rule type");
     }
 
@@ -85,22 +232,163 @@ const validatePriceRule = (rule) => {
         if (!rule.start || !rule.end) {
             throw new Error("Season rules require start and end dates");
         }
+
+        for (const field of ["start", "end"]) {
+            if (!isSeasonBoundary(rule[field])) {
+                throw new Error(
+                    `Season ${field} must be a MM-DD day or a date`
+                );
+            }
+        }
+
+        if (
+            (isMonthDay(rule.start) || isMonthDay(rule.end)) &&
+            !rule.recurring
+        ) {
+            throw new Error("MM-DD season dates require recurring: true");
+        }
+    }
+
+    if (rule.type === "holiday") {
+        if (!rule.calendar && !rule.dates?.length) {
+            throw new Error("Holiday rules require a calendar or dates");
+        }
+
+        if (rule.calendar) {
+            const calendar = getCalendar(rule.calendar);
+            if (!calendar) {
+                throw new Error(`Unknown holiday calendar: ${rule.calendar}`);
+            }
+
+            const unknown = (rule.holidays || []).filter(
+                (name) => !calendar.holidays.some((h) => h.name === name)
+            );
+            if (unknown.length) {
+                throw new Error(
+                    `Unknown holidays in ${calendar.code}: ${unknown.join(", ")}`
+                );
+            }
+        }
     }
 
     if (rule.type === "length") {
         if (!rule.minDays) {
             throw new Error("Length rules require minDays");
         }
+
+        if (
+            rule.flat != null &&
+            !(typeof rule.flat === "number" && rule.flat > 0)
+        ) {
+            throw new Error(
+                "Length rule flat must be a positive discount amount"
+            );
+        }
+    }
+
+    const isWeekdaySet = (days) =>
+        Array.isArray(days) &&
+        days.length > 0 &&
+        days.every((day) => WEEKDAYS.includes(day));
+
+    if (rule.days !== undefined && !isWeekdaySet(rule.days)) {
+        throw new Error(`days must be a list of: ${WEEKDAYS.join(", ")}`);
+    }
+
+    if (rule.type === "dayOfWeek") {
+        if (rule.adjustments) {
+            const entries = Object.entries(rule.adjustments);
+            if (entries.length === 0) {
+                throw new Error("adjustments must list at least one weekday");
+            }
+            for (const [day, adjustment] of entries) {
+                if (!WEEKDAYS.includes(day)) {
+                    throw new Error(`Unknown weekday in adjustments: ${day}`);
+                }
+                if (!adjustment?.pct && !adjustment?.flat) {
+                    throw new Error(
+                        `Adjustment for ${day} must have either pct or flat value`
+                    );
+                }
+            }
+        } else if (!rule.days) {
+            throw new Error("Day of week rules require days or adjustments");
+        }
     }
 
-    if (!rule.pct && !rule.flat) {
+    const hasDayAdjustments =
+        rule.type === "dayOfWeek" && rule.adjustments && !rule.days;
+
+    if (!hasDayAdjustments && !rule.pct && !rule.flat) {
         throw new Error("Price rule must have either pct or flat value");
     }
 
+    if (
+        rule.stacking !== undefined &&
+        !PRICE_RULE_STACKING.includes(rule.stacking)
+    ) {
+        throw new Error(
+            `Price rule stacking must be one of: ${PRICE_RULE_STACKING.join(", ")}`
+        );
+    }
+
+    if (
+        rule.priority !== undefined &&
+        rule.priority !== null &&
+        !Number.isFinite(rule.priority)
+    ) {
+        throw new Error("Price rule priority must be a number");
+    }
+
+    for (const field of ["minPrice", "maxPrice"]) {
+        if (rule[field] != null && !(rule[field] >= 0)) {
+            throw new Error(`${field} must be a non-negative number`);
+        }
+    }
+
+    if (
+        rule.minPrice != null &&
+        rule.maxPrice != null &&
+        rule.minPrice > rule.maxPrice
+    ) {
+        throw new Error("minPrice cannot be greater than maxPrice");
+    }
+
+    if (rule.currency !== undefined && !isValidCurrency(rule.currency)) {
+        throw new Error("Unsupported price rule currency");
+    }
+
+    if (rule.scope !== undefined && !PRICE_RULE_SCOPES.includes(rule.scope)) {
+        throw new Error("Price rule scope must be fleet, owner or car");
+    }
+
+    if (rule.scope === "owner" && !rule.ownerEmail) {
+        throw new Error("Owner rules require ownerEmail");
+    }
+
+    if (rule.scope === "car" && !rule.carId) {
+        throw new Error("Car rules require carId");
+    }
+
+    if (
+        rule.activeFrom &&
+        rule.activeUntil &&
+        new Date(rule.activeFrom) >= new Date(rule.activeUntil)
+    ) {
+        throw new Error("activeFrom must be before activeUntil");
+    }
+
     return true;
 };
 
 module.exports = {
+    PRICE_RULE_TYPES,
+    PRICE_RULE_SCOPES,
+    PRICE_RULE_STACKING,
+    WEEKDAYS,
+    DEFAULT_WEEKEND_DAYS,
+    DEFAULT_RULE_PRIORITY,
+    DEFAULT_RULE_STACKING,
     DEFAULT_PRICE_RULES,
     validatePriceRule,
 };
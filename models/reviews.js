@@ -0,0 +1,61 @@
+/**
+ * Reviews Model
+ * Defines car reviews and the star ratings they carry
+ */
+
+/**
+ * Review Structure (reviews collection):
+ * {
+ *   carId: '665f...',
+ *   bookingId: '6660...',     // unique: one review per booking
+ *   userEmail: 'renter@example.com',
+ *   userName: 'Jane',
+ *   ratings: { cleanliness: 5, accuracy: 4, communication: 5 },
+ *   rating: 4.67,             // average of the category ratings
+ *   text: 'Spotless car and an easy pickup',
+ *   status: 'published',      // 'published' or 'hidden'
+ *   moderation: { status, reason, by, at },
+ *   reply: { text, by, at },  // the car owner's answer
+ *   createdAt: '2025-06-14T14:30:00.000Z'
+ * }
+ *
+ * Only published reviews count towards the car's rating. The car keeps
+ * running totals of them:
+ * {
+ *   reviewCount: 12,
+ *   ratingTotals: { cleanliness: 57, accuracy: 55, communication: 60 },
+ *   categoryRatings: { cleanliness: 4.75, accuracy: 4.58, communication: 5 },
+ *   rating: 4.78
+ * }
+ *
+ * Cars rated before reviews were recorded get totals seeded from their
+ * rating on startup (see seedLegacyCarRatings), so reviews add to it.
+ */
+
+const REVIEW_CATEGORIES = ["cleanliness", "accuracy", "communication"];
+
+const REVIEW_STATUS = {
+    PUBLISHED: "published",
+    HIDDEN: "hidden",
+};
+
+const MAX_STARS = 5;
+
+/**
+ * Overall rating of a review: the average of its category ratings
+ */
+const calculateReviewRating = (ratings) => {
+    const sum = REVIEW_CATEGORIES.reduce(
+        (total, category) => total + ratings[category],
+        0
+    );
+
+    return Math.round((sum / REVIEW_CATEGORIES.length) * 100) / 100;
+};
+
+module.exports = {
+    REVIEW_CATEGORIES,
+    REVIEW_STATUS,
+    MAX_STARS,
+    calculateReviewRating,
+};
@@ -0,0 +1,35 @@
+/**
+ * Roles Model
+ * Defines user roles used for authorization
+ */
+
+/**
+ * Roles are read from the `role` Firebase custom claim, or from the user's
+ * document in the users collection:
+ * {
+ *   email: 'admin@example.com',
+ *   role: 'admin'
+ * }
+ *
+ * Users without a role are customers. Owning a car (userEmail on the car)
+ * grants owner rights over that car regardless of role.
+ */
+
+const ROLES = {
+    CUSTOMER: "customer",
+    OWNER: "owner",
+    ADMIN: "admin",
+};
+
+const DEFAULT_ROLE = ROLES.CUSTOMER;
+
+/**
+ * Check if a role name is known
+ */
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+};
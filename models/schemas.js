@@ -0,0 +1,373 @@
+/**
+ * Request Schemas
+ * Declarative body schemas used by the validateBody middleware
+ */
+
+const { validateCoupon } = require("./coupons");
+const {
+    PRICE_RULE_TYPES,
+    PRICE_RULE_SCOPES,
+    PRICE_RULE_STACKING,
+    WEEKDAYS,
+    validatePriceRule,
+} = require("./priceRules");
+const { CANCELLATION_POLICIES } = require("./cancellationPolicies");
+const { isValidTimeZone } = require("../services/timeZoneService");
+const { CURRENCIES } = require("./currencies");
+const { EXTRA_PRICING, EXTRA_SCOPES, validateExtra } = require("./extras");
+const { REVIEW_CATEGORIES, REVIEW_STATUS, MAX_STARS } = require("./reviews");
+
+/**
+ * ISO 4217 currency code from CURRENCIES
+ */
+const currencyRule = {
+    type: "string",
+    trim: true,
+    uppercase: true,
+    enum: Object.keys(CURRENCIES),
+};
+
+/**
+ * Weekday adjustment of a day of week rule
+ */
+const dayAdjustmentRule = {
+    type: "object",
+    properties: {
+        pct: { type: "number", min: -100 },
+        flat: { type: "number" },
+    },
+};
+
+/**
+ * Price rule fields
+ */
+const priceRuleSchema = {
+    type: { type: "string", required: true, enum: PRICE_RULE_TYPES },
+    name: { type: "string", trim: true, maxLength: 100 },
+    start: { type: "string", trim: true },
+    end: { type: "string", trim: true },
+    recurring: { type: "boolean" },
+    calendar: { type: "string", trim: true, uppercase: true },
+    holidays: { type: "array", items: { type: "string", trim: true } },
+    dates: { type: "array", items: { type: "string", trim: true } },
+    days: {
+        type: "array",
+        items: { type: "string", trim: true, lowercase: true, enum: WEEKDAYS },
+    },
+    adjustments: {
+        type: "object",
+        properties: Object.fromEntries(
+            WEEKDAYS.map((day) => [day, dayAdjustmentRule])
+        ),
+    },
+    minDays: { type: "integer", min: 1 },
+    pct: { type: "number", min: -100 },
+    flat: { type: "number" },
+    currency: currencyRule,
+    priority: { type: "integer" },
+    stacking: { type: "string", enum: PRICE_RULE_STACKING },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    scope: { type: "string", enum: PRICE_RULE_SCOPES, default: "fleet" },
+    ownerEmail: { type: "email" },
+    carId: { type: "objectId" },
+    activeFrom: { type: "date" },
+    activeUntil: { type: "date" },
+    enabled: { type: "boolean", default: true },
+    $validate: (rule, { partial } = {}) => {
+        if (!partial) validatePriceRule(rule);
+    },
+};
+
+/**
+ * IANA time zone such as "Asia/Dhaka"
+ */
+const timeZoneRule = {
+    type: "string",
+    trim: true,
+    validate: (value) => {
+        if (!isValidTimeZone(value)) {
+            throw new Error("must be a valid IANA time zone");
+        }
+    },
+};
+
+/**
+ * Car location: free-form address string or structured object
+ */
+const locationRule = {
+    type: ["string", "object"],
+    properties: {
+        address: { type: "string", trim: true },
+        city: { type: "string", trim: true },
+        region: { type: "string", trim: true },
+        country: { type: "string", trim: true, uppercase: true },
+        lat: { type: "number", min: -90, max: 90 },
+        lng: { type: "number", min: -180, max: 180 },
+        timeZone: timeZoneRule,
+        airport: { type: "boolean" },
+    },
+};
+
+/**
+ * Car fields; bookingCount and _id are server-managed and never accepted
+ */
+const carSchema = {
+    carModel: { type: "string", required: true, trim: true, maxLength: 100 },
+    brand: { type: "string", trim: true, maxLength: 50 },
+    model: { type: "string", trim: true, maxLength: 50 },
+    type: { type: "string", trim: true, maxLength: 50 },
+    dailyRentalPrice: { type: "number", required: true, min: 0 },
+    currency: currencyRule,
+    deposit: { type: "number", min: 0 },
+    availability: { type: "string", enum: ["Available", "Unavailable"] },
+    vehicleRegistrationNumber: { type: "string", trim: true, maxLength: 30 },
+    features: {
+        type: "array",
+        items: { type: "string", trim: true, maxLength: 50 },
+    },
+    description: { type: "string", trim: true, maxLength: 2000 },
+    imageUrl: { type: "string", trim: true },
+    location: locationRule,
+    timeZone: timeZoneRule,
+    durationPricing: {
+        type: "object",
+        properties: {
+            gracePeriodMinutes: { type: "integer", min: 0, max: 720 },
+            hourlyRate: { type: "number", min: 0 },
+            halfDayRate: { type: "number", min: 0 },
+            halfDayMaxHours: { type: "integer", min: 1, max: 23 },
+        },
+    },
+    transmission: { type: "string", trim: true },
+    fuelType: { type: "string", trim: true },
+    seats: { type: "integer", min: 1, max: 50 },
+    userEmail: { type: "email" },
+    dateAdded: { type: "date", default: () => new Date().toISOString() },
+    cancellationPolicy: {
+        type: "string",
+        enum: Object.keys(CANCELLATION_POLICIES),
+    },
+    priceRules: {
+        type: "array",
+        items: {
+            type: "object",
+            validate: (rule) => validatePriceRule(rule),
+        },
+    },
+};
+
+/**
+ * Extras selected for a quote or booking
+ */
+const extrasSelectionRule = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            code: {
+                type: "string",
+                required: true,
+                trim: true,
+                uppercase: true,
+            },
+            quantity: { type: "integer", min: 1, default: 1 },
+        },
+    },
+};
+
+/**
+ * Booking creation; price, status and renter are always set server-side
+ */
+const bookingSchema = {
+    carId: { type: "objectId", required: true },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    coupon: { type: "string", trim: true, uppercase: true },
+    extras: extrasSelectionRule,
+    carModel: { type: "string", trim: true },
+    userName: { type: "string", trim: true, maxLength: 100 },
+    notes: { type: "string", trim: true, maxLength: 1000 },
+};
+
+/**
+ * Booking updates; only descriptive fields may change in place
+ */
+const bookingUpdateSchema = {
+    userName: { type: "string", trim: true, maxLength: 100 },
+    notes: { type: "string", trim: true, maxLength: 1000 },
+    status: {
+        readOnly:
+            "cannot be updated directly; use the confirm, cancel, pickup, return or no-show endpoints",
+    },
+    statusHistory: { readOnly: "is managed by the server" },
+    holdExpiresAt: { readOnly: "is managed by the server" },
+    startDate: {
+        readOnly: "cannot be changed; cancel and create a new booking",
+    },
+    endDate: {
+        readOnly: "cannot be changed; cancel and create a new booking",
+    },
+    extras: {
+        readOnly: "cannot be changed; cancel and create a new booking",
+    },
+    deposit: { readOnly: "is managed by the server" },
+    payment: { readOnly: "is managed by the server" },
+};
+
+/**
+ * Booking return; depositCapture charges the deposit for damages and the
+ * rest of it is released
+ */
+const bookingReturnSchema = {
+    reason: { type: "string", trim: true, maxLength: 500 },
+    depositCapture: {
+        type: "object",
+        properties: {
+            amount: { type: "number", required: true, min: 0 },
+            reason: {
+                type: "string",
+                required: true,
+                trim: true,
+                maxLength: 500,
+            },
+        },
+    },
+};
+
+/**
+ * Quote requests
+ */
+const quoteSchema = {
+    carId: { type: "objectId", required: true },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    coupon: { type: "string", trim: true, uppercase: true },
+    extras: extrasSelectionRule,
+    displayCurrency: currencyRule,
+};
+
+/**
+ * Coupon fields; usageCount is server-managed
+ */
+const couponSchema = {
+    code: {
+        type: "string",
+        required: true,
+        trim: true,
+        uppercase: true,
+        maxLength: 30,
+    },
+    pct: { type: "number", min: 0, max: 100 },
+    flat: { type: "number", min: 0 },
+    currency: currencyRule,
+    expiresAt: { type: "date", required: true },
+    active: { type: "boolean", default: true },
+    description: { type: "string", trim: true, maxLength: 200 },
+    usageLimit: { type: "integer", min: 1 },
+    minDays: { type: "integer", min: 1 },
+    firstBookingOnly: { type: "boolean" },
+    perUserLimit: { type: "integer", min: 1 },
+    allowedEmails: { type: "array", items: { type: "email" } },
+    allowedDomains: {
+        type: "array",
+        items: { type: "string", trim: true, lowercase: true },
+    },
+    allowedCarIds: { type: "array", items: { type: "objectId" } },
+    allowedCarTypes: { type: "array", items: { type: "string", trim: true } },
+    minSubtotal: { type: "number", min: 0 },
+    maxDiscount: { type: "number", min: 0 },
+    $validate: (coupon, { partial } = {}) => {
+        if (!partial) validateCoupon(coupon);
+    },
+};
+
+/**
+ * Extra fields
+ */
+const extraSchema = {
+    code: {
+        type: "string",
+        required: true,
+        trim: true,
+        uppercase: true,
+        maxLength: 30,
+    },
+    name: { type: "string", required: true, trim: true, maxLength: 100 },
+    description: { type: "string", trim: true, maxLength: 500 },
+    pricing: { type: "string", required: true, enum: EXTRA_PRICING },
+    price: { type: "number", required: true, min: 0 },
+    currency: currencyRule,
+    maxDays: { type: "integer", min: 1 },
+    maxQuantity: { type: "integer", min: 1, default: 1 },
+    stock: { type: "integer", min: 0 },
+    taxable: { type: "boolean" },
+    scope: { type: "string", enum: EXTRA_SCOPES, default: "fleet" },
+    carId: { type: "objectId" },
+    active: { type: "boolean", default: true },
+    $validate: (extra, { partial } = {}) => {
+        if (!partial) validateExtra(extra);
+    },
+};
+
+/**
+ * Star rating of a review category
+ */
+const starsRule = { type: "integer", required: true, min: 1, max: MAX_STARS };
+
+/**
+ * Review of a completed booking; the renter and car come from the booking
+ */
+const reviewSchema = {
+    bookingId: { type: "objectId", required: true },
+    ratings: {
+        type: "object",
+        required: true,
+        properties: Object.fromEntries(
+            REVIEW_CATEGORIES.map((category) => [category, starsRule])
+        ),
+    },
+    text: { type: "string", trim: true, maxLength: 2000 },
+    userName: { type: "string", trim: true, maxLength: 100 },
+};
+
+/**
+ * Review moderation by the car owner or an admin
+ */
+const reviewModerationSchema = {
+    status: {
+        type: "string",
+        required: true,
+        enum: Object.values(REVIEW_STATUS),
+    },
+    reason: { type: "string", trim: true, maxLength: 500 },
+};
+
+/**
+ * Car owner's public reply to a review
+ */
+const reviewReplySchema = {
+    text: { type: "string", required: true, trim: true, maxLength: 1000 },
+};
+
+/**
+ * Exchange rate update (units of the currency per 1 DEFAULT_CURRENCY)
+ */
+const exchangeRateSchema = {
+    rate: { type: "number", required: true, min: 0.000001 },
+};
+
+module.exports = {
+    carSchema,
+    bookingSchema,
+    bookingUpdateSchema,
+    bookingReturnSchema,
+    quoteSchema,
+    exchangeRateSchema,
+    extraSchema,
+    reviewSchema,
+    reviewModerationSchema,
+    reviewReplySchema,
+    couponSchema,
+    priceRuleSchema,
+};
@@ -0,0 +1,179 @@
+/**
+ * Taxes Model
+ * Defines tax and fee rules per jurisdiction and their validation
+ */
+
+/**
+ * Tax Rule Structure:
+ * {
+ *   code: 'US-CA-SALES',
+ *   name: 'California sales tax',
+ *   kind: 'tax',                     // 'tax' or 'fee'
+ *   rate: 7.25,                      // percent of the taxable basis
+ *   flat: 0,                         // optional amount per rental
+ *   perDay: 0,                       // optional amount per rental day
+ *   currency: 'USD',                 // of flat and perDay (DEFAULT_CURRENCY)
+ *   appliesTo: ['rental', 'extras', 'fee'],
+ *   conditions: { airport: true },   // optional, matched against location
+ *   taxable: true                    // fees only: whether taxes apply to it
+ * }
+ *
+ * Fees are computed first, on the line items of the categories they apply
+ * to. Taxes are computed next, on the taxable line items of their
+ * categories, which include the fees marked taxable.
+ */
+
+const TAX_KINDS = ["tax", "fee"];
+
+// Quote line item categories and whether taxes apply to them by default
+const LINE_ITEM_TAXABILITY = {
+    rental: true,
+    extras: true,
+    fee: true,
+    deposit: false,
+};
+
+/**
+ * Used when no jurisdiction matching the car's location charges a tax
+ */
+const DEFAULT_TAX_RULES = [
+    {
+        code: "SALES-TAX",
+        name: "Sales tax",
+        kind: "tax",
+        rate: 10,
+        appliesTo: ["rental", "extras", "fee"],
+    },
+];
+
+/**
+ * Rules per jurisdiction, keyed "COUNTRY", "COUNTRY-REGION" or
+ * "COUNTRY-REGION-CITY" (upper case). The rules of every level that matches
+ * the car's location stack. Rates are sample configuration.
+ */
+const TAX_JURISDICTIONS = {
+    US: [
+        {
+            code: "US-AIRPORT-CONCESSION",
+            name: "Airport concession fee",
+            kind: "fee",
+            rate: 11.1,
+            appliesTo: ["rental"],
+            conditions: { airport: true },
+            taxable: true,
+        },
+    ],
+    "US-CA": [
+        {
+            code: "US-CA-SALES",
+            name: "California sales tax",
+            kind: "tax",
+            rate: 7.25,
+            appliesTo: ["rental", "extras", "fee"],
+        },
+        {
+            code: "US-CA-TOURISM",
+            name: "California tourism assessment",
+            kind: "fee",
+            rate: 3.5,
+            appliesTo: ["rental"],
+            taxable: false,
+        },
+    ],
+    "US-NY": [
+        {
+            code: "US-NY-SALES",
+            name: "New York sales tax",
+            kind: "tax",
+            rate: 4,
+            appliesTo: ["rental", "extras", "fee"],
+        },
+        {
+            code: "US-NY-RENTAL",
+            name: "Passenger car rental tax",
+            kind: "tax",
+            rate: 6,
+            appliesTo: ["rental"],
+        },
+    ],
+    "US-NY-NEW YORK": [
+        {
+            code: "US-NY-NYC-SALES",
+            name: "New York City sales tax",
+            kind: "tax",
+            rate: 4.5,
+            appliesTo: ["rental", "extras", "fee"],
+        },
+    ],
+    BD: [
+        {
+            code: "BD-VAT",
+            name: "VAT",
+            kind: "tax",
+            rate: 15,
+            appliesTo: ["rental", "extras", "fee"],
+        },
+    ],
+};
+
+/**
+ * Get the jurisdiction keys a structured location falls in, least specific
+ * first (e.g. ["US", "US-CA", "US-CA-SAN FRANCISCO"])
+ */
+const getJurisdictionKeys = (location) => {
+    if (!location || typeof location !== "object" || !location.country) {
+        return [];
+    }
+
+    const parts = [location.country, location.region, location.city];
+    const keys = [];
+
+    for (let i = 0; i < parts.length && parts[i]; i++) {
+        keys.push(
+            parts
+                .slice(0, i + 1)
+                .map((part) => String(part).trim().toUpperCase())
+                .join("-")
+        );
+    }
+
+    return keys;
+};
+
+/**
+ * Validate tax rule structure
+ */
+const validateTaxRule = (rule) => {
+    if (!rule.code) {
+        throw new Error("Tax rules require a code");
+    }
+
+    if (!TAX_KINDS.includes(rule.kind)) {
+        throw new Error("Tax rule kind must be tax or fee");
+    }
+
+    if (!rule.rate && !rule.flat && !rule.perDay) {
+        throw new Error("Tax rule must have a rate, flat or perDay amount");
+    }
+
+    const categories = Object.keys(LINE_ITEM_TAXABILITY);
+    if (
+        !Array.isArray(rule.appliesTo) ||
+        !rule.appliesTo.every((category) => categories.includes(category))
+    ) {
+        throw new Error(
+            `appliesTo must be a list of: ${categories.join(", ")}`
+        );
+    }
+
+    return true;
+};
+
+module.exports = {
+    TAX_KINDS,
+    LINE_ITEM_TAXABILITY,
+    DEFAULT_TAX_RULES,
+    TAX_JURISDICTIONS,
+    getJurisdictionKeys,
+    validateTaxRule,
+};
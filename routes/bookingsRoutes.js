@@ -6,9 +6,37 @@
 const express = require("express");
 const router = express.Router();
 const bookingsController = require("../controllers/bookingsController");
-const { verifyFirebaseToken, verifyTokenEmail } = require("../middleware/auth");
+const {
+    verifyFirebaseToken,
+    optionalFirebaseToken,
+    verifyTokenEmail,
+    loadUserRole,
+    requireBookingAccess,
+} = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const {
+    bookingSchema,
+    bookingUpdateSchema,
+    bookingReturnSchema,
+    quoteSchema,
+} = require("../models/schemas");
+
+module.exports = (
+    bookingsCollection,
+    carsCollection,
+    couponsCollection,
+    usersCollection,
+    redemptionsCollection,
+    priceRulesCollection,
+    exchangeRatesCollection,
+    extrasCollection
+) => {
+    const authenticate = [verifyFirebaseToken, loadUserRole(usersCollection)];
+    const bookingAccess = [
+        ...authenticate,
+        requireBookingAccess(bookingsCollection, carsCollection),
+    ];
 
-module.exports = (bookingsCollection, carsCollection, couponsCollection) => {
     // Get bookings by user email (protected)
     router.get("/", verifyFirebaseToken, verifyTokenEmail, (req, res) =>
         bookingsController.getBookingsByUserEmail(req, res, bookingsCollection)
@@ -19,35 +47,122 @@ module.exports = (bookingsCollection, carsCollection, couponsCollection) => {
         bookingsController.getBookingCountByCarId(req, res, bookingsCollection)
     );
 
-    // Get booking quote with dynamic pricing
-    router.post("/quote", (req, res) =>
-        bookingsController.getBookingQuote(
+    // Get booking quote with dynamic pricing (token optional, used for
+    // per-user coupon restrictions)
+    router.post(
+        "/quote",
+        optionalFirebaseToken,
+        validateBody(quoteSchema),
+        (req, res) =>
+            bookingsController.getBookingQuote(
+                req,
+                res,
+                carsCollection,
+                bookingsCollection,
+                couponsCollection,
+                redemptionsCollection,
+                priceRulesCollection,
+                exchangeRatesCollection,
+                extrasCollection
+            )
+    );
+
+    // Get booked dates for a car
+    router.get("/booked-dates/:carId", (req, res) =>
+        bookingsController.getBookedDates(req, res, bookingsCollection)
+    );
+
+    // Create a new booking (protected)
+    router.post("/", authenticate, validateBody(bookingSchema), (req, res) =>
+        bookingsController.createBooking(
             req,
             res,
+            bookingsCollection,
             carsCollection,
+            couponsCollection,
+            redemptionsCollection,
+            priceRulesCollection,
+            exchangeRatesCollection,
+            extrasCollection
+        )
+    );
+
+    // Update a booking (renter, car owner or admin)
+    router.patch(
+        "/:id",
+        bookingAccess,
+        validateBody(bookingUpdateSchema, { partial: true }),
+        (req, res) =>
+            bookingsController.updateBooking(req, res, bookingsCollection)
+    );
+
+    // Pay for a pending or unpaid confirmed booking (renter)
+    router.post("/:id/checkout", bookingAccess, (req, res) =>
+        bookingsController.checkoutBooking(req, res, bookingsCollection)
+    );
+
+    // Confirm a pending booking (car owner)
+    router.post("/:id/confirm", bookingAccess, (req, res) =>
+        bookingsController.changeBookingStatus(
+            req,
+            res,
             bookingsCollection,
-            couponsCollection
+            couponsCollection,
+            redemptionsCollection,
+            "confirm"
         )
     );
 
-    // Get booked dates for a car
-    router.get("/booked-dates/:carId", (req, res) =>
-        bookingsController.getBookedDates(req, res, bookingsCollection)
+    // Cancel a booking (renter, car owner or admin)
+    router.post("/:id/cancel", bookingAccess, (req, res) =>
+        bookingsController.changeBookingStatus(
+            req,
+            res,
+            bookingsCollection,
+            couponsCollection,
+            redemptionsCollection,
+            "cancel"
+        )
     );
 
-    // Create a new booking
-    router.post("/", (req, res) =>
-        bookingsController.createBooking(
+    // Mark a booking as picked up (car owner)
+    router.post("/:id/pickup", bookingAccess, (req, res) =>
+        bookingsController.changeBookingStatus(
             req,
             res,
             bookingsCollection,
-            carsCollection
+            couponsCollection,
+            redemptionsCollection,
+            "pickup"
         )
     );
 
-    // Update a booking
-    router.patch("/:id", (req, res) =>
-        bookingsController.updateBooking(req, res, bookingsCollection)
+    // Mark a booking as returned and settle its deposit (car owner)
+    router.post(
+        "/:id/return",
+        bookingAccess,
+        validateBody(bookingReturnSchema),
+        (req, res) =>
+            bookingsController.changeBookingStatus(
+                req,
+                res,
+                bookingsCollection,
+                couponsCollection,
+                redemptionsCollection,
+                "return"
+            )
+    );
+
+    // Mark a booking as a no-show (car owner)
+    router.post("/:id/no-show", bookingAccess, (req, res) =>
+        bookingsController.changeBookingStatus(
+            req,
+            res,
+            bookingsCollection,
+            couponsCollection,
+            redemptionsCollection,
+            "no-show"
+        )
     );
 
     return router;
@@ -6,9 +6,25 @@
 const express = require("express");
 const router = express.Router();
 const carsController = require("../controllers/carsController");
-const { verifyFirebaseToken, verifyTokenEmail } = require("../middleware/auth");
+const {
+    verifyFirebaseToken,
+    verifyTokenEmail,
+    loadUserRole,
+    requireCarOwnership,
+} = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const { carSchema } = require("../models/schemas");
+
+module.exports = (
+    carsCollection,
+    usersCollection,
+    bookingsCollection,
+    priceRulesCollection,
+    exchangeRatesCollection
+) => {
+    const authenticate = [verifyFirebaseToken, loadUserRole(usersCollection)];
+    const carOwnership = [...authenticate, requireCarOwnership(carsCollection)];
 
-module.exports = (carsCollection) => {
     // Get all cars
     router.get("/all", (req, res) =>
         carsController.getAllCars(req, res, carsCollection)
@@ -29,9 +45,16 @@ module.exports = (carsCollection) => {
         carsController.getAvailableCars(req, res, carsCollection)
     );
 
-    // Advanced car search
+    // Advanced car search, optionally for a rental period
     router.get("/search", (req, res) =>
-        carsController.searchCars(req, res, carsCollection)
+        carsController.searchCars(
+            req,
+            res,
+            carsCollection,
+            bookingsCollection,
+            priceRulesCollection,
+            exchangeRatesCollection
+        )
     );
 
     // Get car by ID
@@ -39,18 +62,21 @@ module.exports = (carsCollection) => {
         carsController.getCarById(req, res, carsCollection)
     );
 
-    // Create a new car
-    router.post("/", (req, res) =>
+    // Create a new car (protected)
+    router.post("/", authenticate, validateBody(carSchema), (req, res) =>
         carsController.createCar(req, res, carsCollection)
     );
 
-    // Update a car
-    router.put("/:id", (req, res) =>
-        carsController.updateCar(req, res, carsCollection)
+    // Update a car (car owner or admin)
+    router.put(
+        "/:id",
+        carOwnership,
+        validateBody(carSchema, { partial: true }),
+        (req, res) => carsController.updateCar(req, res, carsCollection)
     );
 
-    // Delete a car
-    router.delete("/:id", (req, res) =>
+    // Delete a car (car owner or admin)
+    router.delete("/:id", carOwnership, (req, res) =>
         carsController.deleteCar(req, res, carsCollection)
     );
 
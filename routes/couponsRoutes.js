@@ -0,0 +1,68 @@
+/**
+ * Coupons Routes
+ * Defines all routes related to coupon administration (admin only)
+ */
+
+const express = require("express");
+const router = express.Router();
+const couponsController = require("../controllers/couponsController");
+const {
+    verifyFirebaseToken,
+    loadUserRole,
+    requireRole,
+} = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const { couponSchema } = require("../models/schemas");
+const { ROLES } = require("../models/roles");
+
+module.exports = (
+    couponsCollection,
+    redemptionsCollection,
+    usersCollection
+) => {
+    router.use(
+        verifyFirebaseToken,
+        loadUserRole(usersCollection),
+        requireRole(ROLES.ADMIN)
+    );
+
+    // Get all coupons with usage statistics
+    router.get("/", (req, res) =>
+        couponsController.getAllCoupons(
+            req,
+            res,
+            couponsCollection,
+            redemptionsCollection
+        )
+    );
+
+    // Get coupon by ID with usage statistics
+    router.get("/:id", (req, res) =>
+        couponsController.getCouponById(
+            req,
+            res,
+            couponsCollection,
+            redemptionsCollection
+        )
+    );
+
+    // Create a new coupon
+    router.post("/", validateBody(couponSchema), (req, res) =>
+        couponsController.createCoupon(req, res, couponsCollection)
+    );
+
+    // Update or deactivate a coupon
+    router.patch(
+        "/:id",
+        validateBody(couponSchema, { partial: true }),
+        (req, res) =>
+            couponsController.updateCoupon(req, res, couponsCollection)
+    );
+
+    // Delete a coupon
+    router.delete("/:id", (req, res) =>
+        couponsController.deleteCoupon(req, res, couponsCollection)
+    );
+
+    return router;
+};
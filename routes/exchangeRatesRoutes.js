@@ -0,0 +1,57 @@
+/**
+ * Exchange Rates Routes
+ * Public rate table; updates are admin only
+ */
+
+const express = require("express");
+const router = express.Router();
+const exchangeRatesController = require("../controllers/exchangeRatesController");
+const {
+    verifyFirebaseToken,
+    loadUserRole,
+    requireRole,
+} = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const { exchangeRateSchema } = require("../models/schemas");
+const { ROLES } = require("../models/roles");
+
+module.exports = (exchangeRatesCollection, usersCollection) => {
+    const adminOnly = [
+        verifyFirebaseToken,
+        loadUserRole(usersCollection),
+        requireRole(ROLES.ADMIN),
+    ];
+
+    // Get supported currencies and exchange rates
+    router.get("/", (req, res) =>
+        exchangeRatesController.getExchangeRates(
+            req,
+            res,
+            exchangeRatesCollection
+        )
+    );
+
+    // Create or update an exchange rate
+    router.put(
+        "/:currency",
+        adminOnly,
+        validateBody(exchangeRateSchema),
+        (req, res) =>
+            exchangeRatesController.setExchangeRate(
+                req,
+                res,
+                exchangeRatesCollection
+            )
+    );
+
+    // Delete an exchange rate
+    router.delete("/:currency", adminOnly, (req, res) =>
+        exchangeRatesController.deleteExchangeRate(
+            req,
+            res,
+            exchangeRatesCollection
+        )
+    );
+
+    return router;
+};
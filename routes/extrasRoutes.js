@@ -0,0 +1,47 @@
+/**
+ * Extras Routes
+ * Public extras catalog; fleet extras are managed by admins and car extras
+ * by the car's owner
+ */
+
+const express = require("express");
+const router = express.Router();
+const extrasController = require("../controllers/extrasController");
+const { verifyFirebaseToken, loadUserRole } = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const { extraSchema } = require("../models/schemas");
+
+module.exports = (extrasCollection, carsCollection, usersCollection) => {
+    const authenticate = [verifyFirebaseToken, loadUserRole(usersCollection)];
+
+    // Get fleet extras, or the extras offered for a car (?carId=)
+    router.get("/", (req, res) =>
+        extrasController.getExtras(req, res, extrasCollection, carsCollection)
+    );
+
+    // Create a new extra
+    router.post("/", authenticate, validateBody(extraSchema), (req, res) =>
+        extrasController.createExtra(req, res, extrasCollection, carsCollection)
+    );
+
+    // Update, enable or disable an extra
+    router.patch(
+        "/:id",
+        authenticate,
+        validateBody(extraSchema, { partial: true }),
+        (req, res) =>
+            extrasController.updateExtra(
+                req,
+                res,
+                extrasCollection,
+                carsCollection
+            )
+    );
+
+    // Delete an extra
+    router.delete("/:id", authenticate, (req, res) =>
+        extrasController.deleteExtra(req, res, extrasCollection, carsCollection)
+    );
+
+    return router;
+};
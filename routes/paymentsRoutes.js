@@ -0,0 +1,22 @@
+/**
+ * Payments Routes
+ * Payment provider webhooks; requests are authenticated by their signature
+ */
+
+const express = require("express");
+const router = express.Router();
+const paymentsController = require("../controllers/paymentsController");
+
+module.exports = (bookingsCollection, paymentEventsCollection) => {
+    // Payment provider webhook (signed)
+    router.post("/webhook", (req, res) =>
+        paymentsController.handlePaymentWebhook(
+            req,
+            res,
+            bookingsCollection,
+            paymentEventsCollection
+        )
+    );
+
+    return router;
+};
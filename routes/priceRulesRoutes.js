@@ -0,0 +1,75 @@
+/**
+ * Price Rules Routes
+ * Defines all routes related to price rule management
+ */
+
+const express = require("express");
+const router = express.Router();
+const priceRulesController = require("../controllers/priceRulesController");
+const { verifyFirebaseToken, loadUserRole } = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const { priceRuleSchema } = require("../models/schemas");
+
+module.exports = (priceRulesCollection, carsCollection, usersCollection) => {
+    router.use(verifyFirebaseToken, loadUserRole(usersCollection));
+
+    // Get price rules the user can manage
+    router.get("/", (req, res) =>
+        priceRulesController.getPriceRules(
+            req,
+            res,
+            priceRulesCollection,
+            carsCollection
+        )
+    );
+
+    // Get the effective rules for a car
+    router.get("/effective/:carId", (req, res) =>
+        priceRulesController.getEffectivePriceRules(
+            req,
+            res,
+            priceRulesCollection,
+            carsCollection
+        )
+    );
+
+    // Get available holiday calendars
+    router.get("/calendars", (req, res) =>
+        priceRulesController.getHolidayCalendars(req, res)
+    );
+
+    // Create a new price rule
+    router.post("/", validateBody(priceRuleSchema), (req, res) =>
+        priceRulesController.createPriceRule(
+            req,
+            res,
+            priceRulesCollection,
+            carsCollection
+        )
+    );
+
+    // Update, enable or disable a price rule
+    router.patch(
+        "/:id",
+        validateBody(priceRuleSchema, { partial: true }),
+        (req, res) =>
+            priceRulesController.updatePriceRule(
+                req,
+                res,
+                priceRulesCollection,
+                carsCollection
+            )
+    );
+
+    // Delete a price rule
+    router.delete("/:id", (req, res) =>
+        priceRulesController.deletePriceRule(
+            req,
+            res,
+            priceRulesCollection,
+            carsCollection
+        )
+    );
+
+    return router;
+};
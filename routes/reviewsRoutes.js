@@ -0,0 +1,81 @@
+/**
+ * Reviews Routes
+ * Reviews of a car (mounted at /api/cars/:id/reviews); renters review
+ * completed bookings and car owners moderate and reply
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const reviewsController = require("../controllers/reviewsController");
+const {
+    verifyFirebaseToken,
+    loadUserRole,
+    requireCarOwnership,
+} = require("../middleware/auth");
+const { validateBody } = require("../middleware/validate");
+const {
+    reviewSchema,
+    reviewModerationSchema,
+    reviewReplySchema,
+} = require("../models/schemas");
+
+module.exports = (
+    reviewsCollection,
+    carsCollection,
+    bookingsCollection,
+    usersCollection
+) => {
+    const authenticate = [verifyFirebaseToken, loadUserRole(usersCollection)];
+    const carOwnership = [...authenticate, requireCarOwnership(carsCollection)];
+
+    // Get the published reviews of a car
+    router.get("/", (req, res) =>
+        reviewsController.getCarReviews(req, res, reviewsCollection)
+    );
+
+    // Get all reviews of a car, hidden ones included (car owner or admin)
+    router.get("/moderation", carOwnership, (req, res) =>
+        reviewsController.getReviewsForModeration(req, res, reviewsCollection)
+    );
+
+    // Review a completed booking of the car (renter)
+    router.post("/", authenticate, validateBody(reviewSchema), (req, res) =>
+        reviewsController.createReview(
+            req,
+            res,
+            reviewsCollection,
+            carsCollection,
+            bookingsCollection
+        )
+    );
+
+    // Publish or hide a review (car owner or admin)
+    router.patch(
+        "/:reviewId/moderation",
+        carOwnership,
+        validateBody(reviewModerationSchema),
+        (req, res) =>
+            reviewsController.moderateReview(
+                req,
+                res,
+                reviewsCollection,
+                carsCollection
+            )
+    );
+
+    // Reply to a review (car owner or admin)
+    router.put(
+        "/:reviewId/reply",
+        carOwnership,
+        validateBody(reviewReplySchema),
+        (req, res) =>
+            reviewsController.replyToReview(req, res, reviewsCollection)
+    );
+
+    // Remove the reply of a review (car owner or admin)
+    router.delete("/:reviewId/reply", carOwnership, (req, res) =>
+        reviewsController.deleteReviewReply(req, res, reviewsCollection)
+    );
+
+    return router;
+};
@@ -0,0 +1,169 @@
+/**
+ * Availability Service
+ * Shared booking-overlap checks used by quotes, booking creation, car
+ * search and the booked-dates calendar
+ */
+
+const { BOOKING_STATUS } = require("../models/bookingStatus");
+
+// Booking statuses that keep a car unavailable for their date range;
+// active bookings (picked up) still hold the rest of their dates
+const BLOCKING_STATUSES = [
+    BOOKING_STATUS.CONFIRMED,
+    BOOKING_STATUS.PENDING,
+    BOOKING_STATUS.ACTIVE,
+];
+
+/**
+ * How long a pending booking holds its dates (BOOKING_HOLD_MINUTES)
+ */
+const PENDING_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 30;
+
+/**
+ * Calculate the hold expiry of a booking made at the given time
+ */
+const calculateHoldExpiry = (from = new Date()) =>
+    new Date(
+        new Date(from).getTime() + PENDING_HOLD_MINUTES * 60 * 1000
+    ).toISOString();
+
+/**
+ * Get when a pending booking's hold runs out
+ * Bookings made before holds were recorded expire PENDING_HOLD_MINUTES
+ * after their bookingDate; without a valid bookingDate their hold has run
+ * out, as buildLapsedHoldFilter treats them
+ */
+const getHoldExpiresAt = (booking) => {
+    if (booking.holdExpiresAt) return booking.holdExpiresAt;
+
+    const bookedAt = new Date(booking.bookingDate ?? NaN);
+    return Number.isNaN(bookedAt.getTime())
+        ? new Date(0).toISOString()
+        : calculateHoldExpiry(bookedAt);
+};
+
+/**
+ * Check if a booking is pending with a hold that has run out
+ */
+const isHoldExpired = (booking, now = new Date()) =>
+    booking.status === BOOKING_STATUS.PENDING &&
+    getHoldExpiresAt(booking) <= now.toISOString();
+
+/**
+ * Build the condition that leaves out pending bookings whose hold has run
+ * out, whether or not they have been marked expired yet
+ */
+const buildActiveHoldFilter = (now = new Date()) => ({
+    $or: [
+        { status: { $ne: BOOKING_STATUS.PENDING } },
+        { holdExpiresAt: { $gt: now.toISOString() } },
+        {
+            holdExpiresAt: { $exists: false },
+            bookingDate: {
+                $gt: new Date(
+                    now.getTime() - PENDING_HOLD_MINUTES * 60 * 1000
+                ).toISOString(),
+            },
+        },
+    ],
+});
+
+/**
+ * Build the query that matches pending bookings whose hold has run out
+ */
+const buildLapsedHoldFilter = (now = new Date()) => ({
+    status: BOOKING_STATUS.PENDING,
+    $nor: [buildActiveHoldFilter(now)],
+});
+
+/**
+ * Parse and validate a requested rental period
+ * Returns normalized ISO strings or an error message
+ */
+const parseBookingDates = (startDate, endDate) => {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const now = new Date();
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { error: "Invalid date format" };
+    }
+
+    if (start < now) {
+        return { error: "Start date cannot be in the past" };
+    }
+
+    if (end <= start) {
+        return { error: "End date must be after start date" };
+    }
+
+    return { startDate: start.toISOString(), endDate: end.toISOString() };
+};
+
+/**
+ * Build the query that matches bookings blocking a car
+ */
+const buildBlockingFilter = (carId) => ({
+    carId: carId,
+    status: { $in: BLOCKING_STATUSES },
+    ...buildActiveHoldFilter(),
+});
+
+/**
+ * Build the query that matches blocking bookings of any car overlapping a
+ * date range
+ */
+const buildDateOverlapFilter = (startDate, endDate) => ({
+    status: { $in: BLOCKING_STATUSES },
+    ...buildActiveHoldFilter(),
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+});
+
+/**
+ * Build the query that matches bookings overlapping a date range
+ */
+const buildOverlapFilter = (carId, startDate, endDate) => ({
+    ...buildDateOverlapFilter(startDate, endDate),
+    carId: carId,
+});
+
+/**
+ * Find bookings that conflict with the requested date range
+ */
+const findConflictingBookings = async (
+    bookingsCollection,
+    carId,
+    startDate,
+    endDate,
+    options = {}
+) => {
+    return bookingsCollection
+        .find(buildOverlapFilter(carId, startDate, endDate), options)
+        .toArray();
+};
+
+/**
+ * Reduce conflicting bookings to the date ranges shown to clients
+ */
+const toConflictingDates = (bookings) =>
+    bookings.map((b) => ({
+        startDate: b.startDate,
+        endDate: b.endDate,
+    }));
+
+module.exports = {
+    BLOCKING_STATUSES,
+    PENDING_HOLD_MINUTES,
+    calculateHoldExpiry,
+    getHoldExpiresAt,
+    isHoldExpired,
+    buildActiveHoldFilter,
+    buildLapsedHoldFilter,
+    buildBlockingFilter,
+    buildDateOverlapFilter,
+    buildOverlapFilter,
+    findConflictingBookings,
+    parseBookingDates,
+    toConflictingDates,
+};
@@ -0,0 +1,115 @@
+/**
+ * Booking Expiry Service
+ * Moves pending bookings whose hold has run out to expired and gives their
+ * coupon use back
+ */
+
+const { withTransaction } = require("../config/database");
+const {
+    buildLapsedHoldFilter,
+    isHoldExpired,
+} = require("./availabilityService");
+const {
+    InvalidTransitionError,
+    transitionBooking,
+} = require("./bookingLifecycleService");
+const { releaseCouponRedemption } = require("./couponService");
+
+/**
+ * How often the sweeper runs (BOOKING_SWEEP_INTERVAL_SECONDS)
+ */
+const SWEEP_INTERVAL_SECONDS =
+    Number(process.env.BOOKING_SWEEP_INTERVAL_SECONDS) || 60;
+
+/**
+ * Expire a pending booking as the system actor and release its coupon
+ * redemption; returns the updated booking, or null when the booking was
+ * changed concurrently (e.g. paid or cancelled)
+ */
+const expireBooking = async (
+    { bookingsCollection, couponsCollection, redemptionsCollection },
+    booking
+) => {
+    try {
+        return await withTransaction(async (session) => {
+            const updated = await transitionBooking(
+                bookingsCollection,
+                booking,
+                "expire",
+                { role: "system" },
+                { reason: "Hold expired", session }
+            );
+
+            await releaseCouponRedemption(
+                couponsCollection,
+                redemptionsCollection,
+                booking._id,
+                session
+            );
+
+            return updated;
+        });
+    } catch (error) {
+        if (error instanceof InvalidTransitionError) return null;
+        throw error;
+    }
+};
+
+/**
+ * Expire a booking read for a request if its hold has run out
+ * Returns the booking as it should be acted on
+ */
+const expireIfLapsed = async (collections, booking) => {
+    if (!isHoldExpired(booking)) return booking;
+
+    return (
+        (await expireBooking(collections, booking)) ||
+        (await collections.bookingsCollection.findOne({ _id: booking._id }))
+    );
+};
+
+/**
+ * Expire every pending booking whose hold has run out
+ * Returns the number of bookings expired
+ */
+const sweepExpiredHolds = async (collections, { limit = 100 } = {}) => {
+    const lapsed = await collections.bookingsCollection
+        .find(buildLapsedHoldFilter())
+        .limit(limit)
+        .toArray();
+
+    let expired = 0;
+    for (const booking of lapsed) {
+        if (await expireBooking(collections, booking)) expired++;
+    }
+
+    return expired;
+};
+
+/**
+ * Run sweepExpiredHolds every SWEEP_INTERVAL_SECONDS
+ * The timer does not keep the process alive; returns it so it can be
+ * cleared
+ */
+const startHoldSweeper = (collections) => {
+    const timer = setInterval(async () => {
+        try {
+            const expired = await sweepExpiredHolds(collections);
+            if (expired > 0) {
+                console.log(`⏱️ Expired ${expired} pending booking(s)`);
+            }
+        } catch (error) {
+            console.error("Error expiring pending bookings:", error);
+        }
+    }, SWEEP_INTERVAL_SECONDS * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    expireBooking,
+    expireIfLapsed,
+    sweepExpiredHolds,
+    startHoldSweeper,
+};
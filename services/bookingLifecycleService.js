@@ -0,0 +1,136 @@
+/**
+ * Booking Lifecycle Service
+ * Applies guarded status transitions and records the status history
+ */
+
+const { ObjectId } = require("mongodb");
+const { getTransition } = require("../models/bookingStatus");
+const { ROLES } = require("../models/roles");
+
+/**
+ * Thrown when a transition is not allowed from the booking's current status
+ */
+class InvalidTransitionError extends Error {
+    constructor(action, currentStatus) {
+        super(`Cannot ${action} a booking that is ${currentStatus}`);
+        this.name = "InvalidTransitionError";
+        this.action = action;
+        this.currentStatus = currentStatus;
+    }
+}
+
+/**
+ * Thrown when the actor may not perform the transition
+ */
+class TransitionForbiddenError extends Error {
+    constructor(action) {
+        super(`Forbidden - You are not allowed to ${action} this booking`);
+        this.name = "TransitionForbiddenError";
+        this.action = action;
+    }
+}
+
+/**
+ * Work out which lifecycle roles a user holds for a booking
+ */
+const getActorRoles = (user, booking, car) => {
+    const { email, role } = user;
+    const roles = [];
+
+    if (email && email === booking.userEmail) roles.push("renter");
+    if (email && car && email === car.userEmail) roles.push("owner");
+    if (role === ROLES.ADMIN) roles.push("admin");
+
+    return roles;
+};
+
+/**
+ * Pick the role an actor acts in for a transition (null if not allowed)
+ */
+const resolveActorRole = (action, actor) => {
+    const transition = getTransition(action);
+    const actorRoles = actor.roles || [actor.role];
+
+    return transition?.actors.find((r) => actorRoles.includes(r)) || null;
+};
+
+/**
+ * Build a status history entry
+ */
+const buildHistoryEntry = (from, to, actor, reason) => ({
+    from,
+    to,
+    at: new Date().toISOString(),
+    actor: {
+        email: actor.email || null,
+        role: actor.role,
+    },
+    reason: reason || null,
+});
+
+/**
+ * Move a booking through a lifecycle transition
+ *
+ * actor: { email, roles } for users, or { role: "system" } for internal jobs.
+ * The update is conditional on the status read, so a concurrent transition
+ * makes this one fail with InvalidTransitionError instead of overwriting it.
+ * Returns the updated booking.
+ */
+const transitionBooking = async (
+    bookingsCollection,
+    booking,
+    action,
+    actor,
+    { reason, set = {}, session } = {}
+) => {
+    const transition = getTransition(action);
+
+    if (!transition) {
+        throw new Error(`Unknown booking action: ${action}`);
+    }
+
+    const role = resolveActorRole(action, actor);
+
+    if (!role) {
+        throw new TransitionForbiddenError(action);
+    }
+
+    if (!transition.from.includes(booking.status)) {
+        throw new InvalidTransitionError(action, booking.status);
+    }
+
+    const entry = buildHistoryEntry(
+        booking.status,
+        transition.to,
+        { email: actor.email, role },
+        reason
+    );
+
+    const updated = await bookingsCollection.findOneAndUpdate(
+        { _id: new ObjectId(booking._id), status: booking.status },
+        {
+            $set: { ...set, status: transition.to, updatedAt: entry.at },
+            $push: { statusHistory: entry },
+        },
+        { returnDocument: "after", session }
+    );
+
+    if (!updated) {
+        const current = await bookingsCollection.findOne(
+            { _id: new ObjectId(booking._id) },
+            { session }
+        );
+        throw new InvalidTransitionError(action, current?.status);
+    }
+
+    return updated;
+};
+
+module.exports = {
+    InvalidTransitionError,
+    TransitionForbiddenError,
+    getActorRoles,
+    resolveActorRole,
+    buildHistoryEntry,
+    transitionBooking,
+};
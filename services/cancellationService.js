@@ -0,0 +1,83 @@
+/**
+ * Cancellation Service
+ * Computes refunds for cancelled bookings from the car's cancellation policy
+ */
+
+const {
+    CANCELLATION_POLICIES,
+    DEFAULT_CANCELLATION_POLICY,
+} = require("../models/cancellationPolicies");
+const { DEFAULT_CURRENCY, roundMoney } = require("../models/currencies");
+
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Get the terms of a policy as shown to customers
+ */
+const describeCancellationPolicy = (policyKey) => {
+    const key = CANCELLATION_POLICIES[policyKey]
+        ? policyKey
+        : DEFAULT_CANCELLATION_POLICY;
+    const policy = CANCELLATION_POLICIES[key];
+
+    return {
+        key,
+        name: policy.name,
+        description: policy.description,
+        tiers: policy.tiers,
+    };
+};
+
+/**
+ * Calculate the refund for a cancellation
+ *
+ * Cancellations by the car owner or an admin are refunded in full; renter
+ * cancellations follow the tier matching the hours left before startDate.
+ */
+const calculateRefund = ({
+    policyKey,
+    startDate,
+    amountPaid,
+    cancelledAt = new Date(),
+    cancelledBy = "renter",
+    currency = DEFAULT_CURRENCY,
+}) => {
+    const policy = describeCancellationPolicy(policyKey);
+    const hoursBeforeStart =
+        (new Date(startDate) - new Date(cancelledAt)) / HOUR_MS;
+    const paid = Math.max(0, amountPaid || 0);
+
+    let refundPct = 0;
+    let appliedTier = null;
+
+    if (cancelledBy !== "renter") {
+        refundPct = 100;
+    } else if (hoursBeforeStart >= 0) {
+        appliedTier =
+            [...policy.tiers]
+                .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+                .find((tier) => hoursBeforeStart >= tier.minHoursBefore) ||
+            null;
+        refundPct = appliedTier ? appliedTier.refundPct : 0;
+    }
+
+    const refundAmount = roundMoney((paid * refundPct) / 100, currency);
+
+    return {
+        policy: policy.key,
+        cancelledBy,
+        cancelledAt: new Date(cancelledAt).toISOString(),
+        hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+        appliedTier,
+        refundPct,
+        currency,
+        amountPaid: paid,
+        refundAmount,
+        nonRefundableAmount: roundMoney(paid - refundAmount, currency),
+    };
+};
+
+module.exports = {
+    describeCancellationPolicy,
+    calculateRefund,
+};
@@ -0,0 +1,451 @@
+/**
+ * Car Search Service
+ * Query, availability and quote helpers for car search
+ */
+
+const { ObjectId } = require("mongodb");
+const pricingService = require("./pricingService");
+const { buildDateOverlapFilter } = require("./availabilityService");
+const { resolvePriceRulesForCars } = require("./priceRulesService");
+const { resolveTaxRules } = require("./taxService");
+const { ExchangeRateError, convertAmount } = require("./exchangeRateService");
+const { DEFAULT_CURRENCY } = require("../models/currencies");
+const { buildGeoNearStage } = require("./geoService");
+
+/**
+ * Fields the text query matches, with their relevance weights
+ */
+const TEXT_SEARCH_FIELDS = {
+    carModel: 10,
+    brand: 8,
+    model: 8,
+    type: 4,
+    features: 2,
+    description: 1,
+};
+
+/**
+ * Upper bounds of the price facet buckets (daily price)
+ */
+const PRICE_FACET_BOUNDARIES = [0, 50, 100, 150, 250, 500];
+
+/**
+ * Most cars quoted for a quote sort (QUOTE_SORT_MAX_CARS); quotes are
+ * computed per request, so larger result sets are narrowed to the cars
+ * with the lowest (or highest) daily price first
+ */
+const QUOTE_SORT_MAX_CARS = Number(process.env.QUOTE_SORT_MAX_CARS) || 500;
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) =>
+    String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a case-insensitive substring match of the text fields
+ */
+const buildRegexQuery = (query) => ({
+    $or: Object.keys(TEXT_SEARCH_FIELDS).map((field) => ({
+        [field]: { $regex: escapeRegex(query), $options: "i" },
+    })),
+});
+
+/**
+ * Shortest query word matched with one typo; shorter words must match
+ * exactly
+ */
+const FUZZY_MIN_WORD_LENGTH = 4;
+
+/**
+ * Pattern matching a word with at most one typo: a wrong, missing, extra
+ * or swapped letter
+ */
+const buildFuzzyWordPattern = (word) => {
+    const letters = [...word];
+    const join = (parts) => parts.map(escapeRegex).join("");
+
+    if (letters.length < FUZZY_MIN_WORD_LENGTH) return join(letters);
+
+    const variants = [];
+    letters.forEach((letter, i) => {
+        const before = join(letters.slice(0, i));
+        variants.push(`${before}.?${join(letters.slice(i + 1))}`);
+        variants.push(`${before}.${join(letters.slice(i))}`);
+
+        if (i < letters.length - 1) {
+            variants.push(
+                before +
+                    join([letters[i + 1], letter]) +
+                    join(letters.slice(i + 2))
+            );
+        }
+    });
+
+    return variants.join("|");
+};
+
+/**
+ * Build a typo-tolerant match of the text fields: every word of the query
+ * must appear, with at most one typo, in one of them
+ */
+const buildFuzzyQuery = (query) => ({
+    $and: query
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => ({
+            $or: Object.keys(TEXT_SEARCH_FIELDS).map((field) => ({
+                [field]: {
+                    $regex: buildFuzzyWordPattern(word),
+                    $options: "i",
+                },
+            })),
+        })),
+});
+
+/**
+ * Add a condition to a filter without overwriting its other conditions
+ */
+const andFilter = (filter, condition) => ({
+    ...filter,
+    $and: [...(filter.$and || []), condition],
+});
+
+/**
+ * Build the first stages of the search pipeline
+ *
+ * - near: $geoNear adds distanceKm; the text query is a substring match, as
+ *   $geoNear cannot be combined with text search
+ * - text, with ATLAS_SEARCH_INDEX set: Atlas Search with fuzzy (typo
+ *   tolerant) matching, scored by relevance
+ * - text: the text index, scored by relevance
+ * - regex: substring match, used when the text index finds nothing
+ * - fuzzy: every word with at most one typo, used when the substring match
+ *   finds nothing either
+ */
+const buildSearchStages = (filter, { query, mode, near, maxDistanceKm }) => {
+    if (near) {
+        return [
+            buildGeoNearStage(
+                near,
+                query ? andFilter(filter, buildRegexQuery(query)) : filter,
+                maxDistanceKm
+            ),
+            { $set: { distanceKm: { $round: ["$distanceKm", 2] } } },
+        ];
+    }
+
+    if (!query) {
+        return [{ $match: filter }];
+    }
+
+    if (mode === "atlas") {
+        return [
+            {
+                $search: {
+                    index: process.env.ATLAS_SEARCH_INDEX,
+                    text: {
+                        query,
+                        path: Object.keys(TEXT_SEARCH_FIELDS),
+                        fuzzy: { maxEdits: 1, prefixLength: 1 },
+                    },
+                },
+            },
+            { $set: { score: { $meta: "searchScore" } } },
+            { $match: filter },
+        ];
+    }
+
+    if (mode === "text") {
+        return [
+            { $match: { ...filter, $text: { $search: query } } },
+            { $set: { score: { $meta: "textScore" } } },
+        ];
+    }
+
+    if (mode === "fuzzy") {
+        return [{ $match: andFilter(filter, buildFuzzyQuery(query)) }];
+    }
+
+    return [{ $match: andFilter(filter, buildRegexQuery(query)) }];
+};
+
+/**
+ * Facet pipelines counting the matches per filter value
+ */
+const FACET_STAGES = {
+    brand: [
+        { $match: { brand: { $nin: [null, ""] } } },
+        { $sortByCount: "$brand" },
+    ],
+    transmission: [
+        { $match: { transmission: { $nin: [null, ""] } } },
+        { $sortByCount: "$transmission" },
+    ],
+    fuel: [
+        { $set: { fuelValue: { $ifNull: ["$fuelType", "$fuel"] } } },
+        { $match: { fuelValue: { $nin: [null, ""] } } },
+        { $sortByCount: "$fuelValue" },
+    ],
+    seats: [
+        { $match: { seats: { $type: "number" } } },
+        { $sortByCount: "$seats" },
+        { $sort: { _id: 1 } },
+    ],
+    price: [
+        {
+            $set: {
+                priceValue: { $ifNull: ["$dailyRentalPrice", "$price"] },
+            },
+        },
+        { $match: { priceValue: { $type: "number" } } },
+        {
+            $bucket: {
+                groupBy: "$priceValue",
+                boundaries: PRICE_FACET_BOUNDARIES,
+                default: "other",
+            },
+        },
+    ],
+};
+
+/**
+ * Shape the raw facet results as { brand: [{ value, count }], ...,
+ * price: [{ min, max, count }] }
+ */
+const formatFacets = (result) => {
+    const facets = {};
+
+    for (const name of ["brand", "transmission", "fuel", "seats"]) {
+        facets[name] = result[name].map(({ _id, count }) => ({
+            value: _id,
+            count,
+        }));
+    }
+
+    facets.price = result.price.map(({ _id, count }) => {
+        const index = PRICE_FACET_BOUNDARIES.indexOf(_id);
+        return {
+            min: _id === "other" ? PRICE_FACET_BOUNDARIES.at(-1) : _id,
+            max: _id === "other" ? null : PRICE_FACET_BOUNDARIES[index + 1],
+            count,
+        };
+    });
+
+    return facets;
+};
+
+/**
+ * Find a page of cars matching a filter, with the total number of matches
+ * and facet counts over all matches
+ *
+ * Options: query (text), near and maxDistanceKm (geo), sort, cursorFilter
+ * (page position from paginationService, not applied to totals and facets),
+ * skip and limit; without a limit every match from skip on is returned. A
+ * text query that the text index does not match falls back to a substring
+ * match, then to a match with one typo per word.
+ *
+ * Totals and facets are counted in their own aggregation, so the cars are
+ * never gathered into a single (16 MB capped) $facet document.
+ */
+const findCars = async (
+    carsCollection,
+    filter,
+    {
+        query = "",
+        near = null,
+        maxDistanceKm = null,
+        sort,
+        cursorFilter = null,
+        skip = 0,
+        limit = null,
+    } = {}
+) => {
+    const searchStages = (mode) =>
+        buildSearchStages(filter, { query, mode, near, maxDistanceKm });
+
+    const summarize = async (mode) => {
+        const [result] = await carsCollection
+            .aggregate([
+                ...searchStages(mode),
+                {
+                    $facet: {
+                        total: [{ $count: "count" }],
+                        ...FACET_STAGES,
+                    },
+                },
+            ])
+            .toArray();
+
+        return {
+            total: result.total[0]?.count || 0,
+            facets: formatFacets(result),
+        };
+    };
+
+    let mode = process.env.ATLAS_SEARCH_INDEX ? "atlas" : "text";
+    let summary = await summarize(mode);
+
+    for (const fallback of ["regex", "fuzzy"]) {
+        if (!query || near || mode === "atlas" || summary.total > 0) break;
+
+        mode = fallback;
+        summary = await summarize(mode);
+    }
+
+    const cars = summary.total
+        ? await carsCollection
+              .aggregate([
+                  ...searchStages(mode),
+                  ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+                  { $sort: sort },
+                  { $skip: skip },
+                  ...(limit ? [{ $limit: limit }] : []),
+              ])
+              .toArray()
+        : [];
+
+    return { cars, ...summary };
+};
+
+/**
+ * Create the weighted text index used for relevance-ranked search
+ */
+const ensureCarSearchIndexes = async (carsCollection) => {
+    await carsCollection.createIndex(
+        Object.fromEntries(
+            Object.keys(TEXT_SEARCH_FIELDS).map((field) => [field, "text"])
+        ),
+        { name: "car_text_search", weights: TEXT_SEARCH_FIELDS }
+    );
+};
+
+/**
+ * Build the condition that leaves out cars with a blocking booking
+ * overlapping the period
+ */
+const buildAvailableCarsFilter = async (
+    bookingsCollection,
+    startDate,
+    endDate
+) => {
+    const bookedCarIds = await bookingsCollection.distinct(
+        "carId",
+        buildDateOverlapFilter(startDate, endDate)
+    );
+
+    return {
+        _id: {
+            $nin: bookedCarIds
+                .filter((id) => ObjectId.isValid(id))
+                .map((id) => new ObjectId(id)),
+        },
+    };
+};
+
+/**
+ * Quote each car for the period and attach a summary as car.quote
+ *
+ * Options: priceRulesCollection, exchangeRates (from getExchangeRates) and
+ * currency (quote every car in it instead of its own currency). A car that
+ * cannot be quoted for lack of an exchange rate gets
+ * { available: false, error } instead of failing the search.
+ */
+const attachQuotes = async (
+    cars,
+    startDate,
+    endDate,
+    { priceRulesCollection, exchangeRates, currency }
+) => {
+    const rulesByCar = await resolvePriceRulesForCars(
+        priceRulesCollection,
+        cars
+    );
+
+    return Promise.all(
+        cars.map(async (car) => {
+            let quote;
+            try {
+                quote = pricingService.generateQuote(
+                    car,
+                    startDate,
+                    endDate,
+                    null,
+                    rulesByCar.get(String(car._id)),
+                    {
+                        taxRules: await resolveTaxRules(car),
+                        currency,
+                        exchangeRates,
+                    }
+                );
+            } catch (error) {
+                if (!(error instanceof ExchangeRateError)) throw error;
+
+                return {
+                    ...car,
+                    quote: { available: false, error: error.message },
+                };
+            }
+
+            return {
+                ...car,
+                quote: {
+                    available: true,
+                    currency: quote.currency,
+                    nights: quote.nights,
+                    nightly: quote.nightly,
+                    subtotal: quote.subtotal,
+                    lengthDiscount: quote.lengthDiscount,
+                    taxes: quote.taxes,
+                    total: quote.total,
+                    deposit: quote.deposit,
+                },
+            };
+        })
+    );
+};
+
+/**
+ * Sort quoted cars by total; totals in different currencies are compared
+ * in DEFAULT_CURRENCY. Cars without a comparable total come last.
+ */
+const sortByQuote = (cars, direction, exchangeRates) => {
+    const baseTotal = (car) => {
+        if (!car.quote.available) return null;
+
+        try {
+            return convertAmount(
+                car.quote.total,
+                car.quote.currency,
+                DEFAULT_CURRENCY,
+                exchangeRates
+            );
+        } catch (error) {
+            if (error instanceof ExchangeRateError) return null;
+            throw error;
+        }
+    };
+
+    const totals = new Map(cars.map((car) => [car, baseTotal(car)]));
+
+    return [...cars].sort((a, b) => {
+        const totalA = totals.get(a);
+        const totalB = totals.get(b);
+
+        if (totalA === null || totalB === null) {
+            return (totalA === null) - (totalB === null);
+        }
+
+        return (totalA - totalB) * (direction === "desc" ? -1 : 1);
+    });
+};
+
+module.exports = {
+    QUOTE_SORT_MAX_CARS,
+    escapeRegex,
+    findCars,
+    buildAvailableCarsFilter,
+    attachQuotes,
+    sortByQuote,
+    ensureCarSearchIndexes,
+};
@@ -0,0 +1,254 @@
+/**
+ * Coupon Service
+ * Coupon redemption accounting, usage statistics and collection setup
+ */
+
+const { DEFAULT_CURRENCY, roundMoney } = require("../models/currencies");
+
+/**
+ * Redemption record:
+ * {
+ *   couponId: ObjectId,              // limits and statistics key on it
+ *   code: 'WELCOME10',               // the code as redeemed
+ *   bookingId: ObjectId,
+ *   userEmail: 'user@example.com',
+ *   discount: 22.5,                  // in the booking's currency
+ *   currency: 'EUR',
+ *   baseDiscount: 24.46,             // in DEFAULT_CURRENCY, for statistics
+ *   status: 'redeemed' | 'released',
+ *   redeemedAt: '2025-06-14T14:30:00.000Z',
+ *   releasedAt: null
+ * }
+ */
+
+/**
+ * Thrown when a coupon can no longer be redeemed (limit reached,
+ * deactivated or deleted since the quote was computed)
+ */
+class CouponUnavailableError extends Error {
+    constructor(code) {
+        super(`Coupon ${code} is no longer available`);
+        this.name = "CouponUnavailableError";
+        this.code = code;
+    }
+}
+
+// Bookings that count towards a user's booking history
+const HISTORY_STATUSES = [
+    "pending",
+    "confirmed",
+    "active",
+    "completed",
+    "no_show",
+];
+
+/**
+ * Load the requesting user's history for the per-user coupon restrictions
+ * (see isCouponValid)
+ */
+const getCouponContext = async (
+    bookingsCollection,
+    redemptionsCollection,
+    coupon,
+    userEmail,
+    car
+) => {
+    if (!userEmail) {
+        return {
+            userEmail: null,
+            car,
+            userBookingCount: 0,
+            userRedemptionCount: 0,
+        };
+    }
+
+    const [userBookingCount, userRedemptionCount] = await Promise.all([
+        coupon.firstBookingOnly
+            ? bookingsCollection.countDocuments({
+                  userEmail,
+                  status: { $in: HISTORY_STATUSES },
+              })
+            : 0,
+        coupon.perUserLimit
+            ? redemptionsCollection.countDocuments({
+                  couponId: coupon._id,
+                  userEmail,
+                  status: "redeemed",
+              })
+            : 0,
+    ]);
+
+    return { userEmail, car, userBookingCount, userRedemptionCount };
+};
+
+/**
+ * Record a coupon redemption for a booking
+ *
+ * The usageCount increment is conditional on the limit, so concurrent
+ * redemptions cannot push a coupon past its usageLimit. Run it in the same
+ * transaction as the booking insert. Every redemption writes the coupon
+ * document, so the per-user limit recheck below is serialized too.
+ */
+const redeemCoupon = async (
+    couponsCollection,
+    redemptionsCollection,
+    { coupon, bookingId, userEmail, discount, currency, baseDiscount },
+    session
+) => {
+    const claimed = await couponsCollection.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            active: true,
+            $or: [
+                { usageLimit: { $in: [null, 0] } },
+                {
+                    $expr: {
+                        $lt: [{ $ifNull: ["$usageCount", 0] }, "$usageLimit"],
+                    },
+                },
+            ],
+        },
+        { $inc: { usageCount: 1 } },
+        { returnDocument: "after", session }
+    );
+
+    if (!claimed) {
+        throw new CouponUnavailableError(coupon.code);
+    }
+
+    if (coupon.perUserLimit) {
+        const used = await redemptionsCollection.countDocuments(
+            { couponId: coupon._id, userEmail, status: "redeemed" },
+            { session }
+        );
+        if (used >= coupon.perUserLimit) {
+            throw new CouponUnavailableError(coupon.code);
+        }
+    }
+
+    const redemption = {
+        couponId: coupon._id,
+        code: coupon.code,
+        bookingId,
+        userEmail,
+        discount,
+        currency: currency || DEFAULT_CURRENCY,
+        baseDiscount: baseDiscount ?? discount,
+        status: "redeemed",
+        redeemedAt: new Date().toISOString(),
+        releasedAt: null,
+    };
+
+    await redemptionsCollection.insertOne(redemption, { session });
+    return redemption;
+};
+
+/**
+ * Release the coupon redemption of a booking (e.g. after cancellation)
+ * Returns the released redemption, or null if there was none
+ */
+const releaseCouponRedemption = async (
+    couponsCollection,
+    redemptionsCollection,
+    bookingId,
+    session
+) => {
+    const released = await redemptionsCollection.findOneAndUpdate(
+        { bookingId, status: "redeemed" },
+        {
+            $set: {
+                status: "released",
+                releasedAt: new Date().toISOString(),
+            },
+        },
+        { returnDocument: "after", session }
+    );
+
+    if (!released) return null;
+
+    await couponsCollection.updateOne(
+        { _id: released.couponId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session }
+    );
+
+    return released;
+};
+
+/**
+ * Collect usage statistics from redemptions, keyed by coupon ID string
+ * totalDiscount is in DEFAULT_CURRENCY
+ */
+const getUsageStats = async (redemptionsCollection, couponIds) => {
+    const stats = await redemptionsCollection
+        .aggregate([
+            { $match: { couponId: { $in: couponIds }, status: "redeemed" } },
+            {
+                $group: {
+                    _id: "$couponId",
+                    bookings: { $sum: 1 },
+                    totalDiscount: {
+                        $sum: { $ifNull: ["$baseDiscount", "$discount"] },
+                    },
+                    uniqueUsers: { $addToSet: "$userEmail" },
+                    lastUsedAt: { $max: "$redeemedAt" },
+                },
+            },
+        ])
+        .toArray();
+
+    return new Map(stats.map((s) => [String(s._id), s]));
+};
+
+/**
+ * Attach usage statistics to a coupon
+ */
+const withUsage = (coupon, stats) => {
+    const usage = stats.get(String(coupon._id));
+    const usageCount = coupon.usageCount || 0;
+
+    return {
+        ...coupon,
+        usage: {
+            usageCount,
+            usageLimit: coupon.usageLimit || null,
+            remainingUses: coupon.usageLimit
+                ? Math.max(0, coupon.usageLimit - usageCount)
+                : null,
+            bookings: usage?.bookings || 0,
+            uniqueUsers: usage?.uniqueUsers?.length || 0,
+            totalDiscount: roundMoney(usage?.totalDiscount || 0),
+            lastUsedAt: usage?.lastUsedAt || null,
+        },
+    };
+};
+
+/**
+ * Create the unique, case-insensitive index on coupon codes, the
+ * one-redemption-per-booking index and the per-coupon usage index
+ */
+const ensureCouponIndexes = async (
+    couponsCollection,
+    redemptionsCollection
+) => {
+    await couponsCollection.createIndex(
+        { code: 1 },
+        { unique: true, collation: { locale: "en", strength: 2 } }
+    );
+    await redemptionsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await redemptionsCollection.createIndex({
+        couponId: 1,
+        status: 1,
+        userEmail: 1,
+    });
+};
+
+module.exports = {
+    CouponUnavailableError,
+    getCouponContext,
+    redeemCoupon,
+    releaseCouponRedemption,
+    getUsageStats,
+    withUsage,
+    ensureCouponIndexes,
+};
@@ -0,0 +1,307 @@
+/**
+ * Deposit Service
+ * Holds, captures and releases booking security deposits through the
+ * payment provider
+ */
+
+const { ObjectId } = require("mongodb");
+const { DEPOSIT_STATUS } = require("../models/deposits");
+const { roundMoney } = require("../models/currencies");
+const { getPaymentProvider } = require("./payments");
+
+/**
+ * Minutes to wait before retrying a failed settlement, by attempt; the last
+ * delay repeats
+ */
+const SETTLEMENT_RETRY_MINUTES = [1, 5, 15, 60];
+
+/**
+ * How often failed settlements are retried
+ * (DEPOSIT_RETRY_INTERVAL_SECONDS)
+ */
+const RETRY_INTERVAL_SECONDS =
+    Number(process.env.DEPOSIT_RETRY_INTERVAL_SECONDS) || 60;
+
+/**
+ * When the attempt after the given number of failed attempts is due
+ */
+const getNextAttemptAt = (attempts, now = new Date()) => {
+    const minutes =
+        SETTLEMENT_RETRY_MINUTES[
+            Math.min(attempts, SETTLEMENT_RETRY_MINUTES.length - 1)
+        ];
+
+    return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+};
+
+/**
+ * Thrown when a deposit operation does not fit the deposit's state
+ */
+class DepositError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "DepositError";
+    }
+}
+
+/**
+ * Build the deposit recorded on a new booking from its quote
+ * Returns null when the car takes no deposit
+ */
+const buildBookingDeposit = (quote) =>
+    quote.deposit > 0
+        ? {
+              amount: quote.deposit,
+              currency: quote.currency,
+              status: DEPOSIT_STATUS.PENDING,
+          }
+        : null;
+
+/**
+ * Place the hold for a booking's pending deposit
+ * Returns the deposit to store on the booking (unchanged when there is
+ * nothing to hold)
+ */
+const holdDeposit = async (booking) => {
+    const { deposit } = booking;
+
+    if (!deposit || deposit.status !== DEPOSIT_STATUS.PENDING) {
+        return deposit || null;
+    }
+
+    const provider = getPaymentProvider();
+    const hold = await provider.authorizeHold({
+        amount: deposit.amount,
+        currency: deposit.currency,
+        reference: String(booking._id),
+    });
+
+    return {
+        ...deposit,
+        status: DEPOSIT_STATUS.HELD,
+        provider: provider.name,
+        holdId: hold.id,
+        capturedAmount: 0,
+        heldAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Check a damage capture ({ amount, reason }) against a booking's deposit
+ * Throws DepositError when it cannot be captured
+ */
+const validateDepositCapture = (deposit, capture) => {
+    if (!capture?.amount) return;
+
+    if (deposit?.status !== DEPOSIT_STATUS.HELD) {
+        throw new DepositError("The booking has no deposit on hold");
+    }
+
+    if (capture.amount > deposit.amount) {
+        throw new DepositError(
+            `Cannot capture more than the deposit of ${deposit.amount} ${deposit.currency}`
+        );
+    }
+};
+
+/**
+ * Ask the provider to carry out a booking's recorded settlement
+ *
+ * The idempotency key makes a retry after an unrecorded success harmless.
+ * A failure is recorded with the time of the next attempt and rethrown.
+ * Returns the updated booking
+ */
+const completeDepositSettlement = async (bookingsCollection, booking) => {
+    const { deposit } = booking;
+    const { capturedAmount, reason } = deposit.settlement;
+    const filter = {
+        _id: new ObjectId(booking._id),
+        "deposit.status": DEPOSIT_STATUS.SETTLING,
+    };
+
+    const provider = getPaymentProvider(deposit.provider);
+    const idempotencyKey = `deposit-${booking._id}`;
+
+    try {
+        if (capturedAmount > 0) {
+            await provider.captureHold(deposit.holdId, capturedAmount, {
+                idempotencyKey,
+            });
+        } else {
+            await provider.releaseHold(deposit.holdId, { idempotencyKey });
+        }
+    } catch (error) {
+        const attempts = (deposit.settlement.attempts || 0) + 1;
+        await bookingsCollection.updateOne(filter, {
+            $set: {
+                "deposit.settlement.attempts": attempts,
+                "deposit.settlement.lastError": error.message,
+                "deposit.settlement.nextAttemptAt": getNextAttemptAt(attempts),
+            },
+        });
+        throw error;
+    }
+
+    let status = DEPOSIT_STATUS.RELEASED;
+    if (capturedAmount > 0) {
+        status =
+            capturedAmount < deposit.amount
+                ? DEPOSIT_STATUS.PARTIALLY_CAPTURED
+                : DEPOSIT_STATUS.CAPTURED;
+    }
+
+    // Conditional on the settlement, so a deposit is settled once
+    const settled = await bookingsCollection.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                "deposit.status": status,
+                "deposit.capturedAmount": capturedAmount,
+                "deposit.captureReason": reason,
+                "deposit.settledAt": new Date().toISOString(),
+            },
+            $unset: { "deposit.settlement": "" },
+        },
+        { returnDocument: "after" }
+    );
+
+    return settled || booking;
+};
+
+/**
+ * Settle a held deposit: capture { amount, reason } for damages and release
+ * the rest, or release all of it when nothing is captured
+ *
+ * The settlement is recorded on the booking before the provider is asked,
+ * so when the provider fails it stays settling and retryDepositSettlements
+ * carries it out later. Returns the updated booking
+ */
+const settleDeposit = async (bookingsCollection, booking, capture = null) => {
+    const { deposit } = booking;
+
+    if (deposit?.status !== DEPOSIT_STATUS.HELD) {
+        return booking;
+    }
+
+    validateDepositCapture(deposit, capture);
+
+    // Conditional on the hold, so a deposit is settled once; the first
+    // retry is scheduled in case the process stops before the provider
+    // answers
+    const claimed = await bookingsCollection.findOneAndUpdate(
+        {
+            _id: new ObjectId(booking._id),
+            "deposit.status": DEPOSIT_STATUS.HELD,
+        },
+        {
+            $set: {
+                "deposit.status": DEPOSIT_STATUS.SETTLING,
+                "deposit.settlement": {
+                    capturedAmount: roundMoney(
+                        capture?.amount || 0,
+                        deposit.currency
+                    ),
+                    reason: capture?.reason || null,
+                    attempts: 0,
+                    lastError: null,
+                    nextAttemptAt: getNextAttemptAt(0),
+                },
+            },
+        },
+        { returnDocument: "after" }
+    );
+
+    if (!claimed) return booking;
+
+    return completeDepositSettlement(bookingsCollection, claimed);
+};
+
+/**
+ * Retry the settlements that are due
+ * Returns the number of deposits settled
+ */
+const retryDepositSettlements = async (
+    bookingsCollection,
+    { limit = 100 } = {}
+) => {
+    const due = await bookingsCollection
+        .find({
+            "deposit.status": DEPOSIT_STATUS.SETTLING,
+            "deposit.settlement.nextAttemptAt": {
+                $lte: new Date().toISOString(),
+            },
+        })
+        .limit(limit)
+        .toArray();
+
+    let settled = 0;
+    for (const booking of due) {
+        try {
+            await completeDepositSettlement(bookingsCollection, booking);
+            settled++;
+        } catch (error) {
+            console.error(`Error settling deposit of ${booking._id}:`, error);
+        }
+    }
+
+    return settled;
+};
+
+/**
+ * Retry failed settlements every RETRY_INTERVAL_SECONDS
+ * The timer does not keep the process alive
+ */
+const startDepositSettlementRetries = (bookingsCollection) => {
+    const timer = setInterval(async () => {
+        try {
+            const settled = await retryDepositSettlements(bookingsCollection);
+            if (settled > 0) {
+                console.log(`💳 Settled ${settled} deposit(s) on retry`);
+            }
+        } catch (error) {
+            console.error("Error retrying deposit settlements:", error);
+        }
+    }, RETRY_INTERVAL_SECONDS * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Create the index backing the settlement retries
+ */
+const ensureDepositIndexes = async (bookingsCollection) => {
+    await bookingsCollection.createIndex(
+        {
+            "deposit.status": 1,
+            "deposit.settlement.nextAttemptAt": 1,
+        },
+        { partialFilterExpression: { "deposit.status": "settling" } }
+    );
+};
+
+/**
+ * Release a hold placed for a transition that did not go through
+ * Failures are only logged; the hold expires with the provider
+ */
+const cancelDepositHold = async (deposit) => {
+    if (deposit?.status !== DEPOSIT_STATUS.HELD) return;
+
+    try {
+        await getPaymentProvider(deposit.provider).releaseHold(deposit.holdId);
+    } catch (error) {
+        console.error("Error releasing deposit hold:", error);
+    }
+};
+
+module.exports = {
+    DepositError,
+    buildBookingDeposit,
+    holdDeposit,
+    validateDepositCapture,
+    settleDeposit,
+    retryDepositSettlements,
+    startDepositSettlementRetries,
+    cancelDepositHold,
+    ensureDepositIndexes,
+};
@@ -0,0 +1,65 @@
+/**
+ * Exchange Rate Service
+ * Loads the exchange-rate table and converts amounts between currencies
+ */
+
+const { DEFAULT_CURRENCY } = require("../models/currencies");
+
+/**
+ * Thrown when no exchange rate is stored for a currency
+ */
+class ExchangeRateError extends Error {
+    constructor(currency) {
+        super(`No exchange rate available for ${currency}`);
+        this.name = "ExchangeRateError";
+        this.currency = currency;
+    }
+}
+
+/**
+ * Load the exchange rates as { CODE: units per 1 DEFAULT_CURRENCY }
+ *
+ * Documents in the exchangeRates collection:
+ * { currency: 'EUR', rate: 0.92, updatedAt, updatedBy }
+ */
+const getExchangeRates = async (exchangeRatesCollection) => {
+    const stored = await exchangeRatesCollection.find().toArray();
+    const rates = { [DEFAULT_CURRENCY]: 1 };
+
+    for (const { currency, rate } of stored) {
+        rates[currency] = rate;
+    }
+
+    return rates;
+};
+
+/**
+ * Convert an amount between currencies with a rates table from
+ * getExchangeRates; throws ExchangeRateError for currencies without a rate
+ */
+const convertAmount = (amount, from, to, rates) => {
+    if (from === to || !amount) return amount;
+
+    for (const currency of [from, to]) {
+        if (!rates[currency]) throw new ExchangeRateError(currency);
+    }
+
+    return (amount / rates[from]) * rates[to];
+};
+
+/**
+ * Create the unique index on the currency code
+ */
+const ensureExchangeRateIndexes = async (exchangeRatesCollection) => {
+    await exchangeRatesCollection.createIndex(
+        { currency: 1 },
+        { unique: true }
+    );
+};
+
+module.exports = {
+    ExchangeRateError,
+    getExchangeRates,
+    convertAmount,
+    ensureExchangeRateIndexes,
+};
@@ -0,0 +1,178 @@
+/**
+ * Extras Service
+ * Resolves the extras offered for a car and checks their stock
+ */
+
+const { ObjectId } = require("mongodb");
+const { buildDateOverlapFilter } = require("./availabilityService");
+
+/**
+ * Thrown when the stock of an extra is used up for the requested dates
+ */
+class ExtrasUnavailableError extends Error {
+    constructor(unavailable) {
+        super(
+            `Not enough stock for: ${unavailable.map((u) => u.code).join(", ")}`
+        );
+        this.name = "ExtrasUnavailableError";
+        this.unavailable = unavailable;
+    }
+}
+
+/**
+ * Get the active extras offered for a car; car extras replace fleet extras
+ * with the same code
+ */
+const getCarExtras = async (extrasCollection, car) => {
+    const extras = await extrasCollection
+        .find({
+            active: { $ne: false },
+            $or: [{ scope: "fleet" }, { scope: "car", carId: String(car._id) }],
+        })
+        .toArray();
+
+    const byCode = new Map();
+    for (const scope of ["fleet", "car"]) {
+        for (const extra of extras.filter((e) => e.scope === scope)) {
+            byCode.set(extra.code, extra);
+        }
+    }
+
+    return [...byCode.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Match requested extras ([{ code, quantity }]) against a car's catalog
+ * Returns { selected: [{ extra, quantity }] } or { error }
+ */
+const resolveExtraSelections = async (extrasCollection, car, selections) => {
+    if (!selections?.length) return { selected: [] };
+
+    const catalog = await getCarExtras(extrasCollection, car);
+    const quantities = new Map();
+
+    // Repeated codes add up
+    for (const { code, quantity = 1 } of selections) {
+        quantities.set(code, (quantities.get(code) || 0) + quantity);
+    }
+
+    const selected = [];
+    for (const [code, quantity] of quantities) {
+        const extra = catalog.find((e) => e.code === code);
+
+        if (!extra) {
+            return { error: `Extra ${code} is not available for this car` };
+        }
+
+        if (extra.maxQuantity && quantity > extra.maxQuantity) {
+            return {
+                error: `At most ${extra.maxQuantity} of ${extra.name} can be booked`,
+            };
+        }
+
+        selected.push({ extra, quantity });
+    }
+
+    return { selected };
+};
+
+/**
+ * Find selected extras whose stock is used up between two dates
+ *
+ * Every blocking booking overlapping the range counts against the stock,
+ * even if those bookings do not overlap each other.
+ * Returns [{ code, requested, available }]
+ */
+const findUnavailableExtras = async (
+    bookingsCollection,
+    selected,
+    startDate,
+    endDate,
+    options = {}
+) => {
+    const unavailable = [];
+
+    for (const { extra, quantity } of selected) {
+        if (extra.stock === undefined || extra.stock === null) continue;
+
+        const extraId = new ObjectId(extra._id);
+        const bookings = await bookingsCollection
+            .find(
+                {
+                    ...buildDateOverlapFilter(startDate, endDate),
+                    "extras.extraId": extraId,
+                },
+                { ...options, projection: { extras: 1 } }
+            )
+            .toArray();
+
+        const inUse = bookings
+            .flatMap((booking) => booking.extras)
+            .filter((item) => extraId.equals(item.extraId))
+            .reduce((sum, item) => sum + item.quantity, 0);
+
+        if (inUse + quantity > extra.stock) {
+            unavailable.push({
+                code: extra.code,
+                requested: quantity,
+                available: Math.max(0, extra.stock - inUse),
+            });
+        }
+    }
+
+    return unavailable;
+};
+
+/**
+ * Claim the stocked extras of a booking inside a reservation transaction
+ *
+ * Each stocked extra document is written first (reservationCount
+ * increment), so concurrent bookings of the same extra serialize like
+ * bookings of the same car do. Throws ExtrasUnavailableError.
+ */
+const reserveExtras = async (
+    extrasCollection,
+    bookingsCollection,
+    booking,
+    selected,
+    session
+) => {
+    const stocked = selected.filter(({ extra }) => extra.stock != null);
+    if (stocked.length === 0) return;
+
+    for (const { extra } of stocked) {
+        await extrasCollection.updateOne(
+            { _id: new ObjectId(extra._id) },
+            { $inc: { reservationCount: 1 } },
+            { session }
+        );
+    }
+
+    const unavailable = await findUnavailableExtras(
+        bookingsCollection,
+        stocked,
+        booking.startDate,
+        booking.endDate,
+        { session }
+    );
+
+    if (unavailable.length > 0) {
+        throw new ExtrasUnavailableError(unavailable);
+    }
+};
+
+/**
+ * Create the index backing extra code lookups per car
+ */
+const ensureExtraIndexes = async (extrasCollection) => {
+    await extrasCollection.createIndex({ code: 1, carId: 1 }, { unique: true });
+};
+
+module.exports = {
+    ExtrasUnavailableError,
+    getCarExtras,
+    resolveExtraSelections,
+    findUnavailableExtras,
+    reserveExtras,
+    ensureExtraIndexes,
+};
@@ -0,0 +1,147 @@
+/**
+ * Geo Service
+ * GeoJSON points for car locations and the parsing of geo search parameters
+ */
+
+/**
+ * Cars are stored with a GeoJSON point derived from location.lat/lng:
+ * car.geo = { type: 'Point', coordinates: [lng, lat] }
+ *
+ * The point is indexed with a 2dsphere index; cars without coordinates
+ * have no geo field and never match geo searches.
+ */
+
+/**
+ * Build the GeoJSON point for a car location (null without coordinates)
+ */
+const toGeoPoint = (location) => {
+    if (
+        !location ||
+        typeof location !== "object" ||
+        typeof location.lat !== "number" ||
+        typeof location.lng !== "number"
+    ) {
+        return null;
+    }
+
+    return { type: "Point", coordinates: [location.lng, location.lat] };
+};
+
+/**
+ * Parse a lat/lng pair from query parameters
+ * Returns a GeoJSON point or { error }
+ */
+const parsePoint = (lat, lng) => {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+
+    if (
+        lat === "" ||
+        lng === "" ||
+        !Number.isFinite(latitude) ||
+        !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 ||
+        Math.abs(longitude) > 180
+    ) {
+        return { error: "lat and lng must be valid coordinates" };
+    }
+
+    return { point: { type: "Point", coordinates: [longitude, latitude] } };
+};
+
+/**
+ * Parse a search radius such as "10" or "10km" into kilometres
+ * Returns { radiusKm } or { error }
+ */
+const parseRadiusKm = (radius) => {
+    const radiusKm = Number(String(radius).trim().replace(/km$/i, ""));
+
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+        return { error: "radius must be a positive distance in km" };
+    }
+
+    return { radiusKm };
+};
+
+/**
+ * Parse a polygon given as "lng,lat;lng,lat;..." (at least three corners)
+ * The ring is closed if needed. Returns a GeoJSON polygon or { error }
+ */
+const parsePolygon = (polygon) => {
+    const corners = String(polygon)
+        .split(";")
+        .filter((corner) => corner.trim())
+        .map((corner) => corner.split(",").map(Number));
+
+    const valid = corners.every(
+        ([lng, lat, ...rest]) =>
+            rest.length === 0 &&
+            Number.isFinite(lng) &&
+            Number.isFinite(lat) &&
+            Math.abs(lng) <= 180 &&
+            Math.abs(lat) <= 90
+    );
+
+    if (!valid || corners.length < 3) {
+        return {
+            error: 'polygon must be at least three "lng,lat" corners separated by ";"',
+        };
+    }
+
+    const [first] = corners;
+    const last = corners[corners.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        corners.push(first);
+    }
+
+    return { polygon: { type: "Polygon", coordinates: [corners] } };
+};
+
+/**
+ * Build the $geoNear stage that adds distanceKm to every car
+ * Filtering happens inside the stage, as $geoNear must come first
+ */
+const buildGeoNearStage = (point, filter, maxDistanceKm = null) => ({
+    $geoNear: {
+        near: point,
+        key: "geo",
+        distanceField: "distanceKm",
+        distanceMultiplier: 0.001,
+        spherical: true,
+        query: filter,
+        ...(maxDistanceKm ? { maxDistance: maxDistanceKm * 1000 } : {}),
+    },
+});
+
+/**
+ * Create the 2dsphere index and add points to cars stored before it
+ */
+const ensureCarGeoIndexes = async (carsCollection) => {
+    await carsCollection.updateMany(
+        {
+            geo: { $exists: false },
+            "location.lat": { $type: "number" },
+            "location.lng": { $type: "number" },
+        },
+        [
+            {
+                $set: {
+                    geo: {
+                        type: "Point",
+                        coordinates: ["$location.lng", "$location.lat"],
+                    },
+                },
+            },
+        ]
+    );
+    await carsCollection.createIndex({ geo: "2dsphere" });
+};
+
+module.exports = {
+    toGeoPoint,
+    parsePoint,
+    parseRadiusKm,
+    parsePolygon,
+    buildGeoNearStage,
+    ensureCarGeoIndexes,
+};
@@ -0,0 +1,146 @@
+/**
+ * Holiday Service
+ * Loads named holiday calendars from data/holidays and looks up holidays
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HOLIDAYS_DIR = path.join(__dirname, "..", "data", "holidays");
+
+/**
+ * Calendar file format (data/holidays/<CODE>.json):
+ * {
+ *   code: 'US',
+ *   name: 'United States federal holidays',
+ *   holidays: [
+ *     { name: 'Independence Day', date: '07-04' },          // every year
+ *     { name: 'Thanksgiving Day', month: 11, weekday: 'thu', week: 4 },
+ *     { name: 'Memorial Day', month: 5, weekday: 'mon', week: -1 },
+ *     { name: 'Eid al-Fitr', dates: ['2025-03-31'] }        // specific years
+ *   ]
+ * }
+ *
+ * Movable holidays fall on the week-th weekday of a month every year
+ * (week -1 is the last one in the month).
+ */
+
+// Indexed like Date#getDay (0 = Sunday)
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+let calendars = null;
+
+/**
+ * Load all calendar files once
+ */
+const loadCalendars = () => {
+    if (calendars) return calendars;
+
+    calendars = new Map();
+
+    if (!fs.existsSync(HOLIDAYS_DIR)) return calendars;
+
+    for (const file of fs.readdirSync(HOLIDAYS_DIR)) {
+        if (!file.endsWith(".json")) continue;
+
+        const calendar = JSON.parse(
+            fs.readFileSync(path.join(HOLIDAYS_DIR, file), "utf8")
+        );
+        const code = (
+            calendar.code || path.basename(file, ".json")
+        ).toUpperCase();
+        calendars.set(code, { ...calendar, code });
+    }
+
+    return calendars;
+};
+
+/**
+ * Get a calendar by code (e.g. "US"), or null if unknown
+ */
+const getCalendar = (code) =>
+    (code && loadCalendars().get(code.toUpperCase())) || null;
+
+/**
+ * List available calendars
+ */
+const listCalendars = () =>
+    [...loadCalendars().values()].map(({ code, name, holidays }) => ({
+        code,
+        name,
+        holidayCount: holidays.length,
+    }));
+
+/**
+ * Get the date key ("YYYY-MM-DD") of the week-th weekday of a month
+ * (month 1-12, week -1 for the last), or null if the month has no such day
+ */
+const getNthWeekdayKey = (year, month, weekday, week) => {
+    const dayIndex = WEEKDAY_NAMES.indexOf(weekday);
+    if (dayIndex === -1) return null;
+
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    let day;
+
+    if (week === -1) {
+        const lastWeekday = new Date(
+            Date.UTC(year, month - 1, daysInMonth)
+        ).getUTCDay();
+        day = daysInMonth - ((lastWeekday - dayIndex + 7) % 7);
+    } else {
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        day = 1 + ((dayIndex - firstWeekday + 7) % 7) + (week - 1) * 7;
+    }
+
+    if (day < 1 || day > daysInMonth) return null;
+
+    return [
+        String(year),
+        String(month).padStart(2, "0"),
+        String(day).padStart(2, "0"),
+    ].join("-");
+};
+
+/**
+ * Check if a holiday entry (or a "MM-DD" / "YYYY-MM-DD" string) falls on a
+ * date key ("YYYY-MM-DD")
+ */
+const matchesDateKey = (entry, dateKey) => {
+    const dates = typeof entry === "string" ? [entry] : entry.dates || [];
+    const monthDays = typeof entry === "string" ? [] : [entry.date];
+
+    if (typeof entry === "object" && entry.weekday) {
+        const year = Number(dateKey.slice(0, 4));
+        const key = getNthWeekdayKey(
+            year,
+            entry.month,
+            entry.weekday,
+            entry.week
+        );
+        if (key === dateKey) return true;
+    }
+
+    return (
+        dates.some((d) => d === dateKey || d === dateKey.slice(5)) ||
+        monthDays.some((d) => d && d === dateKey.slice(5))
+    );
+};
+
+/**
+ * Get the holidays of a calendar that fall on a date key ("YYYY-MM-DD")
+ */
+const getHolidaysOn = (calendarCode, dateKey) => {
+    const calendar = getCalendar(calendarCode);
+    if (!calendar) return [];
+
+    return calendar.holidays.filter((holiday) =>
+        matchesDateKey(holiday, dateKey)
+    );
+};
+
+module.exports = {
+    getCalendar,
+    listCalendars,
+    matchesDateKey,
+    getHolidaysOn,
+};
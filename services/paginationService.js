@@ -0,0 +1,289 @@
+/**
+ * Pagination Service
+ * Opaque cursor (keyset) pagination and field projection for list endpoints
+ */
+
+const { BSON } = require("mongodb");
+
+/**
+ * A cursor is the base64url encoded EJSON of { s: sortName, v: values },
+ * where values are the sort key values of the first or last document of a
+ * page, _id last. The next page continues strictly after those values
+ * instead of skipping documents, so deep pages cost the same as the first.
+ *
+ * Cursors are only valid for the sort they were issued for.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Add _id as the last sort key so every document has a unique position
+ */
+const withTiebreaker = (sort) => {
+    if (sort._id) return sort;
+
+    const directions = Object.values(sort);
+    return { ...sort, _id: directions[directions.length - 1] || 1 };
+};
+
+/**
+ * Reverse every direction of a sort
+ */
+const reverseSort = (sort) =>
+    Object.fromEntries(
+        Object.entries(sort).map(([field, direction]) => [field, -direction])
+    );
+
+/**
+ * Encode the cursor of a document for a sort
+ */
+const encodeCursor = (doc, sort, sortName) => {
+    const values = Object.keys(sort).map((field) => doc[field] ?? null);
+
+    return Buffer.from(
+        BSON.EJSON.stringify({ s: sortName, v: values })
+    ).toString("base64url");
+};
+
+/**
+ * Decode a cursor issued for a sort
+ * Returns { values } or { error }
+ */
+const decodeCursor = (token, sort, sortName) => {
+    let cursor;
+    try {
+        cursor = BSON.EJSON.parse(
+            Buffer.from(String(token), "base64url").toString("utf8")
+        );
+    } catch {
+        return { error: "Invalid cursor" };
+    }
+
+    if (
+        !Array.isArray(cursor?.v) ||
+        cursor.v.length !== Object.keys(sort).length
+    ) {
+        return { error: "Invalid cursor" };
+    }
+
+    if (cursor.s !== sortName) {
+        return { error: "Cursor does not match the sort order" };
+    }
+
+    return { values: cursor.v };
+};
+
+/**
+ * Read limit, after and before from a query string for a sort
+ * Returns { limit, cursor: { values, direction } | null } or { error }
+ */
+const parsePageQuery = (
+    { limit, after, before },
+    sort,
+    sortName,
+    { defaultLimit = DEFAULT_PAGE_SIZE } = {}
+) => {
+    let pageSize = defaultLimit;
+    if (limit !== undefined) {
+        pageSize = Number(limit);
+        if (
+            !Number.isInteger(pageSize) ||
+            pageSize < 1 ||
+            pageSize > MAX_PAGE_SIZE
+        ) {
+            return {
+                error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+            };
+        }
+    }
+
+    if (after && before) {
+        return { error: "Use either after or before, not both" };
+    }
+
+    const token = after || before;
+    if (!token) return { limit: pageSize, cursor: null };
+
+    const decoded = decodeCursor(token, sort, sortName);
+    if (decoded.error) return decoded;
+
+    return {
+        limit: pageSize,
+        cursor: {
+            values: decoded.values,
+            direction: after ? "after" : "before",
+        },
+    };
+};
+
+/**
+ * Condition for a field coming strictly after a value in the scan order
+ *
+ * Missing and null values sort before every other value, which the plain
+ * comparison operators do not match; _id is never missing.
+ */
+const buildComparison = (field, value, operator) => {
+    if (value === null) {
+        return operator === "$gt" ? { [field]: { $ne: null } } : null;
+    }
+
+    if (operator === "$lt" && field !== "_id") {
+        return {
+            $or: [{ [field]: { $lt: value } }, { [field]: null }],
+        };
+    }
+
+    return { [field]: { $gt: value } };
+};
+
+/**
+ * Build the filter and scan sort for a page
+ *
+ * Pages before a cursor are read in reverse sort order and flipped back by
+ * buildPage. Returns { filter | null, sort }.
+ */
+const applyCursor = (sort, cursor) => {
+    if (!cursor) return { filter: null, sort };
+
+    const scanSort = cursor.direction === "before" ? reverseSort(sort) : sort;
+    const fields = Object.keys(scanSort);
+    const clauses = [];
+
+    fields.forEach((field, index) => {
+        const operator = scanSort[field] === 1 ? "$gt" : "$lt";
+        const comparison = buildComparison(
+            field,
+            cursor.values[index],
+            operator
+        );
+        if (!comparison) return;
+
+        const equalities = fields
+            .slice(0, index)
+            .map((prior, i) => ({ [prior]: cursor.values[i] }));
+
+        clauses.push(
+            equalities.length
+                ? { $and: [...equalities, comparison] }
+                : comparison
+        );
+    });
+
+    return { filter: { $or: clauses }, sort: scanSort };
+};
+
+/**
+ * Cut a page from documents read with applyCursor and a limit of limit + 1
+ *
+ * skip is the offset of page-based requests, so their first page has no
+ * previous cursor. Returns { items, nextCursor, prevCursor }.
+ */
+const buildPage = (docs, { sort, sortName, cursor, limit, skip = 0 }) => {
+    const hasMore = docs.length > limit;
+    const items = docs.slice(0, limit);
+    const backward = cursor?.direction === "before";
+
+    if (backward) items.reverse();
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const encode = (doc) => encodeCursor(doc, sort, sortName);
+
+    if (backward) {
+        return {
+            items,
+            nextCursor: last ? encode(last) : null,
+            prevCursor: hasMore && first ? encode(first) : null,
+        };
+    }
+
+    return {
+        items,
+        nextCursor: hasMore && last ? encode(last) : null,
+        prevCursor: (cursor || skip > 0) && first ? encode(first) : null,
+    };
+};
+
+/**
+ * Read one page of a collection with find()
+ * Returns { items, nextCursor, prevCursor }
+ */
+const findPage = async (
+    collection,
+    filter,
+    { sort, sortName, cursor, limit, projection }
+) => {
+    const scan = applyCursor(sort, cursor);
+    const query = scan.filter ? { $and: [filter, scan.filter] } : filter;
+
+    const docs = await collection
+        .find(query, projection ? { projection } : {})
+        .sort(scan.sort)
+        .limit(limit + 1)
+        .toArray();
+
+    return buildPage(docs, { sort, sortName, cursor, limit });
+};
+
+/**
+ * Parse a comma separated fields parameter against the allowed fields
+ * Returns { fields: string[] | null } or { error }
+ */
+const parseFields = (fields, allowed) => {
+    if (fields === undefined || fields === "") return { fields: null };
+
+    const requested = [
+        ...new Set(
+            String(fields)
+                .split(",")
+                .map((field) => field.trim())
+                .filter(Boolean)
+        ),
+    ];
+
+    const unknown = requested.filter((field) => !allowed.includes(field));
+    if (unknown.length) {
+        return { error: `Unknown fields: ${unknown.join(", ")}` };
+    }
+
+    return { fields: requested };
+};
+
+/**
+ * Find projection for requested fields; sort keys are read too so cursors
+ * can be built, and removed again by pickFields
+ */
+const buildProjection = (fields, sort) => {
+    if (!fields) return null;
+
+    return Object.fromEntries(
+        [...fields, ...Object.keys(sort)].map((field) => [field, 1])
+    );
+};
+
+/**
+ * Keep only the requested fields (and _id) of a document
+ */
+const pickFields = (doc, fields) => {
+    if (!fields) return doc;
+
+    return Object.fromEntries(
+        ["_id", ...fields]
+            .filter((field) => doc[field] !== undefined)
+            .map((field) => [field, doc[field]])
+    );
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    withTiebreaker,
+    parsePageQuery,
+    applyCursor,
+    buildPage,
+    findPage,
+    parseFields,
+    buildProjection,
+    pickFields,
+};
@@ -0,0 +1,527 @@
+/**
+ * Payment Service
+ * Checks out bookings, applies payment webhooks and refunds payments
+ */
+
+const { ObjectId } = require("mongodb");
+const { withTransaction } = require("../config/database");
+const { BOOKING_STATUS } = require("../models/bookingStatus");
+const { PAYMENT_STATUS, REFUND_STATUS } = require("../models/payments");
+const { roundMoney } = require("../models/currencies");
+const { transitionBooking } = require("./bookingLifecycleService");
+const { isHoldExpired } = require("./availabilityService");
+const { getPaymentProvider } = require("./payments");
+
+/**
+ * Thrown when a booking cannot be checked out
+ */
+class CheckoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CheckoutError";
+    }
+}
+
+/**
+ * Describe a booking's payment intent for the client
+ */
+const toCheckout = (payment, intent) => ({
+    intentId: payment.intentId,
+    clientSecret: intent.clientSecret,
+    provider: payment.provider,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+});
+
+// Owners may confirm a booking before it is paid, so it can still be paid
+const PAYABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+/**
+ * Start (or resume) the payment of a pending or unpaid confirmed booking
+ * Returns { intentId, clientSecret, provider, amount, currency, status }
+ */
+const startCheckout = async (bookingsCollection, booking) => {
+    if (booking.payment?.status === PAYMENT_STATUS.SUCCEEDED) {
+        throw new CheckoutError("Booking is already paid");
+    }
+
+    if (!PAYABLE_STATUSES.includes(booking.status)) {
+        throw new CheckoutError(
+            `Cannot check out a booking that is ${booking.status}`
+        );
+    }
+
+    if (isHoldExpired(booking)) {
+        throw new CheckoutError(
+            "The booking's hold has expired; make a new booking"
+        );
+    }
+
+    // Resume the open intent, so a payment is never started twice
+    if (booking.payment?.status === PAYMENT_STATUS.REQUIRES_PAYMENT) {
+        const provider = getPaymentProvider(booking.payment.provider);
+        const intent = await provider.getPaymentIntent(
+            booking.payment.intentId
+        );
+        return toCheckout(booking.payment, intent);
+    }
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createPaymentIntent({
+        amount: booking.totalPrice,
+        currency: booking.currency,
+        reference: String(booking._id),
+    });
+    const payment = {
+        provider: provider.name,
+        intentId: intent.id,
+        amount: booking.totalPrice,
+        currency: booking.currency,
+        status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+        createdAt: new Date().toISOString(),
+    };
+
+    // A replaced intent is kept, so a late payment on it can be refunded
+    const update = { $set: { payment } };
+    if (booking.payment) {
+        const { provider: name, intentId, amount, currency } = booking.payment;
+        update.$push = {
+            supersededPayments: {
+                provider: name,
+                intentId,
+                amount,
+                currency,
+                supersededAt: payment.createdAt,
+            },
+        };
+    }
+
+    // Conditional on the payment read, so concurrent checkouts keep one
+    const result = await bookingsCollection.updateOne(
+        {
+            _id: new ObjectId(booking._id),
+            status: booking.status,
+            "payment.intentId": booking.payment?.intentId ?? null,
+        },
+        update
+    );
+
+    if (result.matchedCount === 0) {
+        throw new CheckoutError("Booking changed during checkout; try again");
+    }
+
+    return toCheckout(payment, intent);
+};
+
+/**
+ * Refund a paid booking once
+ * The refund is claimed on the booking before the provider is called; a
+ * failed refund can be claimed again. Returns the updated booking.
+ */
+const refundBookingPayment = async (bookingsCollection, booking, amount) => {
+    const filter = { _id: new ObjectId(booking._id) };
+
+    const claimed = await bookingsCollection.findOneAndUpdate(
+        {
+            ...filter,
+            "payment.status": PAYMENT_STATUS.SUCCEEDED,
+            $or: [
+                { "payment.refund": { $exists: false } },
+                { "payment.refund.status": REFUND_STATUS.FAILED },
+            ],
+        },
+        {
+            $set: {
+                "payment.refund": {
+                    amount,
+                    status: REFUND_STATUS.REQUESTED,
+                    requestedAt: new Date().toISOString(),
+                },
+            },
+        },
+        { returnDocument: "after" }
+    );
+
+    if (!claimed) {
+        return (await bookingsCollection.findOne(filter)) || booking;
+    }
+
+    const { payment } = claimed;
+    let set;
+
+    try {
+        const refund = await getPaymentProvider(payment.provider).refundPayment(
+            payment.intentId,
+            amount,
+            { idempotencyKey: `refund-${booking._id}` }
+        );
+        set = {
+            "payment.refund.id": refund.id,
+            "payment.refund.status":
+                refund.status === REFUND_STATUS.SUCCEEDED
+                    ? REFUND_STATUS.SUCCEEDED
+                    : REFUND_STATUS.REQUESTED,
+        };
+    } catch (error) {
+        console.error("Error refunding payment:", error);
+        set = {
+            "payment.refund.status": REFUND_STATUS.FAILED,
+            "payment.refund.error": error.message,
+        };
+    }
+
+    return bookingsCollection.findOneAndUpdate(
+        filter,
+        { $set: set },
+        { returnDocument: "after" }
+    );
+};
+
+/**
+ * Refund a payment made on an intent that a later checkout replaced
+ * The refund is claimed on the superseded payment like refundBookingPayment
+ * claims the booking's; returns nothing
+ */
+const refundSupersededPayment = async (
+    bookingsCollection,
+    bookingId,
+    intentId
+) => {
+    const claimed = await bookingsCollection.findOneAndUpdate(
+        {
+            _id: bookingId,
+            supersededPayments: {
+                $elemMatch: {
+                    intentId,
+                    $or: [
+                        { refund: { $exists: false } },
+                        { "refund.status": REFUND_STATUS.FAILED },
+                    ],
+                },
+            },
+        },
+        {
+            $set: {
+                "supersededPayments.$.refund": {
+                    status: REFUND_STATUS.REQUESTED,
+                    requestedAt: new Date().toISOString(),
+                },
+            },
+        },
+        { returnDocument: "after" }
+    );
+
+    if (!claimed) return;
+
+    const payment = claimed.supersededPayments.find(
+        (superseded) => superseded.intentId === intentId
+    );
+    let set;
+
+    try {
+        const refund = await getPaymentProvider(payment.provider).refundPayment(
+            intentId,
+            payment.amount,
+            { idempotencyKey: `refund-${intentId}` }
+        );
+        set = {
+            "supersededPayments.$.refund.id": refund.id,
+            "supersededPayments.$.refund.amount": payment.amount,
+            "supersededPayments.$.refund.status":
+                refund.status === REFUND_STATUS.SUCCEEDED
+                    ? REFUND_STATUS.SUCCEEDED
+                    : REFUND_STATUS.REQUESTED,
+        };
+    } catch (error) {
+        console.error("Error refunding superseded payment:", error);
+        set = {
+            "supersededPayments.$.refund.status": REFUND_STATUS.FAILED,
+            "supersededPayments.$.refund.error": error.message,
+        };
+    }
+
+    await bookingsCollection.updateOne(
+        { _id: bookingId, "supersededPayments.intentId": intentId },
+        { $set: set }
+    );
+};
+
+/**
+ * Whether a payment event is for the amount and currency the booking's
+ * payment intent was created with
+ */
+const matchesPayment = (payment, event) =>
+    String(event.currency || "").toUpperCase() === payment.currency &&
+    typeof event.amount === "number" &&
+    roundMoney(event.amount, payment.currency) ===
+        roundMoney(payment.amount, payment.currency);
+
+/**
+ * Apply a payment event for an intent that a later checkout replaced
+ * A successful payment is recorded and marked for refund; refund events
+ * update the superseded payment's refund
+ */
+const applySupersededPaymentEvent = async (
+    bookingsCollection,
+    booking,
+    event,
+    session
+) => {
+    const filter = {
+        _id: booking._id,
+        "supersededPayments.intentId": event.intentId,
+    };
+
+    switch (event.type) {
+        case "payment.succeeded":
+            await bookingsCollection.updateOne(
+                filter,
+                {
+                    $set: {
+                        "supersededPayments.$.status": PAYMENT_STATUS.SUCCEEDED,
+                        "supersededPayments.$.paidAt": new Date().toISOString(),
+                    },
+                },
+                { session }
+            );
+            return { bookingId: booking._id, action: "refund-superseded" };
+
+        case "refund.succeeded":
+        case "refund.failed":
+            await bookingsCollection.updateOne(
+                filter,
+                {
+                    $set: {
+                        "supersededPayments.$.refund.status":
+                            event.type === "refund.succeeded"
+                                ? REFUND_STATUS.SUCCEEDED
+                                : REFUND_STATUS.FAILED,
+                    },
+                },
+                { session }
+            );
+            return { bookingId: booking._id, action: "refund-updated" };
+
+        default:
+            return { bookingId: booking._id, action: "ignored" };
+    }
+};
+
+/**
+ * Apply a verified payment event to its booking
+ *
+ * Each event is recorded in paymentEvents (unique per provider and event
+ * id) in the same transaction as its effects, so a replayed webhook is
+ * reported as a duplicate and changes nothing. A successful payment
+ * confirms the pending booking as the system actor; a payment for a
+ * booking that was cancelled or whose hold ran out meanwhile is refunded in
+ * full, and so is a payment on an intent a later checkout replaced. A
+ * payment for another amount or currency is rejected.
+ * Returns { duplicate, bookingId, action }.
+ */
+const handlePaymentEvent = async (
+    bookingsCollection,
+    paymentEventsCollection,
+    provider,
+    event
+) => {
+    let outcome;
+
+    try {
+        outcome = await withTransaction(async (session) => {
+            await paymentEventsCollection.insertOne(
+                {
+                    provider,
+                    eventId: event.id,
+                    type: event.type,
+                    intentId: event.intentId,
+                    receivedAt: new Date().toISOString(),
+                },
+                { session }
+            );
+
+            const booking = event.intentId
+                ? await bookingsCollection.findOne(
+                      {
+                          $or: [
+                              { "payment.intentId": event.intentId },
+                              { "supersededPayments.intentId": event.intentId },
+                          ],
+                      },
+                      { session }
+                  )
+                : null;
+
+            if (!booking) {
+                return { bookingId: null, action: "ignored" };
+            }
+
+            const filter = { _id: booking._id };
+            const now = new Date().toISOString();
+
+            // The money of a replaced intent is never kept
+            if (booking.payment?.intentId !== event.intentId) {
+                return applySupersededPaymentEvent(
+                    bookingsCollection,
+                    booking,
+                    event,
+                    session
+                );
+            }
+
+            switch (event.type) {
+                case "payment.succeeded": {
+                    if (!matchesPayment(booking.payment, event)) {
+                        await bookingsCollection.updateOne(
+                            filter,
+                            {
+                                $set: {
+                                    "payment.mismatch": {
+                                        eventId: event.id,
+                                        amount: event.amount ?? null,
+                                        currency: event.currency ?? null,
+                                        at: now,
+                                    },
+                                },
+                            },
+                            { session }
+                        );
+                        return { bookingId: booking._id, action: "rejected" };
+                    }
+
+                    const set = {
+                        "payment.status": PAYMENT_STATUS.SUCCEEDED,
+                        "payment.paidAt": now,
+                    };
+
+                    // A lapsed hold may have been rebooked by someone else
+                    if (
+                        booking.status === BOOKING_STATUS.PENDING &&
+                        !isHoldExpired(booking)
+                    ) {
+                        await transitionBooking(
+                            bookingsCollection,
+                            booking,
+                            "confirm",
+                            { role: "system" },
+                            { reason: "Payment received", set, session }
+                        );
+                        return { bookingId: booking._id, action: "confirmed" };
+                    }
+
+                    await bookingsCollection.updateOne(
+                        filter,
+                        { $set: set },
+                        { session }
+                    );
+
+                    // Owners may confirm before payment arrives; only
+                    // bookings that were closed or lapsed meanwhile are
+                    // refunded
+                    const closed =
+                        [
+                            BOOKING_STATUS.CANCELLED,
+                            BOOKING_STATUS.EXPIRED,
+                        ].includes(booking.status) || isHoldExpired(booking);
+                    return {
+                        bookingId: booking._id,
+                        action: closed ? "refund" : "paid",
+                    };
+                }
+
+                case "payment.failed":
+                    await bookingsCollection.updateOne(
+                        filter,
+                        { $set: { "payment.status": PAYMENT_STATUS.FAILED } },
+                        { session }
+                    );
+                    return { bookingId: booking._id, action: "failed" };
+
+                case "refund.succeeded":
+                case "refund.failed":
+                    await bookingsCollection.updateOne(
+                        filter,
+                        {
+                            $set: {
+                                "payment.refund.status":
+                                    event.type === "refund.succeeded"
+                                        ? REFUND_STATUS.SUCCEEDED
+                                        : REFUND_STATUS.FAILED,
+                            },
+                        },
+                        { session }
+                    );
+                    return { bookingId: booking._id, action: "refund-updated" };
+
+                default:
+                    return { bookingId: booking._id, action: "ignored" };
+            }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return { duplicate: true, bookingId: null, action: "ignored" };
+        }
+        throw error;
+    }
+
+    if (outcome.action === "rejected") {
+        console.error(
+            `Payment event ${event.id} does not match the payment of booking ${outcome.bookingId}`
+        );
+    }
+
+    if (outcome.action === "refund-superseded") {
+        await refundSupersededPayment(
+            bookingsCollection,
+            outcome.bookingId,
+            event.intentId
+        );
+        outcome.action = "refunded";
+    }
+
+    // The booking was cancelled or expired before the payment arrived
+    if (outcome.action === "refund") {
+        const booking = await bookingsCollection.findOne({
+            _id: outcome.bookingId,
+        });
+        await refundBookingPayment(
+            bookingsCollection,
+            booking,
+            booking.payment.amount
+        );
+        outcome.action = "refunded";
+    }
+
+    return { duplicate: false, ...outcome };
+};
+
+/**
+ * Create the unique event index used for webhook idempotency and the
+ * indexes used to find bookings by current or replaced payment intent
+ */
+const ensurePaymentIndexes = async (
+    paymentEventsCollection,
+    bookingsCollection
+) => {
+    await paymentEventsCollection.createIndex(
+        { provider: 1, eventId: 1 },
+        { unique: true }
+    );
+    await bookingsCollection.createIndex(
+        { "payment.intentId": 1 },
+        { sparse: true }
+    );
+    await bookingsCollection.createIndex(
+        { "supersededPayments.intentId": 1 },
+        { sparse: true }
+    );
+};
+
+module.exports = {
+    CheckoutError,
+    startCheckout,
+    refundBookingPayment,
+    handlePaymentEvent,
+    ensurePaymentIndexes,
+};
@@ -0,0 +1,19 @@
+/**
+ * Payment Errors
+ * Errors raised by payment providers
+ */
+
+/**
+ * Thrown when a provider declines or fails an operation
+ */
+class PaymentProviderError extends Error {
+    constructor(message, provider) {
+        super(message);
+        this.name = "PaymentProviderError";
+        this.provider = provider;
+    }
+}
+
+module.exports = {
+    PaymentProviderError,
+};
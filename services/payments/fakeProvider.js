@@ -0,0 +1,313 @@
+/**
+ * Fake Payment Provider
+ * In-memory provider for local runs and testing; no money moves. Payments
+ * are completed by posting a signed webhook (see signWebhook).
+ */
+
+const crypto = require("crypto");
+const { PaymentProviderError } = require("./errors");
+
+/**
+ * Holds and payment intents by id; they are lost when the process restarts
+ */
+const holds = new Map();
+const intents = new Map();
+
+/**
+ * Webhooks older than this are rejected
+ */
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Look up a hold that can still be settled
+ */
+const getOpenHold = (holdId) => {
+    const hold = holds.get(holdId);
+
+    if (!hold) {
+        throw new PaymentProviderError(`Unknown hold: ${holdId}`, "fake");
+    }
+
+    if (hold.status !== "held") {
+        throw new PaymentProviderError(
+            `Hold ${holdId} is already ${hold.status}`,
+            "fake"
+        );
+    }
+
+    return hold;
+};
+
+/**
+ * Place a hold on the renter's payment method
+ */
+const authorizeHold = async ({ amount, currency, reference }) => {
+    const hold = {
+        id: `fake_hold_${crypto.randomUUID()}`,
+        amount,
+        currency,
+        reference,
+        status: "held",
+        capturedAmount: 0,
+    };
+    holds.set(hold.id, hold);
+
+    return { id: hold.id, status: hold.status };
+};
+
+/**
+ * Get the result of a settlement already made with an idempotency key
+ */
+const getRepeatedSettlement = (holdId, idempotencyKey) => {
+    const hold = holds.get(holdId);
+
+    return idempotencyKey && hold?.settlement?.key === idempotencyKey
+        ? hold.settlement.result
+        : null;
+};
+
+/**
+ * Capture part or all of a hold; the rest is released
+ * A repeated idempotencyKey returns the first settlement
+ */
+const captureHold = async (holdId, amount, { idempotencyKey } = {}) => {
+    const repeated = getRepeatedSettlement(holdId, idempotencyKey);
+    if (repeated) return repeated;
+
+    const hold = getOpenHold(holdId);
+
+    if (amount > hold.amount) {
+        throw new PaymentProviderError(
+            `Cannot capture more than the held ${hold.amount}`,
+            "fake"
+        );
+    }
+
+    hold.capturedAmount = amount;
+    hold.status = "captured";
+
+    const result = { id: hold.id, status: hold.status, capturedAmount: amount };
+    hold.settlement = { key: idempotencyKey, result };
+
+    return result;
+};
+
+/**
+ * Release a hold without capturing anything
+ * A repeated idempotencyKey returns the first settlement
+ */
+const releaseHold = async (holdId, { idempotencyKey } = {}) => {
+    const repeated = getRepeatedSettlement(holdId, idempotencyKey);
+    if (repeated) return repeated;
+
+    const hold = getOpenHold(holdId);
+    hold.status = "released";
+
+    const result = { id: hold.id, status: hold.status };
+    hold.settlement = { key: idempotencyKey, result };
+
+    return result;
+};
+
+/**
+ * Look up a payment intent
+ */
+const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+
+    if (!intent) {
+        throw new PaymentProviderError(
+            `Unknown payment intent: ${intentId}`,
+            "fake"
+        );
+    }
+
+    return intent;
+};
+
+/**
+ * Create a payment intent the client completes with its clientSecret
+ * With captureMethod "manual" the payment is only authorized until captured
+ */
+const createPaymentIntent = async ({
+    amount,
+    currency,
+    reference,
+    captureMethod = "automatic",
+}) => {
+    const id = `fake_pi_${crypto.randomUUID()}`;
+    const intent = {
+        id,
+        clientSecret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+        amount,
+        currency,
+        reference,
+        captureMethod,
+        status: "requires_payment",
+        capturedAmount: 0,
+        refundedAmount: 0,
+        refunds: new Map(),
+    };
+    intents.set(id, intent);
+
+    return {
+        id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+    };
+};
+
+/**
+ * Get a payment intent's current state
+ */
+const getPaymentIntent = async (intentId) => {
+    const { id, clientSecret, status, amount, currency } = getIntent(intentId);
+    return { id, clientSecret, status, amount, currency };
+};
+
+/**
+ * Capture an authorized payment intent, in full or in part
+ */
+const capturePayment = async (intentId, amount) => {
+    const intent = getIntent(intentId);
+    const captured = amount ?? intent.amount;
+
+    if (captured > intent.amount) {
+        throw new PaymentProviderError(
+            `Cannot capture more than the authorized ${intent.amount}`,
+            "fake"
+        );
+    }
+
+    intent.capturedAmount = captured;
+    intent.status = "succeeded";
+
+    return { id: intent.id, status: intent.status, capturedAmount: captured };
+};
+
+/**
+ * Refund part or all of a payment
+ * A repeated idempotencyKey returns the first refund instead of refunding
+ * again
+ */
+const refundPayment = async (intentId, amount, { idempotencyKey } = {}) => {
+    const intent = getIntent(intentId);
+
+    if (idempotencyKey && intent.refunds.has(idempotencyKey)) {
+        return intent.refunds.get(idempotencyKey);
+    }
+
+    if (intent.refundedAmount + amount > intent.amount) {
+        throw new PaymentProviderError(
+            `Cannot refund more than the paid ${intent.amount}`,
+            "fake"
+        );
+    }
+
+    intent.refundedAmount += amount;
+    const refund = {
+        id: `fake_re_${crypto.randomUUID()}`,
+        amount,
+        status: "succeeded",
+    };
+    if (idempotencyKey) intent.refunds.set(idempotencyKey, refund);
+
+    return refund;
+};
+
+/**
+ * Sign a webhook payload the way verifyWebhook expects; used to simulate
+ * provider callbacks locally
+ */
+const signWebhook = (
+    rawBody,
+    secret = process.env.PAYMENT_WEBHOOK_SECRET,
+    timestamp = Math.floor(Date.now() / 1000)
+) => {
+    const signature = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest("hex");
+
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verify a webhook's x-payment-signature header ("t=<unix>,v1=<hex>", an
+ * HMAC-SHA256 of "<t>.<raw body>" with PAYMENT_WEBHOOK_SECRET)
+ * Returns the event as { id, type, intentId, amount, currency, refundId }
+ */
+const verifyWebhook = (rawBody, headers) => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+    if (!secret) {
+        throw new PaymentProviderError(
+            "PAYMENT_WEBHOOK_SECRET is not configured",
+            "fake"
+        );
+    }
+
+    const parts = Object.fromEntries(
+        String(headers["x-payment-signature"] || "")
+            .split(",")
+            .map((part) => part.trim().split("="))
+    );
+    const timestamp = Number(parts.t);
+    const expected = Buffer.from(
+        signWebhook(rawBody, secret, parts.t).split("v1=")[1]
+    );
+    const received = Buffer.from(parts.v1 || "");
+
+    if (
+        !rawBody ||
+        received.length !== expected.length ||
+        !crypto.timingSafeEqual(received, expected)
+    ) {
+        throw new PaymentProviderError("Invalid webhook signature", "fake");
+    }
+
+    if (
+        !Number.isFinite(timestamp) ||
+        Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS
+    ) {
+        throw new PaymentProviderError("Webhook timestamp is too old", "fake");
+    }
+
+    let event;
+    try {
+        event = JSON.parse(rawBody.toString());
+    } catch (error) {
+        throw new PaymentProviderError("Invalid webhook payload", "fake");
+    }
+    const intent = intents.get(event.data?.intentId);
+
+    // Keep the in-memory intent in step with simulated payments
+    if (intent && event.type === "payment.succeeded") {
+        intent.status = "succeeded";
+        intent.capturedAmount = intent.amount;
+    } else if (intent && event.type === "payment.failed") {
+        intent.status = "failed";
+    }
+
+    return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data?.intentId,
+        amount: event.data?.amount,
+        currency: event.data?.currency,
+        refundId: event.data?.refundId || null,
+    };
+};
+
+module.exports = {
+    name: "fake",
+    authorizeHold,
+    captureHold,
+    releaseHold,
+    createPaymentIntent,
+    getPaymentIntent,
+    capturePayment,
+    refundPayment,
+    verifyWebhook,
+    signWebhook,
+};
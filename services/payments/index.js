@@ -0,0 +1,67 @@
+/**
+ * Payments
+ * Registry of payment providers; all money movement goes through the
+ * configured provider
+ */
+
+const { PaymentProviderError } = require("./errors");
+const fakeProvider = require("./fakeProvider");
+
+/**
+ * Payment providers implement:
+ * {
+ *   name: 'fake',
+ *   authorizeHold: async ({ amount, currency, reference }) => ({ id, status }),
+ *   captureHold: async (holdId, amount, { idempotencyKey }) =>
+ *       ({ id, status, capturedAmount }),
+ *   releaseHold: async (holdId, { idempotencyKey }) => ({ id, status }),
+ *   createPaymentIntent: async ({ amount, currency, reference }) =>
+ *       ({ id, clientSecret, status }),
+ *   getPaymentIntent: async (intentId) => ({ id, clientSecret, status }),
+ *   capturePayment: async (intentId, amount) => ({ id, status }),
+ *   refundPayment: async (intentId, amount, { idempotencyKey }) =>
+ *       ({ id, amount, status }),
+ *   verifyWebhook: (rawBody, headers) =>
+ *       ({ id, type, intentId, amount, currency, refundId })
+ * }
+ *
+ * verifyWebhook checks the provider's signature and normalizes the event;
+ * types are payment.succeeded, payment.failed, refund.succeeded and
+ * refund.failed.
+ *
+ * Amounts are in the currency's major units (e.g. 12.5 USD). The provider is
+ * picked with PAYMENT_PROVIDER (default "fake"); others can be added with
+ * registerPaymentProvider.
+ */
+const providers = new Map();
+
+/**
+ * Register a payment provider
+ */
+const registerPaymentProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Get a payment provider by name, or the configured one
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "fake") => {
+    const provider = providers.get(name);
+
+    if (!provider) {
+        throw new PaymentProviderError(
+            `Unknown payment provider: ${name}`,
+            name
+        );
+    }
+
+    return provider;
+};
+
+registerPaymentProvider(fakeProvider);
+
+module.exports = {
+    PaymentProviderError,
+    registerPaymentProvider,
+    getPaymentProvider,
+};
@@ -0,0 +1,143 @@
+/**
+ * Price Rules Service
+ * Resolves the price rules that apply to a car from the priceRules collection
+ */
+
+const { DEFAULT_PRICE_RULES } = require("../models/priceRules");
+
+// Most specific scope last, so it overrides the others
+const SCOPE_ORDER = ["default", "fleet", "owner", "car"];
+
+/**
+ * Check if a stored rule is enabled and inside its active window
+ */
+const isRuleActive = (rule, at = new Date()) => {
+    if (rule.enabled === false) return false;
+    if (rule.activeFrom && new Date(rule.activeFrom) > at) return false;
+    if (rule.activeUntil && new Date(rule.activeUntil) <= at) return false;
+    return true;
+};
+
+/**
+ * Merge rule sets by precedence; a rule replaces a less specific rule with
+ * the same type and name
+ */
+const mergeRuleSets = (ruleSets) => {
+    const merged = new Map();
+
+    for (const scope of SCOPE_ORDER) {
+        for (const rule of ruleSets[scope] || []) {
+            const key = `${rule.type}:${(rule.name || "").toLowerCase()}`;
+            merged.set(key, { ...rule, source: scope });
+        }
+    }
+
+    return [...merged.values()];
+};
+
+/**
+ * Merge the stored rules that apply to a car with its embedded rules
+ */
+const selectCarRules = (stored, car, at) => {
+    const active = stored.filter((rule) => isRuleActive(rule, at));
+    const byScope = (scope) => active.filter((rule) => rule.scope === scope);
+
+    // Only fleet rules in effect replace the defaults, so a disabled or
+    // scheduled one does not switch them off. A car with embedded rules
+    // never used the defaults, so they still replace them rather than
+    // merging with them
+    const usesDefaults =
+        !byScope("fleet").length && !Array.isArray(car.priceRules);
+
+    return mergeRuleSets({
+        default: usesDefaults ? DEFAULT_PRICE_RULES : [],
+        fleet: byScope("fleet"),
+        owner: byScope("owner"),
+        car: [...byScope("car"), ...(car.priceRules || [])],
+    });
+};
+
+/**
+ * Resolve the effective price rules for a car
+ *
+ * Fleet, owner and car rules come from the priceRules collection; rules
+ * embedded on the car document (car.priceRules) count as car rules. When no
+ * fleet rule is enabled and in its active window and the car embeds none,
+ * the built-in DEFAULT_PRICE_RULES are used instead.
+ */
+const resolvePriceRules = async (
+    priceRulesCollection,
+    car,
+    at = new Date()
+) => {
+    const stored = await priceRulesCollection
+        .find({
+            $or: [
+                { scope: "fleet" },
+                { scope: "owner", ownerEmail: car.userEmail },
+                { scope: "car", carId: String(car._id) },
+            ],
+        })
+        .toArray();
+
+    return selectCarRules(stored, car, at);
+};
+
+/**
+ * Resolve the effective price rules of several cars with a single query
+ * Returns a Map from car id (string) to its rules
+ */
+const resolvePriceRulesForCars = async (
+    priceRulesCollection,
+    cars,
+    at = new Date()
+) => {
+    const stored = await priceRulesCollection
+        .find({
+            $or: [
+                { scope: "fleet" },
+                {
+                    scope: "owner",
+                    ownerEmail: { $in: cars.map((car) => car.userEmail) },
+                },
+                {
+                    scope: "car",
+                    carId: { $in: cars.map((car) => String(car._id)) },
+                },
+            ],
+        })
+        .toArray();
+
+    return new Map(
+        cars.map((car) => [
+            String(car._id),
+            selectCarRules(
+                stored.filter(
+                    (rule) =>
+                        rule.scope === "fleet" ||
+                        (rule.scope === "owner" &&
+                            rule.ownerEmail === car.userEmail) ||
+                        (rule.scope === "car" && rule.carId === String(car._id))
+                ),
+                car,
+                at
+            ),
+        ])
+    );
+};
+
+/**
+ * Create the indexes used to resolve rules per car
+ */
+const ensurePriceRuleIndexes = async (priceRulesCollection) => {
+    await priceRulesCollection.createIndex({ scope: 1, ownerEmail: 1 });
+    await priceRulesCollection.createIndex({ scope: 1, carId: 1 });
+};
+
+module.exports = {
+    isRuleActive,
+    mergeRuleSets,
+    resolvePriceRules,
+    resolvePriceRulesForCars,
+    ensurePriceRuleIndexes,
+};
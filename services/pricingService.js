@@ -1,131 +1,509 @@
 /**
  * Pricing Service
- * Handles dynamic pricing calculations with seasonal rules, weekend surcharges,
- * length discounts, and coupon applications
+ * Handles dynamic pricing calculations with seasonal rules, holiday
+ * surcharges, weekend and day-of-week adjustments, length discounts, and
+ * coupon applications
  */
 
-const { DEFAULT_PRICE_RULES } = require("../models/priceRules");
+const {
+    DEFAULT_PRICE_RULES,
+    WEEKDAYS,
+    DEFAULT_WEEKEND_DAYS,
+    DEFAULT_RULE_PRIORITY,
+    DEFAULT_RULE_STACKING,
+} = require("../models/priceRules");
+const { getHolidaysOn, matchesDateKey } = require("./holidayService");
+const {
+    DEFAULT_TIME_ZONE,
+    getCarTimeZone,
+    getWeekday,
+    toDateKey,
+    addLocalDays,
+} = require("./timeZoneService");
+const { calculateTaxes, getTableTaxRules } = require("./taxService");
+const { LINE_ITEM_TAXABILITY } = require("../models/taxes");
+const { convertAmount } = require("./exchangeRateService");
+const {
+    DEFAULT_CURRENCY,
+    roundMoney,
+    getCarCurrency,
+} = require("../models/currencies");
+const {
+    DEFAULT_DURATION_PRICING,
+    getDurationPricing,
+} = require("../models/durationPricing");
+const { getCarDeposit } = require("../models/deposits");
+const {
+    COUPON_ERRORS,
+    CouponError,
+    isCouponValid,
+} = require("../models/coupons");
 
 /**
- * Calculate if a date is a weekend (Friday, Saturday, Sunday)
+ * Calculate if a date is a weekend in a time zone
+ * Weekend days default to Friday, Saturday and Sunday
  */
-const isWeekend = (date) => {
-    const day = date.getDay();
-    return day === 5 || day === 6 || day === 0; // Friday, Saturday, Sunday
+const isWeekend = (
+    date,
+    days = DEFAULT_WEEKEND_DAYS,
+    timeZone = DEFAULT_TIME_ZONE
+) => days.includes(WEEKDAYS[getWeekday(date, timeZone)]);
+
+/**
+ * Get the adjustment a day of week rule makes on a weekday ("mon"), or null
+ * Per-day adjustments take precedence over the rule's days/pct/flat
+ */
+const getDayOfWeekAdjustment = (rule, weekday) => {
+    const adjustment = rule.adjustments?.[weekday];
+    if (adjustment) return { pct: adjustment.pct, flat: adjustment.flat };
+
+    if (rule.days?.includes(weekday)) {
+        return { pct: rule.pct, flat: rule.flat };
+    }
+
+    return null;
+};
+
+/**
+ * Get the "MM-DD" part of a season boundary ("MM-DD" or a full date), or
+ * null when it is neither
+ */
+const toMonthDay = (value) => {
+    if (/^\d{2}-\d{2}$/.test(value)) return value;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+        ? null
+        : date.toISOString().slice(5, 10);
 };
 
 /**
  * Calculate if a date falls within a seasonal period
+ * Recurring seasons repeat every year and may wrap the year boundary
+ * (e.g. "12-20" to "01-05")
  */
-const isInSeasonalPeriod = (date, seasonStart, seasonEnd) => {
+const isInSeasonalPeriod = (
+    date,
+    seasonStart,
+    seasonEnd,
+    recurring = false
+) => {
     const checkDate = new Date(date);
+
+    if (recurring) {
+        const day = checkDate.toISOString().slice(5, 10);
+        const start = toMonthDay(seasonStart);
+        const end = toMonthDay(seasonEnd);
+
+        // Rules stored before boundaries were validated never match
+        if (!start || !end) return false;
+
+        return start <= end
+            ? day >= start && day <= end
+            : day >= start || day <= end;
+    }
+
     const start = new Date(seasonStart);
     const end = new Date(seasonEnd);
 
     return checkDate >= start && checkDate <= end;
 };
 
+/**
+ * Find the holidays a holiday rule matches on a date
+ * Rules name a calendar (optionally limited to some holidays) and/or list
+ * explicit dates ("YYYY-MM-DD" or yearly "MM-DD")
+ */
+const getMatchingHolidays = (rule, date) => {
+    const dateKey = new Date(date).toISOString().split("T")[0];
+    const matches = [];
+
+    if (rule.calendar) {
+        for (const holiday of getHolidaysOn(rule.calendar, dateKey)) {
+            if (
+                !rule.holidays?.length ||
+                rule.holidays.includes(holiday.name)
+            ) {
+                matches.push(holiday.name);
+            }
+        }
+    }
+
+    for (const specificDate of rule.dates || []) {
+        if (matchesDateKey(specificDate, dateKey)) {
+            matches.push(rule.name || specificDate);
+        }
+    }
+
+    return matches;
+};
+
+// Daily rule types in the order they rank at equal priority
+const DAILY_RULE_TYPES = ["season", "holiday", "dayOfWeek", "weekend"];
+
+/**
+ * Get a rule's priority, stacking mode and display name with type defaults
+ */
+const getRulePriority = (rule) =>
+    rule.priority ?? DEFAULT_RULE_PRIORITY[rule.type] ?? 0;
+
+const getRuleStacking = (rule) =>
+    rule.stacking || DEFAULT_RULE_STACKING[rule.type] || "compound";
+
+const getRuleName = (rule) =>
+    rule.name || (rule.type === "weekend" ? "Weekend Surcharge" : rule.type);
+
+/**
+ * Order rules deterministically: priority (highest first), type, then name
+ */
+const compareRules = (a, b) =>
+    getRulePriority(b) - getRulePriority(a) ||
+    DAILY_RULE_TYPES.indexOf(a.type) - DAILY_RULE_TYPES.indexOf(b.type) ||
+    getRuleName(a).localeCompare(getRuleName(b));
+
+/**
+ * Find the daily rules that match a date, ranked by compareRules
+ * Holiday matches carry the names of the holidays they matched; day of week
+ * matches carry the weekday and that day's pct/flat
+ */
+const getMatchingRules = (date, priceRules, timeZone = DEFAULT_TIME_ZONE) => {
+    const matches = [];
+    const weekday = WEEKDAYS[getWeekday(date, timeZone)];
+
+    // Seasons and holidays are matched on the local calendar date
+    const localDay = new Date(`${toDateKey(date, timeZone)}T00:00:00Z`);
+
+    for (const rule of priceRules) {
+        if (rule.type === "dayOfWeek") {
+            const adjustment = getDayOfWeekAdjustment(rule, weekday);
+            if (adjustment && (adjustment.pct || adjustment.flat)) {
+                matches.push({ rule: { ...rule, ...adjustment }, weekday });
+            }
+            continue;
+        }
+
+        if (!rule.pct && !rule.flat) continue;
+
+        if (rule.type === "season") {
+            if (
+                isInSeasonalPeriod(
+                    localDay,
+                    rule.start,
+                    rule.end,
+                    rule.recurring
+                )
+            ) {
+                matches.push({ rule });
+            }
+        } else if (rule.type === "holiday") {
+            const holidays = getMatchingHolidays(rule, localDay);
+            if (holidays.length > 0) matches.push({ rule, holidays });
+        } else if (rule.type === "weekend") {
+            if (isWeekend(date, rule.days, timeZone)) {
+                matches.push({ rule, weekday });
+            }
+        }
+    }
+
+    return matches.sort((a, b) => compareRules(a.rule, b.rule));
+};
+
+/**
+ * Adjustment a rule makes to the base price, used to compare max-only rules
+ */
+const getRuleEffect = (rule, basePrice) =>
+    rule.pct ? (basePrice * rule.pct) / 100 : rule.flat;
+
+/**
+ * Decide which matching rules apply; the others are returned with a reason
+ */
+const resolveStacking = (matches, basePrice) => {
+    const suppressed = [];
+    const suppress = (match, reason) =>
+        suppressed.push({
+            type: match.rule.type,
+            name: getRuleName(match.rule),
+            reason,
+        });
+
+    // The highest ranked exclusive rule cuts off everything ranked below it
+    let candidates = matches;
+    const exclusiveIndex = matches.findIndex(
+        (match) => getRuleStacking(match.rule) === "exclusive"
+    );
+    if (exclusiveIndex !== -1) {
+        const exclusiveName = getRuleName(matches[exclusiveIndex].rule);
+        candidates = matches.slice(0, exclusiveIndex + 1);
+        for (const match of matches.slice(exclusiveIndex + 1)) {
+            suppress(match, `Suppressed by exclusive rule "${exclusiveName}"`);
+        }
+    }
+
+    // Keep only the largest max-only rule of each type
+    const maxOnlyWinners = new Map();
+    for (const match of candidates) {
+        if (getRuleStacking(match.rule) !== "max-only") continue;
+
+        const current = maxOnlyWinners.get(match.rule.type);
+        if (
+            !current ||
+            getRuleEffect(match.rule, basePrice) >
+                getRuleEffect(current.rule, basePrice)
+        ) {
+            maxOnlyWinners.set(match.rule.type, match);
+        }
+    }
+
+    const applicable = candidates.filter((match) => {
+        if (getRuleStacking(match.rule) !== "max-only") return true;
+
+        const winner = maxOnlyWinners.get(match.rule.type);
+        if (winner === match) return true;
+
+        suppress(
+            match,
+            `Smaller than max-only rule "${getRuleName(winner.rule)}"`
+        );
+        return false;
+    });
+
+    return { applicable, suppressed };
+};
+
 /**
  * Apply price rules to calculate adjusted nightly rate
+ *
+ * Overlapping rules are resolved by priority and stacking mode (see
+ * models/priceRules.js); rules that matched but were not applied are listed
+ * in suppressedRules with the reason.
+ *
+ * Options:
+ * - timeZone: IANA zone weekdays are evaluated in (defaults to UTC)
+ * - currency: currency the price is rounded in (defaults to USD)
  */
-const applyPriceRules = (basePrice, date, priceRules = DEFAULT_PRICE_RULES) => {
+const applyPriceRules = (
+    basePrice,
+    date,
+    priceRules = DEFAULT_PRICE_RULES,
+    options = {}
+) => {
+    const { applicable, suppressed } = resolveStacking(
+        getMatchingRules(date, priceRules, options.timeZone),
+        basePrice
+    );
+
     let adjustedPrice = basePrice;
     const appliedRules = [];
 
-    // Apply seasonal rules
-    const seasonRules = priceRules.filter((rule) => rule.type === "season");
-    for (const rule of seasonRules) {
-        if (isInSeasonalPeriod(date, rule.start, rule.end)) {
-            if (rule.pct) {
-                adjustedPrice *= 1 + rule.pct / 100;
-                appliedRules.push({
-                    type: "season",
-                    name: rule.name,
-                    adjustment: rule.pct,
-                });
-            } else if (rule.flat) {
-                adjustedPrice += rule.flat;
-                appliedRules.push({
-                    type: "season",
-                    name: rule.name,
-                    adjustment: rule.flat,
-                });
-            }
+    for (const { rule, holidays, weekday } of applicable) {
+        const stacking = getRuleStacking(rule);
+
+        if (rule.pct) {
+            adjustedPrice +=
+                stacking === "additive"
+                    ? (basePrice * rule.pct) / 100
+                    : (adjustedPrice * rule.pct) / 100;
+        } else {
+            adjustedPrice += rule.flat;
         }
-    }
 
-    // Apply weekend rules
-    if (isWeekend(date)) {
-        const weekendRule = priceRules.find((rule) => rule.type === "weekend");
-        if (weekendRule) {
-            if (weekendRule.pct) {
-                adjustedPrice *= 1 + weekendRule.pct / 100;
-                appliedRules.push({
-                    type: "weekend",
-                    name: weekendRule.name || "Weekend Surcharge",
-                    adjustment: weekendRule.pct,
-                });
-            } else if (weekendRule.flat) {
-                adjustedPrice += weekendRule.flat;
-                appliedRules.push({
-                    type: "weekend",
-                    name: weekendRule.name || "Weekend Surcharge",
-                    adjustment: weekendRule.flat,
-                });
-            }
+        // Clamp the price to the rule's caps
+        let capped = null;
+        if (rule.minPrice != null && adjustedPrice < rule.minPrice) {
+            adjustedPrice = rule.minPrice;
+            capped = "minPrice";
         }
+        if (rule.maxPrice != null && adjustedPrice > rule.maxPrice) {
+            adjustedPrice = rule.maxPrice;
+            capped = "maxPrice";
+        }
+
+        appliedRules.push({
+            type: rule.type,
+            name: getRuleName(rule),
+            ...(holidays ? { holidays } : {}),
+            ...(weekday ? { weekday } : {}),
+            adjustment: rule.pct || rule.flat,
+            priority: getRulePriority(rule),
+            stacking,
+            ...(capped ? { capped } : {}),
+        });
+    }
+
+    return {
+        price: roundMoney(adjustedPrice, options.currency),
+        appliedRules,
+        suppressedRules: suppressed,
+    };
+};
+
+/**
+ * Split a rental into full local days and the time left over
+ * Days start at the pickup's wall-clock time in the time zone, so a day
+ * spanning a DST change is 23 or 25 hours long
+ */
+const splitRentalPeriod = (start, end, timeZone = DEFAULT_TIME_ZONE) => {
+    const dayStarts = [];
+    let dayStart = new Date(start);
+
+    for (let i = 1; ; i++) {
+        const next = addLocalDays(start, i, timeZone);
+        if (next > end) break;
+        dayStarts.push(dayStart);
+        dayStart = next;
+    }
+
+    return {
+        dayStarts,
+        overrunStart: dayStart,
+        overrunMinutes: Math.ceil((end - dayStart) / (1000 * 60)),
+    };
+};
+
+/**
+ * Pick the cheapest charge for time past the last full day
+ * Returns { rate: 'hourly' | 'halfDay' | 'fullDay', hours, price }
+ */
+const calculateOverrunCharge = (
+    minutes,
+    fullDayPrice,
+    durationPricing,
+    currency = DEFAULT_CURRENCY
+) => {
+    const hours = Math.ceil(minutes / 60);
+    const { hourlyRate, halfDayRate, halfDayMaxHours } = durationPricing;
+
+    const charges = [{ rate: "fullDay", price: fullDayPrice }];
+    if (hourlyRate != null) {
+        charges.push({ rate: "hourly", price: hours * hourlyRate });
+    }
+    if (halfDayRate != null && hours <= halfDayMaxHours) {
+        charges.push({ rate: "halfDay", price: halfDayRate });
     }
 
-    return { price: Math.round(adjustedPrice * 100) / 100, appliedRules };
+    const cheapest = charges.reduce((best, charge) =>
+        charge.price < best.price ? charge : best
+    );
+    return {
+        ...cheapest,
+        hours,
+        price: roundMoney(cheapest.price, currency),
+    };
 };
 
 /**
  * Calculate total price for a rental period
+ *
+ * Options:
+ * - timeZone: IANA zone the rental days are counted in (defaults to UTC)
+ * - durationPricing: grace period and overrun rates (see
+ *   models/durationPricing.js)
+ * - currency: currency amounts are rounded in (defaults to USD)
+ *
+ * Rentals shorter than a day are billed as one day.
  */
 const calculateRentalPrice = (
     basePrice,
     startDate,
     endDate,
-    priceRules = DEFAULT_PRICE_RULES
+    priceRules = DEFAULT_PRICE_RULES,
+    options = {}
 ) => {
     const start = new Date(startDate);
     const end = new Date(endDate);
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const durationPricing = options.durationPricing || DEFAULT_DURATION_PRICING;
+    const currency = options.currency || DEFAULT_CURRENCY;
 
-    // Calculate number of nights
-    const nights = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-    if (nights <= 0) {
+    if (!(end > start)) {
         throw new Error("End date must be after start date");
     }
 
+    const period = splitRentalPeriod(start, end, timeZone);
+    const dayStarts = period.dayStarts.length ? period.dayStarts : [start];
+    const overrunMinutes = period.dayStarts.length ? period.overrunMinutes : 0;
+
+    let nights = dayStarts.length;
     let totalPrice = 0;
     const dailyBreakdown = [];
     const allAppliedRules = [];
 
-    // Calculate price for each day
-    for (let i = 0; i < nights; i++) {
-        const currentDate = new Date(start);
-        currentDate.setDate(currentDate.getDate() + i);
+    // Collect unique rules
+    const collectRules = (appliedRules) => {
+        appliedRules.forEach((rule) => {
+            if (!allAppliedRules.find((r) => r.name === rule.name)) {
+                allAppliedRules.push(rule);
+            }
+        });
+    };
 
-        const { price, appliedRules } = applyPriceRules(
+    // Calculate price for each day
+    for (const dayStart of dayStarts) {
+        const { price, appliedRules, suppressedRules } = applyPriceRules(
             basePrice,
-            currentDate,
-            priceRules
+            dayStart,
+            priceRules,
+            { timeZone, currency }
         );
         totalPrice += price;
 
         dailyBreakdown.push({
-            date: currentDate.toISOString().split("T")[0],
+            date: toDateKey(dayStart, timeZone),
             price,
             appliedRules,
+            suppressedRules,
         });
 
-        // Collect unique rules
-        appliedRules.forEach((rule) => {
-            if (!allAppliedRules.find((r) => r.name === rule.name)) {
-                allAppliedRules.push(rule);
-            }
-        });
+        collectRules(appliedRules);
+    }
+
+    // Charge the time past the last full day, unless it is within the grace
+    // period
+    let overrun = null;
+
+    if (overrunMinutes > 0) {
+        overrun = {
+            minutes: overrunMinutes,
+            gracePeriodMinutes: durationPricing.gracePeriodMinutes,
+            waived: overrunMinutes <= durationPricing.gracePeriodMinutes,
+            rate: null,
+            charge: 0,
+        };
+
+        if (!overrun.waived) {
+            const fullDay = applyPriceRules(
+                basePrice,
+                period.overrunStart,
+                priceRules,
+                { timeZone, currency }
+            );
+            const charge = calculateOverrunCharge(
+                overrunMinutes,
+                fullDay.price,
+                durationPricing,
+                currency
+            );
+            const chargedAsDay = charge.rate === "fullDay";
+
+            overrun.rate = charge.rate;
+            overrun.charge = charge.price;
+            totalPrice += charge.price;
+            if (chargedAsDay) nights += 1;
+
+            dailyBreakdown.push({
+                date: toDateKey(period.overrunStart, timeZone),
+                price: charge.price,
+                appliedRules: chargedAsDay ? fullDay.appliedRules : [],
+                suppressedRules: chargedAsDay ? fullDay.suppressedRules : [],
+                partial: {
+                    hours: charge.hours,
+                    rate: charge.rate,
+                    fullDayPrice: fullDay.price,
+                },
+            });
+
+            if (chargedAsDay) collectRules(fullDay.appliedRules);
+        }
     }
 
     // Apply length-based discounts
@@ -138,20 +516,20 @@ const calculateRentalPrice = (
 
     for (const rule of lengthRules) {
         if (nights >= rule.minDays) {
-            if (rule.pct) {
-                lengthDiscount = totalPrice * (Math.abs(rule.pct) / 100);
-                appliedLengthRule = {
-                    type: "length",
-                    name: rule.name,
-                    adjustment: rule.pct,
-                    discount: lengthDiscount,
-                };
-            } else if (rule.flat) {
-                lengthDiscount = rule.flat;
+            const adjustment = rule.pct || rule.flat;
+
+            if (adjustment) {
+                const discount = rule.pct
+                    ? totalPrice * (Math.abs(rule.pct) / 100)
+                    : rule.flat;
+
+                // The discount is never more than the subtotal and never
+                // turns into a surcharge
+                lengthDiscount = Math.min(Math.max(discount, 0), totalPrice);
                 appliedLengthRule = {
                     type: "length",
                     name: rule.name,
-                    adjustment: rule.flat,
+                    adjustment,
                     discount: lengthDiscount,
                 };
             }
@@ -159,12 +537,14 @@ const calculateRentalPrice = (
         }
     }
 
-    const subtotal = Math.round(totalPrice * 100) / 100;
-    const discountAmount = Math.round(lengthDiscount * 100) / 100;
+    const subtotal = roundMoney(totalPrice, currency);
+    const discountAmount = roundMoney(lengthDiscount, currency);
 
     return {
         basePrice,
         nights,
+        timeZone,
+        overrun,
         subtotal,
         lengthDiscount: discountAmount,
         appliedLengthRule,
@@ -175,14 +555,33 @@ const calculateRentalPrice = (
 
 /**
  * Apply coupon discount
+ * When a context is given ({ userEmail, car, userBookingCount,
+ * userRedemptionCount }) the per-user and per-car restrictions are checked
+ * as well; failures throw a CouponError with a reason code
  */
-const applyCouponDiscount = (subtotal, coupon, nights = 1) => {
+const applyCouponDiscount = (subtotal, coupon, nights = 1, context = null) => {
     if (!coupon) return 0;
 
+    if (context) {
+        const validation = isCouponValid(coupon, context);
+        if (!validation.valid) {
+            throw new CouponError(validation.reason, validation.code);
+        }
+    }
+
     // Check minimum days requirement
     if (coupon.minDays && nights < coupon.minDays) {
-        throw new Error(
-            `Coupon requires minimum ${coupon.minDays} days rental`
+        throw new CouponError(
+            `Coupon requires minimum ${coupon.minDays} days rental`,
+            COUPON_ERRORS.MIN_DAYS
+        );
+    }
+
+    // Check minimum subtotal requirement
+    if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+        throw new CouponError(
+            `Coupon requires a minimum subtotal of ${coupon.minSubtotal}`,
+            COUPON_ERRORS.MIN_SUBTOTAL
         );
     }
 
@@ -194,35 +593,163 @@ const applyCouponDiscount = (subtotal, coupon, nights = 1) => {
         discount = coupon.flat;
     }
 
+    // Cap the discount when the coupon defines a maximum
+    if (coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
     // Ensure discount doesn't exceed subtotal
     return Math.min(discount, subtotal);
 };
 
 /**
- * Calculate taxes (example: 10% tax rate)
+ * Convert the amount fields of a rule, coupon or fee into the quote currency
+ * The amounts are in the object's own currency, or DEFAULT_CURRENCY when it
+ * declares none
  */
-const calculateTaxes = (amount, taxRate = 0.1) => {
-    return Math.round(amount * taxRate * 100) / 100;
+const convertAmounts = (source, fields, currency, rates) => {
+    if (!source) return source;
+
+    const from = source.currency || DEFAULT_CURRENCY;
+    if (from === currency) return source;
+
+    const converted = { ...source, currency };
+    for (const field of fields) {
+        if (source[field] != null) {
+            converted[field] = roundMoney(
+                convertAmount(source[field], from, currency, rates),
+                currency
+            );
+        }
+    }
+    return converted;
+};
+
+/**
+ * Price the selected extras ([{ extra, quantity }]) of a rental
+ * Per-day extras are charged for each billed day, up to the extra's maxDays
+ */
+const calculateExtras = (selections, days, currency = DEFAULT_CURRENCY) =>
+    selections.map(({ extra, quantity }) => {
+        const chargedDays =
+            extra.pricing === "perDay"
+                ? Math.min(days, extra.maxDays || days)
+                : null;
+
+        return {
+            extraId: extra._id,
+            code: extra.code,
+            name: extra.name,
+            pricing: extra.pricing,
+            unitPrice: extra.price,
+            quantity,
+            days: chargedDays,
+            amount: roundMoney(
+                extra.price * quantity * (chargedDays ?? 1),
+                currency
+            ),
+            taxable: extra.taxable ?? LINE_ITEM_TAXABILITY.extras,
+        };
+    });
+
+/**
+ * Convert a price rule's flat amounts and caps into the quote currency
+ */
+const convertPriceRule = (rule, currency, rates) => {
+    const converted = convertAmounts(
+        rule,
+        ["flat", "minPrice", "maxPrice"],
+        currency,
+        rates
+    );
+
+    if (rule.adjustments && converted !== rule) {
+        converted.adjustments = Object.fromEntries(
+            Object.entries(rule.adjustments).map(([day, adjustment]) => [
+                day,
+                convertAmounts(
+                    { ...adjustment, currency: rule.currency },
+                    ["flat"],
+                    currency,
+                    rates
+                ),
+            ])
+        );
+    }
+
+    return converted;
 };
 
 /**
  * Generate complete quote with all pricing details
+ *
+ * Options:
+ * - couponContext: requesting user's history for coupon restrictions
+ *   (see applyCouponDiscount)
+ * - timeZone: zone rental days and weekdays are evaluated in; defaults to
+ *   the car's
+ * - taxRules: tax and fee rules from resolveTaxRules; defaults to the
+ *   jurisdiction table for the car's location
+ * - currency: currency to quote in; defaults to the car's currency
+ * - exchangeRates: rates from getExchangeRates, needed when the car, rules,
+ *   coupon, extras or fees are in another currency than the quote (a
+ *   missing rate throws ExchangeRateError)
+ * - extras: selected extras from resolveExtraSelections; they are not
+ *   discounted and are taxed according to their taxable flag
+ *
+ * The security deposit is quoted separately as `deposit`; it is held at
+ * pickup and is not part of the total.
  */
 const generateQuote = (
     car,
     startDate,
     endDate,
     coupon = null,
-    priceRules = DEFAULT_PRICE_RULES
+    priceRules = DEFAULT_PRICE_RULES,
+    options = {}
 ) => {
-    const basePrice = car.dailyRentalPrice || car.price || 0;
+    const carCurrency = getCarCurrency(car);
+    const currency = options.currency || carCurrency;
+    const rates = options.exchangeRates || { [DEFAULT_CURRENCY]: 1 };
+
+    // Bring every amount into the quote currency before pricing
+    const basePrice = roundMoney(
+        convertAmount(
+            car.dailyRentalPrice || car.price || 0,
+            carCurrency,
+            currency,
+            rates
+        ),
+        currency
+    );
+    const quoteRules = priceRules.map((rule) =>
+        convertPriceRule(rule, currency, rates)
+    );
+    const quoteCoupon = convertAmounts(
+        coupon,
+        ["flat", "minSubtotal", "maxDiscount"],
+        currency,
+        rates
+    );
+    const durationPricing = convertAmounts(
+        { ...getDurationPricing(car), currency: carCurrency },
+        ["hourlyRate", "halfDayRate"],
+        currency,
+        rates
+    );
+    const taxRules = (options.taxRules || getTableTaxRules(car.location)).map(
+        (rule) => convertAmounts(rule, ["flat", "perDay"], currency, rates)
+    );
 
     // Calculate base rental price with dynamic pricing
+    const timeZone = options.timeZone || getCarTimeZone(car);
+
     const rentalCalculation = calculateRentalPrice(
         basePrice,
         startDate,
         endDate,
-        priceRules
+        quoteRules,
+        { timeZone, durationPricing, currency }
     );
 
     const { subtotal, nights, lengthDiscount, appliedLengthRule } =
@@ -234,42 +761,110 @@ const generateQuote = (
     // Apply coupon discount
     let couponDiscount = 0;
     let couponError = null;
+    let couponErrorCode = null;
 
     if (coupon) {
         try {
             couponDiscount = applyCouponDiscount(
                 subtotalAfterLengthDiscount,
-                coupon,
-                nights
+                quoteCoupon,
+                nights,
+                options.couponContext || null
             );
         } catch (error) {
             couponError = error.message;
+            couponErrorCode = error.code || null;
         }
     }
 
     // Calculate amount after all discounts
     const amountAfterDiscounts = subtotalAfterLengthDiscount - couponDiscount;
 
-    // Calculate taxes
-    const taxes = calculateTaxes(amountAfterDiscounts);
+    // Price the selected extras
+    const extras = calculateExtras(
+        (options.extras || []).map(({ extra, quantity }) => ({
+            extra: convertAmounts(extra, ["price"], currency, rates),
+            quantity,
+        })),
+        nights,
+        currency
+    );
+    const extrasTotal = roundMoney(
+        extras.reduce((sum, item) => sum + item.amount, 0),
+        currency
+    );
+
+    // Calculate taxes and fees for the car's location
+    const lineItems = [
+        {
+            code: "rental",
+            category: "rental",
+            amount: amountAfterDiscounts,
+        },
+        ...extras.map((item) => ({
+            code: item.code,
+            category: "extras",
+            amount: item.amount,
+            taxable: item.taxable,
+        })),
+    ];
+    const { lines: taxLines, total: taxes } = calculateTaxes(
+        lineItems,
+        taxRules,
+        { days: nights, location: car.location, currency }
+    );
+
+    // The deposit is held, not charged, so it is not taxed or totalled
+    const deposit = convertAmounts(
+        getCarDeposit(car),
+        ["amount"],
+        currency,
+        rates
+    ).amount;
 
     // Calculate final total
-    const total = Math.round((amountAfterDiscounts + taxes) * 100) / 100;
+    const total = roundMoney(
+        amountAfterDiscounts + extrasTotal + taxes,
+        currency
+    );
 
     return {
+        currency,
+        exchangeRate:
+            currency !== carCurrency
+                ? {
+                      from: carCurrency,
+                      to: currency,
+                      rate: convertAmount(1, carCurrency, currency, rates),
+                  }
+                : null,
         nightly: basePrice,
         nights,
-        subtotal: Math.round(subtotal * 100) / 100,
-        lengthDiscount: Math.round(lengthDiscount * 100) / 100,
-        couponDiscount: Math.round(couponDiscount * 100) / 100,
+        timeZone,
+        overrun: rentalCalculation.overrun,
+        subtotal: roundMoney(subtotal, currency),
+        lengthDiscount: roundMoney(lengthDiscount, currency),
+        couponDiscount: roundMoney(couponDiscount, currency),
+        extras,
+        extrasTotal,
         taxes: taxes,
+        taxLines,
         total: total,
+        deposit,
         priceBreakdown: {
-            baseSubtotal: Math.round(subtotal * 100) / 100,
-            afterLengthDiscount:
-                Math.round(subtotalAfterLengthDiscount * 100) / 100,
-            afterCouponDiscount: Math.round(amountAfterDiscounts * 100) / 100,
-            taxableAmount: Math.round(amountAfterDiscounts * 100) / 100,
+            baseSubtotal: roundMoney(subtotal, currency),
+            afterLengthDiscount: roundMoney(
+                subtotalAfterLengthDiscount,
+                currency
+            ),
+            afterCouponDiscount: roundMoney(amountAfterDiscounts, currency),
+            extras: extrasTotal,
+            taxableAmount: roundMoney(
+                lineItems
+                    .filter((item) => item.taxable !== false)
+                    .reduce((sum, item) => sum + item.amount, 0),
+                currency
+            ),
             finalTotal: total,
         },
         appliedRules: {
@@ -278,8 +873,9 @@ const generateQuote = (
             coupon: coupon
                 ? {
                       code: coupon.code,
-                      discount: Math.round(couponDiscount * 100) / 100,
+                      discount: roundMoney(couponDiscount, currency),
                       error: couponError,
+                      errorCode: couponErrorCode,
                   }
                 : null,
         },
@@ -291,8 +887,12 @@ module.exports = {
     applyPriceRules,
     calculateRentalPrice,
     applyCouponDiscount,
-    calculateTaxes,
+    calculateExtras,
     generateQuote,
     isWeekend,
+    splitRentalPeriod,
+    calculateOverrunCharge,
+    getDayOfWeekAdjustment,
     isInSeasonalPeriod,
+    getMatchingHolidays,
 };
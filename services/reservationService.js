@@ -0,0 +1,119 @@
+/**
+ * Reservation Service
+ * Creates bookings atomically so concurrent requests cannot double-book a car
+ */
+
+const { ObjectId } = require("mongodb");
+const { withTransaction } = require("../config/database");
+const { findConflictingBookings } = require("./availabilityService");
+const { redeemCoupon } = require("./couponService");
+const { reserveExtras } = require("./extrasService");
+
+/**
+ * Thrown when the requested dates overlap an existing booking
+ */
+class BookingConflictError extends Error {
+    constructor(conflictingBookings) {
+        super("Car is not available for the selected dates");
+        this.name = "BookingConflictError";
+        this.conflictingBookings = conflictingBookings;
+    }
+}
+
+/**
+ * Reserve a car and insert the booking in a single transaction
+ *
+ * The car document is written first (bookingCount increment). Two
+ * reservations for the same car therefore always touch the same document:
+ * the later one hits a write conflict, is retried by the driver, and its
+ * overlap check then sees the booking committed by the earlier one.
+ *
+ * When a coupon is passed its redemption is recorded in the same
+ * transaction: { coupon, discount, currency, baseDiscount, couponsCollection,
+ * redemptionsCollection }
+ *
+ * When extras are passed their stock is claimed in the same transaction:
+ * { extrasCollection, selected: [{ extra, quantity }] }
+ */
+const reserveBooking = async (
+    bookingsCollection,
+    carsCollection,
+    booking,
+    couponRedemption = null,
+    extrasReservation = null
+) => {
+    return withTransaction(async (session) => {
+        const claim = await carsCollection.updateOne(
+            { _id: new ObjectId(booking.carId) },
+            { $inc: { bookingCount: 1 } },
+            { session }
+        );
+
+        if (claim.matchedCount === 0) {
+            throw new Error("Car not found");
+        }
+
+        const conflictingBookings = await findConflictingBookings(
+            bookingsCollection,
+            booking.carId,
+            booking.startDate,
+            booking.endDate,
+            { session }
+        );
+
+        if (conflictingBookings.length > 0) {
+            throw new BookingConflictError(conflictingBookings);
+        }
+
+        if (extrasReservation) {
+            await reserveExtras(
+                extrasReservation.extrasCollection,
+                bookingsCollection,
+                booking,
+                extrasReservation.selected,
+                session
+            );
+        }
+
+        const result = await bookingsCollection.insertOne(booking, {
+            session,
+        });
+
+        if (couponRedemption) {
+            await redeemCoupon(
+                couponRedemption.couponsCollection,
+                couponRedemption.redemptionsCollection,
+                {
+                    coupon: couponRedemption.coupon,
+                    bookingId: result.insertedId,
+                    userEmail: booking.userEmail,
+                    discount: couponRedemption.discount,
+                    currency: couponRedemption.currency,
+                    baseDiscount: couponRedemption.baseDiscount,
+                },
+                session
+            );
+        }
+
+        return result;
+    });
+};
+
+/**
+ * Create the indexes the overlap check and the hold sweeper rely on
+ */
+const ensureReservationIndexes = async (bookingsCollection) => {
+    await bookingsCollection.createIndex({
+        carId: 1,
+        status: 1,
+        startDate: 1,
+        endDate: 1,
+    });
+    await bookingsCollection.createIndex({ status: 1, holdExpiresAt: 1 });
+};
+
+module.exports = {
+    BookingConflictError,
+    reserveBooking,
+    ensureReservationIndexes,
+};
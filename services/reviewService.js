@@ -0,0 +1,191 @@
+/**
+ * Review Service
+ * Stores reviews and keeps the rating totals of their cars in step
+ */
+
+const { ObjectId } = require("mongodb");
+const { withTransaction } = require("../config/database");
+const { REVIEW_CATEGORIES, REVIEW_STATUS } = require("../models/reviews");
+
+/**
+ * Rounded average of a running total, or null without reviews
+ */
+const averageOf = (totalPath) => ({
+    $cond: [
+        { $gt: ["$reviewCount", 0] },
+        { $round: [{ $divide: [totalPath, "$reviewCount"] }, 2] },
+        null,
+    ],
+});
+
+/**
+ * Add (sign 1) or remove (sign -1) a review's stars from its car
+ *
+ * Category totals are integers, so adding and removing reviews never
+ * accumulates rounding errors; the averages are derived from them in the
+ * same update.
+ */
+const applyReviewToCar = async (carsCollection, review, sign, session) => {
+    const totals = Object.fromEntries(
+        REVIEW_CATEGORIES.map((category) => [
+            `ratingTotals.${category}`,
+            {
+                $add: [
+                    { $ifNull: [`$ratingTotals.${category}`, 0] },
+                    sign * review.ratings[category],
+                ],
+            },
+        ])
+    );
+
+    const categoryAverages = Object.fromEntries(
+        REVIEW_CATEGORIES.map((category) => [
+            `categoryRatings.${category}`,
+            averageOf(`$ratingTotals.${category}`),
+        ])
+    );
+
+    const allStars = {
+        $add: REVIEW_CATEGORIES.map((category) => `$ratingTotals.${category}`),
+    };
+
+    await carsCollection.updateOne(
+        { _id: new ObjectId(review.carId) },
+        [
+            {
+                $set: {
+                    reviewCount: {
+                        $add: [{ $ifNull: ["$reviewCount", 0] }, sign],
+                    },
+                    ...totals,
+                },
+            },
+            {
+                $set: {
+                    ...categoryAverages,
+                    rating: averageOf({
+                        $divide: [allStars, REVIEW_CATEGORIES.length],
+                    }),
+                },
+            },
+        ],
+        { session }
+    );
+};
+
+/**
+ * Insert a review and count it towards its car's rating
+ * Throws the duplicate key error (11000) when the booking was reviewed
+ */
+const addReview = async ({ reviewsCollection, carsCollection }, review) =>
+    withTransaction(async (session) => {
+        const result = await reviewsCollection.insertOne(review, { session });
+
+        if (review.status === REVIEW_STATUS.PUBLISHED) {
+            await applyReviewToCar(carsCollection, review, 1, session);
+        }
+
+        return result;
+    });
+
+/**
+ * Publish or hide a review, adding it to or removing it from its car's
+ * rating; returns the updated review, or null when the review was
+ * moderated concurrently
+ */
+const changeReviewStatus = async (
+    { reviewsCollection, carsCollection },
+    review,
+    { status, reason = null, by }
+) => {
+    const moderation = {
+        status,
+        reason,
+        by,
+        at: new Date().toISOString(),
+    };
+
+    return withTransaction(async (session) => {
+        const updated = await reviewsCollection.findOneAndUpdate(
+            { _id: review._id, status: review.status },
+            { $set: { status, moderation } },
+            { session, returnDocument: "after" }
+        );
+
+        if (!updated) return null;
+
+        if (status !== review.status) {
+            const sign = status === REVIEW_STATUS.PUBLISHED ? 1 : -1;
+            await applyReviewToCar(carsCollection, review, sign, session);
+        }
+
+        return updated;
+    });
+};
+
+/**
+ * Seed the running totals of cars rated before reviews were recorded
+ *
+ * A car's stored rating counts as reviewCount reviews (one when it has no
+ * count) of that rating in every category, so the first review adds to it
+ * instead of replacing it. Cars that already have totals are left alone, so
+ * this is safe to run on every start.
+ */
+const seedLegacyCarRatings = async (carsCollection) => {
+    const { modifiedCount } = await carsCollection.updateMany(
+        { rating: { $type: "number" }, ratingTotals: { $exists: false } },
+        [
+            {
+                $set: {
+                    reviewCount: {
+                        $cond: [
+                            { $gt: [{ $ifNull: ["$reviewCount", 0] }, 0] },
+                            "$reviewCount",
+                            1,
+                        ],
+                    },
+                },
+            },
+            {
+                $set: {
+                    ratingTotals: Object.fromEntries(
+                        REVIEW_CATEGORIES.map((category) => [
+                            category,
+                            { $multiply: ["$rating", "$reviewCount"] },
+                        ])
+                    ),
+                    categoryRatings: Object.fromEntries(
+                        REVIEW_CATEGORIES.map((category) => [
+                            category,
+                            "$rating",
+                        ])
+                    ),
+                },
+            },
+        ]
+    );
+
+    if (modifiedCount > 0) {
+        console.log(`⭐ Seeded rating totals of ${modifiedCount} car(s)`);
+    }
+};
+
+/**
+ * Create the indexes backing one review per booking and review listings
+ */
+const ensureReviewIndexes = async (reviewsCollection) => {
+    await reviewsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await reviewsCollection.createIndex({
+        carId: 1,
+        status: 1,
+        createdAt: -1,
+        _id: -1,
+    });
+};
+
+module.exports = {
+    addReview,
+    changeReviewStatus,
+    seedLegacyCarRatings,
+    ensureReviewIndexes,
+};
@@ -0,0 +1,175 @@
+/**
+ * Tax Service
+ * Resolves the taxes and fees that apply at a car's location and itemizes
+ * them for quotes
+ */
+
+const {
+    LINE_ITEM_TAXABILITY,
+    DEFAULT_TAX_RULES,
+    TAX_JURISDICTIONS,
+    getJurisdictionKeys,
+    validateTaxRule,
+} = require("../models/taxes");
+const { roundMoney } = require("../models/currencies");
+
+/**
+ * Tax providers resolve the tax rules for a car:
+ * { name: 'table', resolveTaxRules: async (car) => [rule, ...] }
+ *
+ * The provider is picked with TAX_PROVIDER (default "table"); others can be
+ * added with registerTaxProvider, e.g. one backed by an external tax API.
+ */
+const providers = new Map();
+
+/**
+ * Get the rules of every jurisdiction in TAX_JURISDICTIONS that a location
+ * falls in
+ *
+ * DEFAULT_TAX_RULES apply when none of them charges a tax, e.g. a US car
+ * outside the listed states, whose US rules are only fees.
+ */
+const getTableTaxRules = (location) => {
+    const rules = getJurisdictionKeys(location)
+        .filter((key) => TAX_JURISDICTIONS[key])
+        .flatMap((key) =>
+            TAX_JURISDICTIONS[key].map((rule) => ({
+                ...rule,
+                jurisdiction: key,
+            }))
+        );
+
+    if (!rules.some((rule) => rule.kind === "tax")) {
+        return [...rules, ...DEFAULT_TAX_RULES];
+    }
+
+    return rules;
+};
+
+/**
+ * Register a tax provider
+ */
+const registerTaxProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+registerTaxProvider({
+    name: "table",
+    resolveTaxRules: async (car) => getTableTaxRules(car.location),
+});
+
+/**
+ * Get the configured tax provider
+ */
+const getTaxProvider = () =>
+    providers.get(process.env.TAX_PROVIDER || "table") ||
+    providers.get("table");
+
+/**
+ * Resolve the tax rules for a car with the configured provider
+ * Rules from the provider are validated before they are used
+ */
+const resolveTaxRules = async (car) => {
+    const rules = await getTaxProvider().resolveTaxRules(car);
+    rules.forEach(validateTaxRule);
+    return rules;
+};
+
+/**
+ * Check a rule's conditions (e.g. { airport: true }) against a location
+ */
+const matchesConditions = (rule, location) =>
+    Object.entries(rule.conditions || {}).every(
+        ([key, value]) =>
+            typeof location === "object" && (location?.[key] ?? false) === value
+    );
+
+/**
+ * Calculate the tax and fee lines for a set of line items
+ *
+ * Line items are { code, category, amount, taxable }; taxable defaults to
+ * LINE_ITEM_TAXABILITY for the category. The context gives the rental days,
+ * the location for rule conditions and the currency amounts are rounded in.
+ * Fees are computed first and added as 'fee' line items, so taxes can apply
+ * to them. Returns
+ * { lines: [{ code, name, kind, jurisdiction, rate, basis, amount }], total }
+ */
+const calculateTaxes = (
+    lineItems,
+    taxRules = DEFAULT_TAX_RULES,
+    context = {}
+) => {
+    const { days = 1, location = null, currency } = context;
+    const round = (amount) => roundMoney(amount, currency);
+
+    const items = lineItems.map((item) => ({
+        ...item,
+        taxable: item.taxable ?? LINE_ITEM_TAXABILITY[item.category] ?? true,
+    }));
+    const rules = taxRules.filter((rule) => matchesConditions(rule, location));
+    const lines = [];
+
+    const addLine = (rule, basisItems) => {
+        const basis = round(
+            basisItems.reduce((sum, item) => sum + item.amount, 0)
+        );
+        const amount = round(
+            (basis * (rule.rate || 0)) / 100 +
+                (rule.flat || 0) +
+                (rule.perDay || 0) * days
+        );
+
+        if (amount === 0) return null;
+
+        const line = {
+            code: rule.code,
+            name: rule.name || rule.code,
+            kind: rule.kind,
+            jurisdiction: rule.jurisdiction || null,
+            rate: rule.rate || 0,
+            basis,
+            amount,
+        };
+        lines.push(line);
+        return line;
+    };
+
+    // Fees apply to their categories whether or not the items are taxable
+    for (const rule of rules.filter((r) => r.kind === "fee")) {
+        const line = addLine(
+            rule,
+            items.filter((item) => rule.appliesTo.includes(item.category))
+        );
+
+        if (line) {
+            items.push({
+                code: rule.code,
+                category: "fee",
+                amount: line.amount,
+                taxable: rule.taxable ?? LINE_ITEM_TAXABILITY.fee,
+            });
+        }
+    }
+
+    for (const rule of rules.filter((r) => r.kind === "tax")) {
+        addLine(
+            rule,
+            items.filter(
+                (item) => item.taxable && rule.appliesTo.includes(item.category)
+            )
+        );
+    }
+
+    return {
+        lines,
+        total: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+    };
+};
+
+module.exports = {
+    getTableTaxRules,
+    registerTaxProvider,
+    getTaxProvider,
+    resolveTaxRules,
+    calculateTaxes,
+};
@@ -0,0 +1,168 @@
+/**
+ * Time Zone Service
+ * Evaluates dates in a car's IANA time zone instead of the server's
+ */
+
+// Used for cars that do not declare a time zone
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "UTC";
+
+const WEEKDAY_INDEX = {
+    Sun: 0,
+    Mon: 1,
+    Tue: 2,
+    Wed: 3,
+    Thu: 4,
+    Fri: 5,
+    Sat: 6,
+};
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits a date into parts in a time zone
+ */
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(
+            timeZone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hourCycle: "h23",
+                weekday: "short",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+            })
+        );
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check if a string is an IANA time zone known to the runtime
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== "string" || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the time zone a car is rented in (car.timeZone, then
+ * car.location.timeZone, then DEFAULT_TIME_ZONE)
+ */
+const getCarTimeZone = (car) => {
+    const timeZone =
+        car?.timeZone ||
+        (typeof car?.location === "object" && car.location?.timeZone);
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Split a date into its wall-clock parts in a time zone
+ * Returns { year, month, day, hour, minute, second, weekday } with
+ * month 1-12 and weekday 0 (Sunday) to 6 (Saturday)
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(
+        new Date(date)
+    )) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAY_INDEX[parts.weekday],
+    };
+};
+
+/**
+ * Get the weekday (0 = Sunday) of a date in a time zone
+ */
+const getWeekday = (date, timeZone = DEFAULT_TIME_ZONE) =>
+    getZonedParts(date, timeZone).weekday;
+
+/**
+ * Get the local calendar date ("YYYY-MM-DD") of a date in a time zone
+ */
+const toDateKey = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffset = (instant, timeZone) => {
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+    );
+    return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Convert wall-clock parts in a time zone to a Date
+ * Out-of-range parts roll over (day 32 is the next month). A time skipped by
+ * a DST change is moved forward by the length of the gap.
+ */
+const fromZonedParts = (parts, timeZone = DEFAULT_TIME_ZONE) => {
+    const asUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour || 0,
+        parts.minute || 0,
+        parts.second || 0
+    );
+
+    // The offset at the guess may differ from the offset at the result when
+    // a DST change lies in between, so correct once more
+    let instant = asUtc - getOffset(asUtc, timeZone);
+    const offset = getOffset(instant, timeZone);
+    if (asUtc - offset !== instant) {
+        const corrected = asUtc - offset;
+        if (getOffset(corrected, timeZone) === offset) instant = corrected;
+    }
+
+    return new Date(instant);
+};
+
+/**
+ * Add calendar days in a time zone, keeping the wall-clock time
+ * (24 hours is not always a day: DST days are 23 or 25 hours long)
+ */
+const addLocalDays = (date, days, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = getZonedParts(date, timeZone);
+    return fromZonedParts({ ...parts, day: parts.day + days }, timeZone);
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    getCarTimeZone,
+    getZonedParts,
+    getWeekday,
+    toDateKey,
+    fromZonedParts,
+    addLocalDays,
+};
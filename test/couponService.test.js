@@ -0,0 +1,161 @@
+/**
+ * Coupon Service Checks
+ *
+ * Redemption accounting and usage limits of couponService against
+ * in-memory collections.
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+    CouponUnavailableError,
+    redeemCoupon,
+    releaseCouponRedemption,
+} = require("../services/couponService");
+const { MemoryCollection } = require("./helpers/memoryCollection");
+
+/**
+ * Collections with one active coupon
+ */
+const setup = (coupon = {}) => {
+    const coupons = new MemoryCollection([
+        { code: "SUMMER20", pct: 20, active: true, usageCount: 0, ...coupon },
+    ]);
+    const redemptions = new MemoryCollection([], { unique: [["bookingId"]] });
+
+    const redeem = async (userEmail = "renter@example.com") =>
+        redeemCoupon(coupons, redemptions, {
+            coupon: await coupons.findOne({}),
+            bookingId: new ObjectId(),
+            userEmail,
+            discount: 20,
+            currency: "USD",
+        });
+
+    return {
+        coupons,
+        redemptions,
+        redeem,
+        getCoupon: () => coupons.findOne({}),
+    };
+};
+
+// ============================================
+// 1. USAGE LIMITS
+// ============================================
+
+/**
+ * Test Case: Coupon with usageLimit 2 redeemed three times
+ * Expected: The third redemption throws CouponUnavailableError; two
+ * redemptions are recorded
+ */
+test("redemptions stop at the usage limit", async () => {
+    const { redemptions, redeem, getCoupon } = setup({ usageLimit: 2 });
+
+    await redeem();
+    await redeem("other@example.com");
+    await assert.rejects(redeem("third@example.com"), CouponUnavailableError);
+
+    assert.equal((await getCoupon()).usageCount, 2);
+    assert.equal(await redemptions.countDocuments(), 2);
+});
+
+/**
+ * Test Case: Three redemptions at the same time on a limit of 2
+ * Expected: Exactly two succeed
+ */
+test("concurrent redemptions cannot pass the usage limit", async () => {
+    const { redeem, getCoupon } = setup({ usageLimit: 2 });
+
+    const results = await Promise.allSettled([
+        redeem("a@example.com"),
+        redeem("b@example.com"),
+        redeem("c@example.com"),
+    ]);
+
+    assert.equal(
+        results.filter((result) => result.status === "fulfilled").length,
+        2
+    );
+    assert.equal((await getCoupon()).usageCount, 2);
+});
+
+/**
+ * Test Case: Coupon without a usage limit (null or 0), and one that was
+ * created before usageCount was tracked
+ * Expected: Redemptions are not limited; the count starts from zero
+ */
+test("coupons without a limit are not limited", async () => {
+    for (const usageLimit of [null, 0]) {
+        const { redeem, getCoupon } = setup({ usageLimit });
+        for (let i = 0; i < 3; i++) await redeem(`user${i}@example.com`);
+        assert.equal((await getCoupon()).usageCount, 3);
+    }
+
+    const legacy = setup({ usageLimit: 1, usageCount: undefined });
+    await legacy.redeem();
+    await assert.rejects(legacy.redeem(), CouponUnavailableError);
+});
+
+/**
+ * Test Case: Coupon deactivated after the quote
+ * Expected: CouponUnavailableError
+ */
+test("inactive coupons cannot be redeemed", async () => {
+    const { redeem } = setup({ active: false });
+
+    await assert.rejects(redeem(), {
+        name: "CouponUnavailableError",
+        message: "Coupon SUMMER20 is no longer available",
+    });
+});
+
+/**
+ * Test Case: perUserLimit 1 redeemed twice by one renter, then by another
+ * Expected: The renter's second redemption is refused, the other renter's
+ * is not
+ */
+test("per-user limits are enforced on redemption", async () => {
+    const { redemptions, redeem } = setup({ perUserLimit: 1 });
+
+    await redeem("renter@example.com");
+    await assert.rejects(redeem("renter@example.com"), CouponUnavailableError);
+    await redeem("other@example.com");
+
+    assert.equal(await redemptions.countDocuments({ status: "redeemed" }), 2);
+});
+
+// ============================================
+// 2. RELEASING REDEMPTIONS
+// ============================================
+
+/**
+ * Test Case: Booking with the last use of a coupon is cancelled, and the
+ * release is repeated
+ * Expected: The use is given back once and can be redeemed again
+ */
+test("releasing a redemption gives the use back once", async () => {
+    const { coupons, redemptions, redeem, getCoupon } = setup({
+        usageLimit: 1,
+    });
+
+    const { bookingId } = await redeem();
+    await assert.rejects(redeem("other@example.com"), CouponUnavailableError);
+
+    const released = await releaseCouponRedemption(
+        coupons,
+        redemptions,
+        bookingId
+    );
+    assert.equal(released.status, "released");
+    assert.equal(
+        await releaseCouponRedemption(coupons, redemptions, bookingId),
+        null
+    );
+    assert.equal((await getCoupon()).usageCount, 0);
+
+    await redeem("other@example.com");
+    assert.equal((await getCoupon()).usageCount, 1);
+});
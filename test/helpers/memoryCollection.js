@@ -0,0 +1,452 @@
+/**
+ * Memory Collection
+ * In-memory stand-in for the subset of the MongoDB collection API the
+ * services use, so their database paths can be checked without a server
+ *
+ * Query operators: equality on dotted paths, $eq, $ne, $in, $nin, $exists,
+ * $gt, $gte, $lt, $lte, $elemMatch, $and, $or, $nor, and $expr with
+ * $ifNull and comparisons
+ * Update operators: $set, $unset, $inc, $push (with $each) and the
+ * positional $ operator; pipeline updates are not supported
+ *
+ * unique lists the field sets a unique index would cover; duplicates throw
+ * an error with code 11000 like the driver does
+ */
+
+const { ObjectId } = require("mongodb");
+
+const isPlainObject = (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof ObjectId) &&
+    !(value instanceof Date);
+
+const clone = (value) => {
+    if (value instanceof ObjectId) return value;
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, clone(item)])
+        );
+    }
+    return value;
+};
+
+const isEqual = (a, b) => {
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return String(a) === String(b) && a != null && b != null;
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a?.getTime?.() === b?.getTime?.();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return (
+            keys.length === Object.keys(b).length &&
+            keys.every((key) => isEqual(a[key], b[key]))
+        );
+    }
+    return a === b;
+};
+
+/**
+ * Values at a dotted path; arrays along the path are traversed
+ */
+const getValues = (doc, path) => {
+    let values = [doc];
+    for (const part of path.split(".")) {
+        const next = [];
+        for (const value of values) {
+            if (Array.isArray(value) && !/^\d+$/.test(part)) {
+                for (const item of value) {
+                    if (isPlainObject(item) && part in item) {
+                        next.push(item[part]);
+                    }
+                }
+            } else if (value != null && typeof value === "object") {
+                if (part in value) next.push(value[part]);
+            }
+        }
+        values = next;
+    }
+    return values;
+};
+
+const compare = (a, b) => {
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    if (a instanceof ObjectId) a = String(a);
+    if (b instanceof ObjectId) b = String(b);
+    if (a == null && b == null) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const sameType = (a, b) =>
+    typeof a === typeof b &&
+    a instanceof Date === b instanceof Date &&
+    a instanceof ObjectId === b instanceof ObjectId;
+
+/**
+ * Whether the values at a path satisfy a condition
+ */
+const matchesCondition = (values, condition) => {
+    const candidates = values.flatMap((value) =>
+        Array.isArray(value) ? [value, ...value] : [value]
+    );
+
+    if (
+        !isPlainObject(condition) ||
+        !Object.keys(condition).some((key) => key.startsWith("$"))
+    ) {
+        if (condition === null) {
+            return values.length === 0 || candidates.some((v) => v == null);
+        }
+        return candidates.some((value) => isEqual(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case "$eq":
+                return matchesCondition(values, operand);
+            case "$ne":
+                return !matchesCondition(values, operand);
+            case "$in":
+                return operand.some((item) => matchesCondition(values, item));
+            case "$nin":
+                return !operand.some((item) => matchesCondition(values, item));
+            case "$exists":
+                return operand ? values.length > 0 : values.length === 0;
+            case "$gt":
+            case "$gte":
+            case "$lt":
+            case "$lte":
+                return candidates.some((value) => {
+                    if (value == null || !sameType(value, operand)) {
+                        return false;
+                    }
+                    const order = compare(value, operand);
+                    return {
+                        $gt: order > 0,
+                        $gte: order >= 0,
+                        $lt: order < 0,
+                        $lte: order <= 0,
+                    }[operator];
+                });
+            case "$elemMatch":
+                return values.some(
+                    (value) =>
+                        Array.isArray(value) &&
+                        value.some((item) => matches(item, operand))
+                );
+            default:
+                throw new Error(`Unsupported query operator ${operator}`);
+        }
+    });
+};
+
+/**
+ * Evaluate an aggregation expression against a document
+ * Supports "$field" paths, $ifNull and the comparison operators
+ */
+const evaluate = (doc, expression) => {
+    if (typeof expression === "string" && expression.startsWith("$")) {
+        return getValues(doc, expression.slice(1))[0] ?? null;
+    }
+    if (!isPlainObject(expression)) return expression;
+
+    const [[operator, operands]] = Object.entries(expression);
+    const [a, b] = operands.map((operand) => evaluate(doc, operand));
+
+    switch (operator) {
+        case "$ifNull":
+            return a ?? b;
+        case "$eq":
+            return compare(a, b) === 0;
+        case "$ne":
+            return compare(a, b) !== 0;
+        case "$gt":
+            return compare(a, b) > 0;
+        case "$gte":
+            return compare(a, b) >= 0;
+        case "$lt":
+            return compare(a, b) < 0;
+        case "$lte":
+            return compare(a, b) <= 0;
+        default:
+            throw new Error(`Unsupported expression operator ${operator}`);
+    }
+};
+
+/**
+ * Whether a document matches a filter
+ */
+const matches = (doc, filter = {}) =>
+    Object.entries(filter).every(([key, condition]) => {
+        if (key === "$and") return condition.every((f) => matches(doc, f));
+        if (key === "$or") return condition.some((f) => matches(doc, f));
+        if (key === "$nor") return !condition.some((f) => matches(doc, f));
+        if (key === "$expr") return Boolean(evaluate(doc, condition));
+        return matchesCondition(getValues(doc, key), condition);
+    });
+
+/**
+ * Index of the first array element matched by the filter, for the
+ * positional $ operator
+ */
+const findPosition = (doc, filter, arrayField) => {
+    const array = getValues(doc, arrayField)[0];
+    if (!Array.isArray(array)) return -1;
+
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key === arrayField && condition?.$elemMatch) {
+            return array.findIndex((item) =>
+                matches(item, condition.$elemMatch)
+            );
+        }
+        if (key.startsWith(`${arrayField}.`)) {
+            const rest = key.slice(arrayField.length + 1);
+            return array.findIndex((item) =>
+                matches(item, { [rest]: condition })
+            );
+        }
+    }
+    return -1;
+};
+
+const resolvePath = (doc, path, filter) => {
+    const parts = path.split(".");
+    const index = parts.indexOf("$");
+    if (index === -1) return parts;
+
+    const position = findPosition(doc, filter, parts.slice(0, index).join("."));
+    if (position === -1) {
+        throw new Error(`No array element matched for ${path}`);
+    }
+    parts[index] = String(position);
+    return parts;
+};
+
+const setPath = (doc, parts, value) => {
+    let target = doc;
+    parts.slice(0, -1).forEach((part) => {
+        if (target[part] == null || typeof target[part] !== "object") {
+            target[part] = {};
+        }
+        target = target[part];
+    });
+    target[parts.at(-1)] = value;
+};
+
+const getPath = (doc, parts) =>
+    parts.reduce(
+        (value, part) => (value == null ? undefined : value[part]),
+        doc
+    );
+
+const unsetPath = (doc, parts) => {
+    const parent = getPath(doc, parts.slice(0, -1));
+    if (parent && typeof parent === "object") delete parent[parts.at(-1)];
+};
+
+/**
+ * Apply an update document to a document in place
+ */
+const applyUpdate = (doc, update, filter) => {
+    if (Array.isArray(update)) {
+        throw new Error("Unsupported pipeline update");
+    }
+
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            const parts = resolvePath(doc, path, filter);
+            switch (operator) {
+                case "$set":
+                    setPath(doc, parts, clone(value));
+                    break;
+                case "$setOnInsert":
+                    break;
+                case "$unset":
+                    unsetPath(doc, parts);
+                    break;
+                case "$inc":
+                    setPath(doc, parts, (getPath(doc, parts) || 0) + value);
+                    break;
+                case "$push": {
+                    const array = getPath(doc, parts) || [];
+                    const items = value?.$each ? value.$each : [value];
+                    setPath(doc, parts, [...array, ...items.map(clone)]);
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator ${operator}`);
+            }
+        }
+    }
+};
+
+const sortDocs = (docs, sort) => {
+    const fields = Object.entries(sort || {});
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const order = compare(
+                getValues(a, field)[0],
+                getValues(b, field)[0]
+            );
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    });
+};
+
+const project = (doc, projection) => {
+    if (!projection) return clone(doc);
+    const kept = { _id: doc._id };
+    for (const [field, include] of Object.entries(projection)) {
+        if (include && doc[field] !== undefined)
+            kept[field] = clone(doc[field]);
+    }
+    return kept;
+};
+
+class MemoryCursor {
+    constructor(docs, projection) {
+        this.docs = docs;
+        this.projection = projection;
+        this.sortSpec = null;
+        this.limitCount = 0;
+    }
+
+    sort(spec) {
+        this.sortSpec = spec;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    async toArray() {
+        let docs = this.sortSpec
+            ? sortDocs(this.docs, this.sortSpec)
+            : this.docs;
+        if (this.limitCount) docs = docs.slice(0, this.limitCount);
+        return docs.map((doc) => project(doc, this.projection));
+    }
+}
+
+class MemoryCollection {
+    constructor(docs = [], { unique = [] } = {}) {
+        this.docs = docs.map((doc) => ({ _id: new ObjectId(), ...clone(doc) }));
+        this.unique = unique;
+    }
+
+    checkUnique(candidate, ignore) {
+        for (const fields of this.unique) {
+            const duplicate = this.docs.some(
+                (doc) =>
+                    doc !== ignore &&
+                    fields.every((field) =>
+                        isEqual(
+                            getValues(doc, field)[0],
+                            getValues(candidate, field)[0]
+                        )
+                    )
+            );
+            if (duplicate) {
+                const error = new Error(
+                    `E11000 duplicate key: ${fields.join(", ")}`
+                );
+                error.code = 11000;
+                throw error;
+            }
+        }
+    }
+
+    async insertOne(doc) {
+        const stored = clone(doc);
+        if (!stored._id) stored._id = new ObjectId();
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        doc._id = stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async findOne(filter, options = {}) {
+        const doc = this.docs.find((item) => matches(item, filter));
+        return doc ? project(doc, options.projection) : null;
+    }
+
+    find(filter = {}, options = {}) {
+        return new MemoryCursor(
+            this.docs.filter((doc) => matches(doc, filter)),
+            options.projection
+        );
+    }
+
+    async countDocuments(filter = {}) {
+        return this.docs.filter((doc) => matches(doc, filter)).length;
+    }
+
+    async distinct(field, filter = {}) {
+        const values = this.docs
+            .filter((doc) => matches(doc, filter))
+            .flatMap((doc) => getValues(doc, field));
+        return values.filter(
+            (value, index) =>
+                values.findIndex((v) => isEqual(v, value)) === index
+        );
+    }
+
+    updateDoc(doc, filter, update) {
+        const updated = clone(doc);
+        applyUpdate(updated, update, filter);
+        this.checkUnique(updated, doc);
+        Object.keys(doc).forEach((key) => delete doc[key]);
+        Object.assign(doc, updated);
+    }
+
+    async updateOne(filter, update) {
+        const doc = this.docs.find((item) => matches(item, filter));
+        if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+        this.updateDoc(doc, filter, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+    }
+
+    async updateMany(filter, update) {
+        const docs = this.docs.filter((item) => matches(item, filter));
+        docs.forEach((doc) => this.updateDoc(doc, filter, update));
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const doc = this.docs.find((item) => matches(item, filter));
+        if (!doc) return null;
+        const before = clone(doc);
+        this.updateDoc(doc, filter, update);
+        return options.returnDocument === "after" ? clone(doc) : before;
+    }
+
+    async deleteOne(filter) {
+        const index = this.docs.findIndex((item) => matches(item, filter));
+        if (index === -1) return { deletedCount: 0 };
+        this.docs.splice(index, 1);
+        return { deletedCount: 1 };
+    }
+
+    async createIndex() {
+        return "index";
+    }
+}
+
+module.exports = {
+    MemoryCollection,
+    matches,
+};
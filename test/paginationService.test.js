@@ -0,0 +1,320 @@
+/**
+ * Pagination Service Checks
+ *
+ * Cursor encoding, query parsing and keyset paging of list endpoints.
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+    withTiebreaker,
+    parsePageQuery,
+    applyCursor,
+    buildPage,
+    findPage,
+    parseFields,
+    buildProjection,
+    pickFields,
+} = require("../services/paginationService");
+const { MemoryCollection } = require("./helpers/memoryCollection");
+
+const PRICE_ASC = withTiebreaker({ dailyRentalPrice: 1 });
+
+/**
+ * Read every page of a collection following one cursor direction
+ */
+const readAllPages = async (collection, sort, sortName, limit) => {
+    const pages = [];
+    let cursor = null;
+
+    do {
+        const page = await findPage(
+            collection,
+            {},
+            {
+                sort,
+                sortName,
+                cursor,
+                limit,
+            }
+        );
+        pages.push(page);
+        cursor = page.nextCursor
+            ? parsePageQuery({ after: page.nextCursor }, sort, sortName).cursor
+            : null;
+    } while (cursor);
+
+    return pages;
+};
+
+// ============================================
+// 1. SORT TIEBREAKER
+// ============================================
+
+/**
+ * Test Case: Sort without _id
+ * Expected: _id is added last, in the direction of the last key
+ */
+test("withTiebreaker adds _id in the last key's direction", () => {
+    assert.deepEqual(withTiebreaker({ dateAdded: -1 }), {
+        dateAdded: -1,
+        _id: -1,
+    });
+    assert.deepEqual(withTiebreaker({ score: -1, carModel: 1 }), {
+        score: -1,
+        carModel: 1,
+        _id: 1,
+    });
+});
+
+/**
+ * Test Case: Sort that already ends in _id
+ * Expected: Sort is returned unchanged
+ */
+test("withTiebreaker keeps an existing _id key", () => {
+    const sort = { _id: -1 };
+    assert.equal(withTiebreaker(sort), sort);
+});
+
+// ============================================
+// 2. PAGE QUERY VALIDATION
+// ============================================
+
+/**
+ * Test Case: limit outside 1-100 or not an integer
+ * Expected: Error naming the allowed range
+ */
+test("parsePageQuery rejects bad limits", () => {
+    for (const limit of ["0", "101", "2.5", "ten"]) {
+        assert.deepEqual(parsePageQuery({ limit }, PRICE_ASC, "price_asc"), {
+            error: "limit must be an integer between 1 and 100",
+        });
+    }
+});
+
+/**
+ * Test Case: No limit given
+ * Expected: Default page size, or the endpoint's own default
+ */
+test("parsePageQuery falls back to the default page size", () => {
+    assert.deepEqual(parsePageQuery({}, PRICE_ASC, "price_asc"), {
+        limit: 50,
+        cursor: null,
+    });
+    assert.deepEqual(
+        parsePageQuery({}, PRICE_ASC, "price_asc", { defaultLimit: 12 }),
+        { limit: 12, cursor: null }
+    );
+});
+
+/**
+ * Test Case: Both after and before
+ * Expected: Error
+ */
+test("parsePageQuery rejects after and before together", () => {
+    assert.deepEqual(
+        parsePageQuery({ after: "a", before: "b" }, PRICE_ASC, "price_asc"),
+        { error: "Use either after or before, not both" }
+    );
+});
+
+/**
+ * Test Case: Garbage cursor, and a cursor issued for another sort
+ * Expected: "Invalid cursor", then "Cursor does not match the sort order"
+ */
+test("parsePageQuery rejects invalid and foreign cursors", () => {
+    assert.deepEqual(
+        parsePageQuery({ after: "not-a-cursor" }, PRICE_ASC, "price_asc"),
+        { error: "Invalid cursor" }
+    );
+
+    const page = buildPage([{ _id: 1, dailyRentalPrice: 10 }, { _id: 2 }], {
+        sort: PRICE_ASC,
+        sortName: "price_asc",
+        cursor: null,
+        limit: 1,
+    });
+    assert.deepEqual(
+        parsePageQuery({ after: page.nextCursor }, PRICE_ASC, "price_desc"),
+        { error: "Cursor does not match the sort order" }
+    );
+});
+
+/**
+ * Test Case: Cursor issued by buildPage is read back
+ * Expected: Sort key values of the last item, dates and ids intact
+ */
+test("cursors round-trip dates and ids", () => {
+    const sort = withTiebreaker({ dateAdded: -1 });
+    const last = {
+        _id: new ObjectId(),
+        dateAdded: new Date("2025-11-01T10:00:00Z"),
+    };
+    const page = buildPage([{ _id: "first" }, last, { _id: "extra" }], {
+        sort,
+        sortName: "dateAdded_desc",
+        cursor: null,
+        limit: 2,
+    });
+
+    const { cursor } = parsePageQuery(
+        { after: page.nextCursor },
+        sort,
+        "dateAdded_desc"
+    );
+    assert.equal(cursor.direction, "after");
+    assert.deepEqual(cursor.values, [last.dateAdded, last._id]);
+});
+
+// ============================================
+// 3. CURSOR FILTERS
+// ============================================
+
+/**
+ * Test Case: Page after a cursor on an ascending sort
+ * Expected: Strictly greater key, ties broken on _id
+ */
+test("applyCursor builds a keyset filter", () => {
+    const scan = applyCursor(PRICE_ASC, {
+        values: [50, 7],
+        direction: "after",
+    });
+
+    assert.deepEqual(scan.sort, PRICE_ASC);
+    assert.deepEqual(scan.filter, {
+        $or: [
+            { dailyRentalPrice: { $gt: 50 } },
+            { $and: [{ dailyRentalPrice: 50 }, { _id: { $gt: 7 } }] },
+        ],
+    });
+});
+
+/**
+ * Test Case: Page before a cursor
+ * Expected: Sort is reversed and missing values are matched by $lt
+ */
+test("applyCursor reverses the scan for before cursors", () => {
+    const scan = applyCursor(PRICE_ASC, {
+        values: [50, 7],
+        direction: "before",
+    });
+
+    assert.deepEqual(scan.sort, { dailyRentalPrice: -1, _id: -1 });
+    assert.deepEqual(scan.filter.$or[0], {
+        $or: [{ dailyRentalPrice: { $lt: 50 } }, { dailyRentalPrice: null }],
+    });
+});
+
+/**
+ * Test Case: No cursor
+ * Expected: No filter, sort unchanged
+ */
+test("applyCursor without a cursor leaves the query alone", () => {
+    assert.deepEqual(applyCursor(PRICE_ASC, null), {
+        filter: null,
+        sort: PRICE_ASC,
+    });
+});
+
+// ============================================
+// 4. PAGING THROUGH A COLLECTION
+// ============================================
+
+/**
+ * Test Case: Page forward through cars with tied and missing prices
+ * Expected: Every car exactly once, in sort order; the last page has no
+ * next cursor and only the first page has no previous cursor
+ */
+test("findPage visits every document once going forward", async () => {
+    const prices = [30, null, 30, 10, undefined, 30, 20];
+    const cars = new MemoryCollection(
+        prices.map((price) =>
+            price === undefined ? {} : { dailyRentalPrice: price }
+        )
+    );
+
+    const pages = await readAllPages(cars, PRICE_ASC, "price_asc", 2);
+    const seen = pages.flatMap((page) => page.items);
+
+    assert.equal(seen.length, prices.length);
+    assert.equal(new Set(seen.map((car) => String(car._id))).size, 7);
+    assert.deepEqual(
+        seen.map((car) => car.dailyRentalPrice ?? null),
+        [null, null, 10, 20, 30, 30, 30]
+    );
+    assert.equal(pages[0].prevCursor, null);
+    assert.ok(pages.slice(1).every((page) => page.prevCursor));
+    assert.equal(pages.at(-1).nextCursor, null);
+});
+
+/**
+ * Test Case: Go back from the last page with its previous cursor
+ * Expected: The page before it, in sort order
+ */
+test("findPage pages backward with before cursors", async () => {
+    const cars = new MemoryCollection(
+        [40, 10, 30, 20, 50].map((price) => ({ dailyRentalPrice: price }))
+    );
+
+    const pages = await readAllPages(cars, PRICE_ASC, "price_asc", 2);
+    const { cursor } = parsePageQuery(
+        { before: pages.at(-1).prevCursor },
+        PRICE_ASC,
+        "price_asc"
+    );
+    const previous = await findPage(
+        cars,
+        {},
+        {
+            sort: PRICE_ASC,
+            sortName: "price_asc",
+            cursor,
+            limit: 2,
+        }
+    );
+
+    assert.deepEqual(
+        previous.items.map((car) => car.dailyRentalPrice),
+        [30, 40]
+    );
+    assert.ok(previous.nextCursor);
+    assert.ok(previous.prevCursor);
+});
+
+// ============================================
+// 5. FIELD PROJECTION
+// ============================================
+
+/**
+ * Test Case: fields=carModel,photo with an unknown field
+ * Expected: Error listing the unknown fields
+ */
+test("parseFields validates against the allowed fields", () => {
+    const allowed = ["carModel", "photo", "dailyRentalPrice"];
+
+    assert.deepEqual(parseFields(undefined, allowed), { fields: null });
+    assert.deepEqual(parseFields(" carModel, photo,carModel ", allowed), {
+        fields: ["carModel", "photo"],
+    });
+    assert.deepEqual(parseFields("carModel,owner,secret", allowed), {
+        error: "Unknown fields: owner, secret",
+    });
+});
+
+/**
+ * Test Case: Project carModel on a price sort
+ * Expected: Sort keys are read for the cursor, then dropped from the item
+ */
+test("projections read sort keys and pickFields drops them", () => {
+    const projection = buildProjection(["carModel"], PRICE_ASC);
+    assert.deepEqual(projection, { carModel: 1, dailyRentalPrice: 1, _id: 1 });
+
+    assert.deepEqual(
+        pickFields({ _id: 1, carModel: "Civic", dailyRentalPrice: 40 }, [
+            "carModel",
+        ]),
+        { _id: 1, carModel: "Civic" }
+    );
+});
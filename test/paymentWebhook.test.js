@@ -0,0 +1,354 @@
+/**
+ * Payment Webhook Checks
+ *
+ * Checkout and webhook handling of paymentService against in-memory
+ * collections and the fake payment provider. Transactions are run without
+ * a session, so the checks need no replica set.
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Must be replaced before paymentService reads it
+const database = require("../config/database");
+database.withTransaction = async (work) => work(null);
+
+const {
+    CheckoutError,
+    startCheckout,
+    handlePaymentEvent,
+} = require("../services/paymentService");
+const fakeProvider = require("../services/payments/fakeProvider");
+const { MemoryCollection } = require("./helpers/memoryCollection");
+
+const HOLD_OPEN = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+/**
+ * Collections with one pending booking of 100 USD
+ */
+const setup = (booking = {}) => {
+    const bookings = new MemoryCollection([
+        {
+            status: "pending",
+            totalPrice: 100,
+            currency: "USD",
+            userEmail: "renter@example.com",
+            holdExpiresAt: HOLD_OPEN,
+            ...booking,
+        },
+    ]);
+    const paymentEvents = new MemoryCollection([], {
+        unique: [["provider", "eventId"]],
+    });
+
+    return {
+        bookings,
+        paymentEvents,
+        getBooking: () => bookings.findOne({}),
+        send: (event) =>
+            handlePaymentEvent(bookings, paymentEvents, "fake", event),
+    };
+};
+
+/**
+ * Start a checkout for the only booking
+ */
+const checkout = async ({ bookings, getBooking }) =>
+    startCheckout(bookings, await getBooking());
+
+const succeeded = (id, intentId, amount = 100) => ({
+    id,
+    type: "payment.succeeded",
+    intentId,
+    amount,
+    currency: "USD",
+});
+
+// ============================================
+// 1. CHECKOUT
+// ============================================
+
+/**
+ * Test Case: Checkout twice while the first intent is open
+ * Expected: The same intent is resumed, not a second one created
+ */
+test("checkout resumes the open payment intent", async () => {
+    const context = setup();
+
+    const first = await checkout(context);
+    const second = await checkout(context);
+
+    assert.equal(second.intentId, first.intentId);
+    assert.equal(second.clientSecret, first.clientSecret);
+});
+
+/**
+ * Test Case: Two checkouts started from the same read of the booking
+ * Expected: One intent is kept; the other checkout fails and tells the
+ * client to retry
+ */
+test("concurrent checkouts keep a single intent", async () => {
+    const context = setup();
+    const booking = await context.getBooking();
+
+    const kept = await startCheckout(context.bookings, booking);
+    await assert.rejects(startCheckout(context.bookings, booking), {
+        name: "CheckoutError",
+        message: "Booking changed during checkout; try again",
+    });
+
+    assert.equal((await context.getBooking()).payment.intentId, kept.intentId);
+});
+
+/**
+ * Test Case: Checkout of a paid booking, a cancelled booking and an
+ * owner-confirmed unpaid booking
+ * Expected: The first two are refused, the last one can pay
+ */
+test("checkout is limited to unpaid pending or confirmed bookings", async () => {
+    const paid = setup();
+    const { intentId } = await checkout(paid);
+    await paid.send(succeeded("evt_paid", intentId));
+    await assert.rejects(checkout(paid), CheckoutError);
+
+    await assert.rejects(checkout(setup({ status: "cancelled" })), {
+        message: "Cannot check out a booking that is cancelled",
+    });
+
+    const confirmed = await checkout(setup({ status: "confirmed" }));
+    assert.equal(confirmed.status, "requires_payment");
+});
+
+// ============================================
+// 2. WEBHOOK IDEMPOTENCY
+// ============================================
+
+/**
+ * Test Case: payment.succeeded delivered, then replayed with the same id
+ * Expected: The booking is confirmed once; the replay is reported as a
+ * duplicate and changes nothing
+ */
+test("a replayed webhook is a duplicate and changes nothing", async () => {
+    const context = setup();
+    const { intentId } = await checkout(context);
+
+    const first = await context.send(succeeded("evt_1", intentId));
+    assert.equal(first.duplicate, false);
+    assert.equal(first.action, "confirmed");
+
+    const confirmed = await context.getBooking();
+    assert.equal(confirmed.status, "confirmed");
+    assert.equal(confirmed.payment.status, "succeeded");
+
+    const replay = await context.send(succeeded("evt_1", intentId));
+    assert.deepEqual(replay, {
+        duplicate: true,
+        bookingId: null,
+        action: "ignored",
+    });
+    assert.deepEqual(await context.getBooking(), confirmed);
+    assert.equal(await context.paymentEvents.countDocuments(), 1);
+});
+
+/**
+ * Test Case: A second success event (new id) for an already paid intent
+ * Expected: The booking is not confirmed again
+ */
+test("a second success event does not confirm twice", async () => {
+    const context = setup();
+    const { intentId } = await checkout(context);
+
+    await context.send(succeeded("evt_1", intentId));
+    const second = await context.send(succeeded("evt_2", intentId));
+
+    assert.equal(second.action, "paid");
+    const booking = await context.getBooking();
+    assert.equal(booking.status, "confirmed");
+    assert.deepEqual(
+        booking.statusHistory.map((entry) => entry.to),
+        ["confirmed"]
+    );
+});
+
+/**
+ * Test Case: payment.succeeded for 90 USD on a 100 USD intent, then for
+ * 100 EUR
+ * Expected: Both are rejected; the booking stays pending and the mismatch
+ * is recorded
+ */
+test("payments for another amount or currency are rejected", async () => {
+    const context = setup();
+    const { intentId } = await checkout(context);
+
+    const short = await context.send(succeeded("evt_1", intentId, 90));
+    assert.equal(short.action, "rejected");
+
+    const euros = await context.send({
+        ...succeeded("evt_2", intentId),
+        currency: "EUR",
+    });
+    assert.equal(euros.action, "rejected");
+
+    const booking = await context.getBooking();
+    assert.equal(booking.status, "pending");
+    assert.equal(booking.payment.status, "requires_payment");
+    assert.equal(booking.payment.mismatch.eventId, "evt_2");
+});
+
+/**
+ * Test Case: Event for an intent no booking knows, and one without intent
+ * Expected: Ignored
+ */
+test("events for unknown intents are ignored", async () => {
+    const context = setup();
+
+    assert.equal(
+        (await context.send(succeeded("evt_1", "fake_pi_unknown"))).action,
+        "ignored"
+    );
+    assert.equal(
+        (await context.send({ id: "evt_2", type: "payment.succeeded" })).action,
+        "ignored"
+    );
+});
+
+// ============================================
+// 3. LATE PAYMENTS AND REFUNDS
+// ============================================
+
+/**
+ * Test Case: Booking cancelled before its payment arrives; the success
+ * event is then delivered twice under different ids
+ * Expected: The payment is refunded once
+ */
+test("a payment on a cancelled booking is refunded once", async () => {
+    const context = setup();
+    const { intentId } = await checkout(context);
+    await context.bookings.updateOne({}, { $set: { status: "cancelled" } });
+
+    const first = await context.send(succeeded("evt_1", intentId));
+    assert.equal(first.action, "refunded");
+
+    const refunded = await context.getBooking();
+    assert.equal(refunded.status, "cancelled");
+    assert.equal(refunded.payment.refund.status, "succeeded");
+    assert.equal(refunded.payment.refund.amount, 100);
+
+    await context.send(succeeded("evt_2", intentId));
+    assert.equal(
+        (await context.getBooking()).payment.refund.id,
+        refunded.payment.refund.id
+    );
+});
+
+/**
+ * Test Case: Payment arrives after the booking's hold lapsed
+ * Expected: The booking is not confirmed and the payment is refunded
+ */
+test("a payment after the hold lapsed is refunded", async () => {
+    const context = setup();
+    const { intentId } = await checkout(context);
+    await context.bookings.updateOne(
+        {},
+        { $set: { holdExpiresAt: new Date(0).toISOString() } }
+    );
+
+    const outcome = await context.send(succeeded("evt_1", intentId));
+
+    assert.equal(outcome.action, "refunded");
+    const booking = await context.getBooking();
+    assert.equal(booking.status, "pending");
+    assert.equal(booking.payment.refund.status, "succeeded");
+});
+
+/**
+ * Test Case: First intent fails, checkout creates a second one, then the
+ * first intent succeeds late; its event is replayed, and the second intent
+ * succeeds
+ * Expected: The late payment is refunded once, the replay is a duplicate
+ * and the booking is confirmed by the current intent
+ */
+test("a late payment on a replaced intent is refunded", async () => {
+    const context = setup();
+    const first = await checkout(context);
+    await context.send({
+        id: "evt_1",
+        type: "payment.failed",
+        intentId: first.intentId,
+    });
+    const second = await checkout(context);
+    assert.notEqual(second.intentId, first.intentId);
+
+    const late = await context.send(succeeded("evt_2", first.intentId));
+    assert.equal(late.action, "refunded");
+
+    let booking = await context.getBooking();
+    assert.equal(booking.status, "pending");
+    assert.equal(booking.payment.intentId, second.intentId);
+    const [superseded] = booking.supersededPayments;
+    assert.equal(superseded.intentId, first.intentId);
+    assert.equal(superseded.status, "succeeded");
+    assert.equal(superseded.refund.status, "succeeded");
+    assert.equal(superseded.refund.amount, 100);
+
+    const replay = await context.send(succeeded("evt_2", first.intentId));
+    assert.equal(replay.duplicate, true);
+
+    const current = await context.send(succeeded("evt_3", second.intentId));
+    assert.equal(current.action, "confirmed");
+    booking = await context.getBooking();
+    assert.equal(booking.status, "confirmed");
+    assert.equal(booking.supersededPayments[0].refund.id, superseded.refund.id);
+});
+
+// ============================================
+// 4. WEBHOOK SIGNATURES
+// ============================================
+
+/**
+ * Test Case: Fake provider webhook signed with the secret, then tampered
+ * with, then signed too long ago
+ * Expected: Only the first is accepted
+ */
+test("webhook signatures are verified", () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = "whsec_test";
+    const body = JSON.stringify({
+        id: "evt_1",
+        type: "payment.succeeded",
+        data: { intentId: "fake_pi_1", amount: 100, currency: "USD" },
+    });
+    const headers = (signature) => ({ "x-payment-signature": signature });
+
+    const event = fakeProvider.verifyWebhook(
+        Buffer.from(body),
+        headers(fakeProvider.signWebhook(body))
+    );
+    assert.deepEqual(event, {
+        id: "evt_1",
+        type: "payment.succeeded",
+        intentId: "fake_pi_1",
+        amount: 100,
+        currency: "USD",
+        refundId: null,
+    });
+
+    assert.throws(
+        () =>
+            fakeProvider.verifyWebhook(
+                Buffer.from(body.replace("100", "1")),
+                headers(fakeProvider.signWebhook(body))
+            ),
+        { message: "Invalid webhook signature" }
+    );
+
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+    assert.throws(
+        () =>
+            fakeProvider.verifyWebhook(
+                Buffer.from(body),
+                headers(fakeProvider.signWebhook(body, "whsec_test", stale))
+            ),
+        { message: "Webhook timestamp is too old" }
+    );
+});
@@ -0,0 +1,560 @@
+/**
+ * Pricing Service Checks
+ *
+ * Nightly rates, rule matching and rental totals of pricingService.
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    applyPriceRules,
+    calculateRentalPrice,
+    calculateOverrunCharge,
+    splitRentalPeriod,
+    isWeekend,
+    isInSeasonalPeriod,
+    getMatchingHolidays,
+} = require("../services/pricingService");
+const { DEFAULT_PRICE_RULES } = require("../models/priceRules");
+
+const HOLIDAY_SEASON = {
+    type: "season",
+    name: "Holiday Season",
+    recurring: true,
+    start: "12-20",
+    end: "01-05",
+    pct: 40,
+};
+
+// Default rules without the length discounts
+const DEFAULT_DAILY_RULES = DEFAULT_PRICE_RULES.filter(
+    (rule) => rule.type !== "length"
+);
+
+// ============================================
+// 1. RECURRING SEASONS
+// ============================================
+
+/**
+ * Test Case: Season from 12-20 to 01-05 checked either side of New Year
+ * Expected: Both ends are inside, the days around them are not
+ */
+test("recurring seasons wrap the year boundary", () => {
+    const inSeason = (date) =>
+        isInSeasonalPeriod(`${date}T00:00:00Z`, "12-20", "01-05", true);
+
+    assert.equal(inSeason("2026-12-19"), false);
+    assert.equal(inSeason("2026-12-20"), true);
+    assert.equal(inSeason("2026-12-31"), true);
+    assert.equal(inSeason("2027-01-05"), true);
+    assert.equal(inSeason("2027-01-06"), false);
+});
+
+/**
+ * Test Case: Recurring season with full dates from an earlier year
+ * Expected: Only the month and day are compared, so it repeats every year
+ */
+test("recurring seasons ignore the year of full-date boundaries", () => {
+    assert.equal(
+        isInSeasonalPeriod(
+            "2030-07-15T00:00:00Z",
+            "2025-06-01",
+            "2025-08-31",
+            true
+        ),
+        true
+    );
+    assert.equal(
+        isInSeasonalPeriod("2030-07-15T00:00:00Z", "2025-06-01", "2025-08-31"),
+        false
+    );
+});
+
+/**
+ * Test Case: Recurring season stored with an unreadable boundary
+ * Expected: Never matches
+ */
+test("recurring seasons with invalid boundaries never match", () => {
+    assert.equal(
+        isInSeasonalPeriod("2026-07-01T00:00:00Z", "summer", "08-31", true),
+        false
+    );
+});
+
+/**
+ * Test Case: Rental from Dec 30 to Jan 2 under the holiday season
+ * Expected: All three nights carry the 40% surcharge
+ */
+test("rentals across New Year are priced in the recurring season", () => {
+    const result = calculateRentalPrice(
+        100,
+        "2025-12-30T10:00:00Z",
+        "2026-01-02T10:00:00Z",
+        [HOLIDAY_SEASON]
+    );
+
+    assert.equal(result.nights, 3);
+    assert.deepEqual(
+        result.dailyBreakdown.map((day) => [day.date, day.price]),
+        [
+            ["2025-12-30", 140],
+            ["2025-12-31", 140],
+            ["2026-01-01", 140],
+        ]
+    );
+    assert.equal(result.subtotal, 420);
+});
+
+// ============================================
+// 2. HOLIDAY CALENDARS
+// ============================================
+
+/**
+ * Test Case: US calendar on fixed and weekday-based holidays
+ * Expected: Independence Day on 07-04, Thanksgiving on the fourth Thursday
+ * of November and Memorial Day on the last Monday of May
+ */
+test("holiday rules match calendar holidays", () => {
+    const rule = { type: "holiday", calendar: "US", pct: 25 };
+
+    assert.deepEqual(getMatchingHolidays(rule, "2026-07-04T00:00:00Z"), [
+        "Independence Day",
+    ]);
+    assert.deepEqual(getMatchingHolidays(rule, "2026-11-26T00:00:00Z"), [
+        "Thanksgiving Day",
+    ]);
+    assert.deepEqual(getMatchingHolidays(rule, "2026-11-19T00:00:00Z"), []);
+    assert.deepEqual(getMatchingHolidays(rule, "2026-05-25T00:00:00Z"), [
+        "Memorial Day",
+    ]);
+});
+
+/**
+ * Test Case: Rule limited to some holidays, with extra dates
+ * Expected: Other holidays are ignored; yearly and one-off dates match
+ * under the rule's name
+ */
+test("holiday rules filter holidays and add explicit dates", () => {
+    const rule = {
+        type: "holiday",
+        name: "Peak Days",
+        calendar: "US",
+        holidays: ["Christmas Day"],
+        dates: ["12-31", "2026-07-03"],
+        pct: 25,
+    };
+
+    assert.deepEqual(getMatchingHolidays(rule, "2026-07-04T00:00:00Z"), []);
+    assert.deepEqual(getMatchingHolidays(rule, "2026-12-25T00:00:00Z"), [
+        "Christmas Day",
+    ]);
+    assert.deepEqual(getMatchingHolidays(rule, "2031-12-31T00:00:00Z"), [
+        "Peak Days",
+    ]);
+    assert.deepEqual(getMatchingHolidays(rule, "2026-07-03T00:00:00Z"), [
+        "Peak Days",
+    ]);
+    assert.deepEqual(getMatchingHolidays(rule, "2027-07-03T00:00:00Z"), []);
+});
+
+// ============================================
+// 3. RULE STACKING AND PRIORITY
+// ============================================
+
+// A Wednesday and a Saturday in the summer season
+const SUMMER_WEDNESDAY = "2026-07-01T10:00:00Z";
+const SUMMER_SATURDAY = "2026-07-04T10:00:00Z";
+
+/**
+ * Test Case: Default rules on a summer Saturday
+ * Expected: The season compounds first, then the weekend surcharge
+ * (100 * 1.30 * 1.15)
+ */
+test("default rules compound the season before the weekend", () => {
+    const result = applyPriceRules(100, SUMMER_SATURDAY);
+
+    assert.equal(result.price, 149.5);
+    assert.deepEqual(
+        result.appliedRules.map((rule) => [rule.name, rule.stacking]),
+        [
+            ["Summer Peak Season", "compound"],
+            ["Weekend Surcharge", "max-only"],
+        ]
+    );
+    assert.deepEqual(result.suppressedRules, []);
+});
+
+/**
+ * Test Case: Two 10% and 20% seasons, compound and additive
+ * Expected: Compound gives 132, additive takes both from the base (130)
+ */
+test("additive rules do not compound", () => {
+    const seasons = (stacking) => [
+        {
+            type: "season",
+            name: "A",
+            start: "07-01",
+            end: "07-31",
+            recurring: true,
+            pct: 10,
+            stacking,
+        },
+        {
+            type: "season",
+            name: "B",
+            start: "07-01",
+            end: "07-31",
+            recurring: true,
+            pct: 20,
+            stacking,
+        },
+    ];
+
+    assert.equal(
+        applyPriceRules(100, SUMMER_WEDNESDAY, seasons("compound")).price,
+        132
+    );
+    assert.equal(
+        applyPriceRules(100, SUMMER_WEDNESDAY, seasons("additive")).price,
+        130
+    );
+});
+
+/**
+ * Test Case: Exclusive holiday rule ranked above the summer season
+ * Expected: Only the holiday applies; the season and weekend are reported
+ * as suppressed by it
+ */
+test("exclusive rules suppress everything ranked below them", () => {
+    const rules = [
+        ...DEFAULT_DAILY_RULES,
+        {
+            type: "holiday",
+            name: "Fourth of July",
+            calendar: "US",
+            holidays: ["Independence Day"],
+            flat: 50,
+            priority: 400,
+            stacking: "exclusive",
+        },
+    ];
+
+    const result = applyPriceRules(100, SUMMER_SATURDAY, rules);
+
+    assert.equal(result.price, 150);
+    assert.deepEqual(
+        result.appliedRules.map((rule) => rule.name),
+        ["Fourth of July"]
+    );
+    assert.deepEqual(result.suppressedRules, [
+        {
+            type: "season",
+            name: "Summer Peak Season",
+            reason: 'Suppressed by exclusive rule "Fourth of July"',
+        },
+        {
+            type: "weekend",
+            name: "Weekend Surcharge",
+            reason: 'Suppressed by exclusive rule "Fourth of July"',
+        },
+    ]);
+});
+
+/**
+ * Test Case: Two max-only weekend rules, 10% and 15%
+ * Expected: Only the larger applies; the smaller is suppressed
+ */
+test("max-only rules keep the largest of their type", () => {
+    const rules = [
+        { type: "weekend", name: "Small Weekend", pct: 10 },
+        { type: "weekend", name: "Big Weekend", pct: 15 },
+    ];
+
+    const result = applyPriceRules(100, "2026-03-07T10:00:00Z", rules);
+
+    assert.equal(result.price, 115);
+    assert.deepEqual(result.suppressedRules, [
+        {
+            type: "weekend",
+            name: "Small Weekend",
+            reason: 'Smaller than max-only rule "Big Weekend"',
+        },
+    ]);
+});
+
+/**
+ * Test Case: 30% season capped at 120, 20% discount floored at 90
+ * Expected: The nightly price is clamped and the cap is reported
+ */
+test("rule caps clamp the nightly price", () => {
+    const season = (pct, caps) => [
+        {
+            type: "season",
+            name: "Capped",
+            start: "07-01",
+            end: "07-31",
+            recurring: true,
+            pct,
+            ...caps,
+        },
+    ];
+
+    const ceiling = applyPriceRules(
+        100,
+        SUMMER_WEDNESDAY,
+        season(30, { maxPrice: 120 })
+    );
+    assert.equal(ceiling.price, 120);
+    assert.equal(ceiling.appliedRules[0].capped, "maxPrice");
+
+    const floor = applyPriceRules(
+        100,
+        SUMMER_WEDNESDAY,
+        season(-20, { minPrice: 90 })
+    );
+    assert.equal(floor.price, 90);
+    assert.equal(floor.appliedRules[0].capped, "minPrice");
+});
+
+/**
+ * Test Case: Same rules stored in the opposite order
+ * Expected: Same price and the same rule order
+ */
+test("rule order does not depend on storage order", () => {
+    const rules = [
+        { type: "weekend", name: "Weekend", pct: 15, stacking: "compound" },
+        {
+            type: "season",
+            name: "B",
+            start: "07-01",
+            end: "07-31",
+            recurring: true,
+            flat: 20,
+        },
+        {
+            type: "season",
+            name: "A",
+            start: "07-01",
+            end: "07-31",
+            recurring: true,
+            pct: 10,
+        },
+    ];
+
+    const forward = applyPriceRules(100, SUMMER_SATURDAY, rules);
+    const reversed = applyPriceRules(
+        100,
+        SUMMER_SATURDAY,
+        [...rules].reverse()
+    );
+
+    assert.deepEqual(reversed, forward);
+    assert.deepEqual(
+        forward.appliedRules.map((rule) => rule.name),
+        ["A", "B", "Weekend"]
+    );
+});
+
+/**
+ * Test Case: Rental over an exclusive holiday
+ * Expected: dailyBreakdown lists the suppressed rules of that day only
+ */
+test("the daily breakdown shows suppressed rules", () => {
+    const rules = [
+        ...DEFAULT_DAILY_RULES,
+        {
+            type: "holiday",
+            name: "Fourth of July",
+            calendar: "US",
+            flat: 50,
+            priority: 400,
+            stacking: "exclusive",
+        },
+    ];
+
+    const result = calculateRentalPrice(
+        100,
+        "2026-07-03T10:00:00Z",
+        "2026-07-05T10:00:00Z",
+        rules
+    );
+
+    assert.deepEqual(
+        result.dailyBreakdown.map((day) => day.suppressedRules.length),
+        [0, 2]
+    );
+});
+
+// ============================================
+// 4. TIME ZONES AND DST
+// ============================================
+
+const NEW_YORK = "America/New_York";
+
+/**
+ * Test Case: 10:00 to 10:00 New York time over the spring DST change
+ * (2026-03-08), which is only 47 hours
+ * Expected: Two full local days and no overrun
+ */
+test("a day spanning the spring DST change is a full day", () => {
+    const period = splitRentalPeriod(
+        new Date("2026-03-07T15:00:00Z"),
+        new Date("2026-03-09T14:00:00Z"),
+        NEW_YORK
+    );
+
+    assert.equal(period.dayStarts.length, 2);
+    assert.equal(period.overrunMinutes, 0);
+
+    const result = calculateRentalPrice(
+        100,
+        "2026-03-07T15:00:00Z",
+        "2026-03-09T14:00:00Z",
+        [],
+        { timeZone: NEW_YORK }
+    );
+    assert.equal(result.nights, 2);
+    assert.equal(result.overrun, null);
+    assert.deepEqual(
+        result.dailyBreakdown.map((day) => day.date),
+        ["2026-03-07", "2026-03-08"]
+    );
+});
+
+/**
+ * Test Case: 10:00 to 10:00 New York time over the autumn DST change
+ * (2026-11-01), which is 25 hours
+ * Expected: One night, not one night plus an hour of overrun
+ */
+test("a day spanning the autumn DST change is a full day", () => {
+    const result = calculateRentalPrice(
+        100,
+        "2026-10-31T14:00:00Z",
+        "2026-11-01T15:00:00Z",
+        [],
+        { timeZone: NEW_YORK }
+    );
+
+    assert.equal(result.nights, 1);
+    assert.equal(result.overrun, null);
+    assert.equal(result.subtotal, 100);
+});
+
+/**
+ * Test Case: Saturday 01:00 in Tokyo, still Friday in UTC
+ * Expected: A Saturday-Sunday weekend matches in Tokyo only
+ */
+test("weekdays are evaluated in the car's time zone", () => {
+    const date = new Date("2026-03-06T16:00:00Z");
+
+    assert.equal(isWeekend(date, ["sat", "sun"]), false);
+    assert.equal(isWeekend(date, ["sat", "sun"], "Asia/Tokyo"), true);
+});
+
+/**
+ * Test Case: Summer season starting 06-01, pickup at 22:00 on May 31 in
+ * New York (02:00 on June 1 in UTC)
+ * Expected: The first day is priced outside the season
+ */
+test("seasons are matched on the local calendar date", () => {
+    const summer = [
+        {
+            type: "season",
+            name: "Summer",
+            recurring: true,
+            start: "06-01",
+            end: "08-31",
+            pct: 30,
+        },
+    ];
+
+    const result = calculateRentalPrice(
+        100,
+        "2026-06-01T02:00:00Z",
+        "2026-06-03T02:00:00Z",
+        summer,
+        { timeZone: NEW_YORK }
+    );
+
+    assert.deepEqual(
+        result.dailyBreakdown.map((day) => [day.date, day.price]),
+        [
+            ["2026-05-31", 100],
+            ["2026-06-01", 130],
+        ]
+    );
+});
+
+// ============================================
+// 5. HOURLY OVERRUN AND GRACE PERIOD
+// ============================================
+
+const DURATION_PRICING = {
+    gracePeriodMinutes: 59,
+    hourlyRate: 12,
+    halfDayRate: 40,
+    halfDayMaxHours: 6,
+};
+
+/**
+ * Test Case: Overruns of 3, 8 and 10 hours on a 100 day rate
+ * Expected: Hourly (36), hourly over half-day limit (96), then a full day
+ * once it is cheaper (100)
+ */
+test("overruns are charged at the cheapest rate", () => {
+    const charge = (hours) =>
+        calculateOverrunCharge(hours * 60, 100, DURATION_PRICING);
+
+    assert.deepEqual(charge(3), { rate: "hourly", hours: 3, price: 36 });
+    assert.deepEqual(charge(4), { rate: "halfDay", hours: 4, price: 40 });
+    assert.deepEqual(charge(8), { rate: "hourly", hours: 8, price: 96 });
+    assert.deepEqual(charge(10), { rate: "fullDay", hours: 10, price: 100 });
+});
+
+/**
+ * Test Case: Two days and 50 minutes, then two days and 10 hours
+ * Expected: The 50 minutes are waived; the 10 hours are billed as a third
+ * night
+ */
+test("rental totals waive the grace period and bill overruns", () => {
+    const options = { durationPricing: DURATION_PRICING };
+
+    const waived = calculateRentalPrice(
+        100,
+        "2026-03-02T10:00:00Z",
+        "2026-03-04T10:50:00Z",
+        [],
+        options
+    );
+    assert.equal(waived.nights, 2);
+    assert.equal(waived.overrun.waived, true);
+    assert.equal(waived.subtotal, 200);
+
+    const fullDay = calculateRentalPrice(
+        100,
+        "2026-03-02T10:00:00Z",
+        "2026-03-04T20:00:00Z",
+        [],
+        options
+    );
+    assert.equal(fullDay.nights, 3);
+    assert.equal(fullDay.overrun.rate, "fullDay");
+    assert.equal(fullDay.subtotal, 300);
+});
+
+/**
+ * Test Case: Three hour rental
+ * Expected: Billed as one day
+ */
+test("rentals shorter than a day are billed as one day", () => {
+    const result = calculateRentalPrice(
+        100,
+        "2026-03-02T10:00:00Z",
+        "2026-03-02T13:00:00Z",
+        []
+    );
+
+    assert.equal(result.nights, 1);
+    assert.equal(result.subtotal, 100);
+});
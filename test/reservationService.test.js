@@ -0,0 +1,158 @@
+/**
+ * Reservation Service Checks
+ *
+ * Overlap checks of reserveBooking against in-memory collections.
+ * Transactions are run one after another without a session, the way the
+ * driver's write-conflict retry orders two reservations of the same car.
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+// Must be replaced before reservationService reads it
+const database = require("../config/database");
+let queue = Promise.resolve();
+database.withTransaction = (work) => {
+    const run = queue.then(() => work(null));
+    queue = run.catch(() => {});
+    return run;
+};
+
+const {
+    BookingConflictError,
+    reserveBooking,
+} = require("../services/reservationService");
+const { MemoryCollection } = require("./helpers/memoryCollection");
+
+const HOLD_OPEN = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const HOLD_LAPSED = new Date(Date.now() - 60 * 1000).toISOString();
+
+/**
+ * A car and its bookings; the bookings are for that car
+ */
+const setup = (bookings = []) => {
+    const cars = new MemoryCollection([{ carModel: "Corolla" }]);
+    const carId = String(cars.docs[0]._id);
+
+    return {
+        cars,
+        carId,
+        bookings: new MemoryCollection(
+            bookings.map((booking) => ({ ...booking, carId }))
+        ),
+    };
+};
+
+/**
+ * A pending booking of the car from the 10th to the 15th of a month
+ */
+const booking = (carId, month = "2030-06") => ({
+    carId,
+    userEmail: "renter@example.com",
+    startDate: `${month}-10T10:00:00.000Z`,
+    endDate: `${month}-15T10:00:00.000Z`,
+    status: "pending",
+    holdExpiresAt: HOLD_OPEN,
+});
+
+// ============================================
+// 1. FREE AND TAKEN DATES
+// ============================================
+
+/**
+ * Test Case: Reserve free dates
+ * Expected: Booking inserted and the car's bookingCount incremented
+ */
+test("free dates are reserved", async () => {
+    const { cars, carId, bookings } = setup();
+
+    const result = await reserveBooking(bookings, cars, booking(carId));
+
+    assert.ok(result.insertedId);
+    assert.equal(await bookings.countDocuments(), 1);
+    assert.equal(cars.docs[0].bookingCount, 1);
+});
+
+/**
+ * Test Case: Reserve dates overlapping a confirmed booking
+ * Expected: BookingConflictError listing it; nothing inserted
+ */
+test("overlapping dates are refused", async () => {
+    const { cars, carId, bookings } = setup([
+        {
+            status: "confirmed",
+            startDate: "2030-06-12T10:00:00.000Z",
+            endDate: "2030-06-20T10:00:00.000Z",
+        },
+    ]);
+
+    await assert.rejects(
+        reserveBooking(bookings, cars, booking(carId)),
+        (error) => {
+            assert.ok(error instanceof BookingConflictError);
+            assert.equal(error.conflictingBookings.length, 1);
+            return true;
+        }
+    );
+    assert.equal(await bookings.countDocuments(), 1);
+});
+
+/**
+ * Test Case: Same dates held by a cancelled booking and by a pending
+ * booking whose hold ran out
+ * Expected: Neither blocks the reservation
+ */
+test("cancelled bookings and lapsed holds do not block", async () => {
+    const { cars, carId, bookings } = setup([
+        { ...booking(), status: "cancelled" },
+        { ...booking(), holdExpiresAt: HOLD_LAPSED },
+    ]);
+
+    await reserveBooking(bookings, cars, booking(carId));
+
+    assert.equal(await bookings.countDocuments(), 3);
+});
+
+/**
+ * Test Case: Reserve a car that does not exist
+ * Expected: "Car not found"; nothing inserted
+ */
+test("unknown cars are not reserved", async () => {
+    const { cars, bookings } = setup();
+    const missingCarId = String(new ObjectId());
+
+    await assert.rejects(
+        reserveBooking(bookings, cars, booking(missingCarId)),
+        { message: "Car not found" }
+    );
+    assert.equal(await bookings.countDocuments(), 0);
+});
+
+// ============================================
+// 2. CONCURRENT RESERVATIONS
+// ============================================
+
+/**
+ * Test Case: Two requests for the same dates at the same time, and one
+ * for the following month
+ * Expected: One of the overlapping requests wins; the other month is
+ * reserved as well
+ */
+test("concurrent requests cannot double-book", async () => {
+    const { cars, carId, bookings } = setup();
+
+    const results = await Promise.allSettled([
+        reserveBooking(bookings, cars, booking(carId)),
+        reserveBooking(bookings, cars, booking(carId)),
+        reserveBooking(bookings, cars, booking(carId, "2030-07")),
+    ]);
+
+    assert.deepEqual(
+        results.map((result) => result.status),
+        ["fulfilled", "rejected", "fulfilled"]
+    );
+    assert.ok(results[1].reason instanceof BookingConflictError);
+    assert.equal(await bookings.countDocuments(), 2);
+});